@@ -0,0 +1,196 @@
+import axios from 'axios';
+import { STORES, storeName, storeFromUrl } from './offers.js';
+
+// Affiliate links: buy links are expanded when they are store short links, cleaned of tracking
+// parameters and given our affiliate tag for their store, so every click earns.
+// Tags come from AFFILIATE_TAGS, e.g. "amazon:mytag-21,flipkart:myaffid".
+
+// Query parameter that carries the affiliate tag; Meesho links have none, so they are kept as they are
+export const AFFILIATE_PARAMS = {
+  amazon: 'tag',
+  flipkart: 'affid',
+  shopsy: 'affid'
+};
+
+// Short-link host -> its store; links on these are followed to the store page they redirect to
+export const SHORT_LINK_HOSTS = {
+  'amzn.to': 'amazon',
+  'amzn.in': 'amazon',
+  'amzn.eu': 'amazon',
+  'fkrt.it': 'flipkart',
+  'fkrt.cc': 'flipkart',
+  'msho.in': 'meesho'
+};
+
+const MAX_REDIRECTS = 5;
+
+// Dropped from every store link; other stores' affiliate ids go with them
+const TRACKING_PARAMS = [
+  /^utm_/, /^pf_rd_/, /^pd_rd_/, /^ref_?$/, /^linkCode$/, /^linkId$/, /^ascsubtag$/, /^camp$/, /^creative(ASIN)?$/,
+  /^qid$/, /^sr$/, /^crid$/, /^sprefix$/, /^content-id$/, /^_encoding$/, /^otracker\d*$/, /^fm$/, /^iid$/, /^ssid$/,
+  /^ppt$/, /^ppn$/, /^lid$/, /^affExtParam\d+$/
+];
+
+// Amazon product pages come down to /dp/<ASIN> with no parameters but the tag
+const AMAZON_ASIN = /\/(?:dp|gp\/product|gp\/aw\/d)\/([A-Z0-9]{10})(?=[/?]|$)/i;
+
+// "amazon:mytag-21, flipkart:myaffid" -> { amazon: 'mytag-21', flipkart: 'myaffid' }
+export function parseAffiliateTags(value) {
+  const tags = {};
+  for (const entry of String(value || '').split(',')) {
+    if (!entry.trim()) continue;
+    const [store, tag] = entry.split(':').map(part => part.trim());
+    if (!Object.hasOwn(AFFILIATE_PARAMS, store) || !tag) {
+      console.error(`AFFILIATE_TAGS entry "${entry.trim()}" is not <store>:<tag> for one of ${Object.keys(AFFILIATE_PARAMS).join(', ')}`);
+      continue;
+    }
+    tags[store] = tag;
+  }
+  return tags;
+}
+
+// The store of a link on one of shortLinkHosts, or null
+function shortLinkStore(value, shortLinkHosts) {
+  let host;
+  try {
+    host = new URL(value).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+  const domain = Object.keys(shortLinkHosts).find(key => host === key || host.endsWith(`.${key}`));
+  return domain ? shortLinkHosts[domain] : null;
+}
+
+// The tag a store link carries, or null
+export function linkTag(value) {
+  const store = storeFromUrl(value);
+  if (!store || !AFFILIATE_PARAMS[store]) return null;
+  return new URL(value).searchParams.get(AFFILIATE_PARAMS[store]);
+}
+
+// https, no fragment and no tracking parameters. Amazon product links become /dp/<ASIN> when we have
+// an Amazon tag; the store's affiliate parameter is always kept, so a tag already on the link survives.
+// Links that are not store pages (including short links) are returned unchanged.
+export function normalizeLink(value, { shortLinkHosts = SHORT_LINK_HOSTS, tags = {} } = {}) {
+  const store = storeFromUrl(value);
+  if (!store || shortLinkStore(value, shortLinkHosts)) return value;
+
+  const url = new URL(value);
+  url.protocol = 'https:';
+  url.hash = '';
+  const asin = store === 'amazon' && tags[store] && AMAZON_ASIN.exec(url.pathname);
+  if (asin) {
+    const param = AFFILIATE_PARAMS[store];
+    const tag = url.searchParams.get(param);
+    url.pathname = `/dp/${asin[1].toUpperCase()}`;
+    url.search = '';
+    if (tag) url.searchParams.set(param, tag);
+  }
+  for (const name of [...url.searchParams.keys()]) {
+    if (TRACKING_PARAMS.some(pattern => pattern.test(name))) url.searchParams.delete(name);
+  }
+  return url.toString();
+}
+
+// The link with our tag for its store in place of any other; unchanged without a tag for the store
+export function tagLink(value, tags) {
+  const store = storeFromUrl(value);
+  if (!store || !AFFILIATE_PARAMS[store] || !tags[store]) return value;
+  const url = new URL(value);
+  url.searchParams.set(AFFILIATE_PARAMS[store], tags[store]);
+  return url.toString();
+}
+
+export function createAffiliateLinks({
+  tags = parseAffiliateTags(process.env.AFFILIATE_TAGS),
+  shortLinkHosts = SHORT_LINK_HOSTS,
+  timeoutMs = 5000
+} = {}) {
+  const isShortLink = (value) => shortLinkStore(value, shortLinkHosts) !== null;
+  const storeOf = (value) => shortLinkStore(value, shortLinkHosts) || storeFromUrl(value);
+
+  // Follow a short link's redirects to the page it points at; links that are not short come back as they are
+  async function expand(value) {
+    let url = value;
+    for (let hops = 0; isShortLink(url); hops++) {
+      if (hops === MAX_REDIRECTS) throw new Error('too many redirects');
+      const response = await axios.get(url, {
+        maxRedirects: 0,
+        timeout: timeoutMs,
+        responseType: 'stream',
+        validateStatus: () => true
+      });
+      response.data.destroy();
+      if (response.status < 300 || response.status >= 400 || !response.headers.location) {
+        throw new Error(`the short link answered ${response.status} instead of redirecting`);
+      }
+      url = new URL(response.headers.location, url).toString();
+    }
+    return url;
+  }
+
+  // Whether a link lacks the tag we have for its store (short links count as lacking it)
+  function missingTag(value) {
+    const store = storeOf(value);
+    if (!store || !tags[store] || !AFFILIATE_PARAMS[store]) return false;
+    return isShortLink(value) || linkTag(value) !== tags[store];
+  }
+
+  // { link } ready to save, or { error } for a link of a store we tag that cannot carry our tag.
+  // Links of stores without a tag are only normalised, which needs no request.
+  async function prepare(value) {
+    const link = String(value).trim();
+    const store = storeOf(link);
+    if (!store || !tags[store] || !AFFILIATE_PARAMS[store]) return { link: normalizeLink(link, { shortLinkHosts, tags }) };
+
+    let expanded;
+    try {
+      expanded = await expand(link);
+    } catch (error) {
+      return { error: `Could not expand ${link}: ${error.message}` };
+    }
+    const finalStore = storeFromUrl(expanded);
+    if (!finalStore || !tags[finalStore]) {
+      return { error: `${link} does not lead to a page on ${storeName(store)} that can carry our affiliate tag` };
+    }
+    return { link: tagLink(normalizeLink(expanded, { shortLinkHosts, tags }), tags) };
+  }
+
+  // Prepare a validated product's buyLink and offer links. Links equal to those of `previous`
+  // (the stored product, for edits) are left alone so unrelated edits never wait on a shortener.
+  // Returns { product, errors } with errors in the [{ field, message }] form of validateProduct.
+  async function prepareProduct(product, previous = null) {
+    const errors = [];
+    const prepared = new Map();
+    const previousLinks = new Set(previous ? [previous.buyLink, ...(previous.offers || []).map(offer => offer.link)] : []);
+
+    async function prepareField(field, link) {
+      if (!link || previousLinks.has(link)) return link;
+      if (!prepared.has(link)) prepared.set(link, await prepare(link));
+      const result = prepared.get(link);
+      if (result.error) errors.push({ field, message: result.error });
+      return result.link || link;
+    }
+
+    const updated = { ...product, buyLink: await prepareField('buyLink', product.buyLink) };
+    if (Array.isArray(product.offers)) {
+      updated.offers = [];
+      for (const [index, offer] of product.offers.entries()) {
+        updated.offers.push({ ...offer, link: await prepareField(`offers[${index}].link`, offer.link) });
+      }
+    }
+    return { product: updated, errors };
+  }
+
+  return {
+    // Store -> { param, tag } for the admin page
+    config: () => Object.fromEntries(Object.keys(STORES).map(store => [store, {
+      param: AFFILIATE_PARAMS[store] || null,
+      tag: tags[store] || null
+    }])),
+    expand,
+    missingTag,
+    prepare,
+    prepareProduct
+  };
+}
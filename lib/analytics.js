@@ -0,0 +1,108 @@
+// Hourly and daily analytics buckets. Every recorded event adds to the counters of the UTC hour and day
+// it falls in, so charts read a few hundred rows instead of scanning the raw event log.
+
+export const GRANULARITIES = ['hour', 'day'];
+
+export const METRICS = [
+  'queries', 'uniqueUsers', 'productViews', 'clicks', 'newSubscribers', 'zeroResultSearches', 'inlineShares'
+];
+
+const BUCKET_MS = { hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+
+// Charts get slow and unreadable beyond this many points
+const MAX_BUCKETS = 1000;
+
+// Counters an event adds to. uniqueUsers is not listed: storage counts each chat once per bucket.
+export function eventMetrics(event) {
+  switch (event.type) {
+    case 'query':
+      return event.data && event.data.resultCount === 0 ? ['queries', 'zeroResultSearches'] : ['queries'];
+    case 'product_view':
+      return ['productViews'];
+    case 'click':
+      return ['clicks'];
+    case 'subscribe':
+      return ['newSubscribers'];
+    case 'inline_chosen':
+      return ['inlineShares'];
+    default:
+      return [];
+  }
+}
+
+// In-memory buckets as analytics.json keeps them: buckets[granularity][start] = { ...metric counts, chatIds }
+export const emptyBuckets = () => ({ hour: {}, day: {} });
+
+// Add an event to its hour and day in buckets from emptyBuckets()
+export function addToBuckets(buckets, event) {
+  const chatId = event.chatId === undefined || event.chatId === null ? null : String(event.chatId);
+  for (const granularity of GRANULARITIES) {
+    const start = bucketStart(event.timestamp, granularity);
+    const bucket = buckets[granularity][start] || (buckets[granularity][start] = { chatIds: [] });
+    for (const metric of eventMetrics(event)) {
+      bucket[metric] = (bucket[metric] || 0) + 1;
+    }
+    if (chatId !== null && !bucket.chatIds.includes(chatId)) {
+      bucket.chatIds.push(chatId);
+      bucket.uniqueUsers = (bucket.uniqueUsers || 0) + 1;
+    }
+  }
+}
+
+// ISO start of the UTC hour or day `time` falls in
+export function bucketStart(time, granularity) {
+  const date = new Date(time);
+  if (granularity === 'day') {
+    date.setUTCHours(0, 0, 0, 0);
+  } else {
+    date.setUTCMinutes(0, 0, 0);
+  }
+  return date.toISOString();
+}
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// from/to/granularity query parameters -> { from, to, granularity } or { error }.
+// Dates are ISO timestamps or YYYY-MM-DD; a date-only `to` covers that whole day.
+// Defaults: the last 24 hours by hour, or by day when only a range longer than two days is given.
+export function parseTimeseriesRange({ from, to, granularity } = {}, now = new Date()) {
+  const end = to ? new Date(to) : now;
+  if (Number.isNaN(end.getTime())) return { error: 'to must be a date' };
+  if (to && DATE_ONLY.test(to)) end.setUTCDate(end.getUTCDate() + 1);
+
+  const start = from ? new Date(from) : new Date(end.getTime() - BUCKET_MS.day);
+  if (Number.isNaN(start.getTime())) return { error: 'from must be a date' };
+  if (start >= end) return { error: 'from must be before to' };
+
+  const unit = granularity || (end - start > 2 * BUCKET_MS.day ? 'day' : 'hour');
+  if (!GRANULARITIES.includes(unit)) {
+    return { error: `granularity must be one of ${GRANULARITIES.join(', ')}` };
+  }
+  if ((end - start) / BUCKET_MS[unit] > MAX_BUCKETS) {
+    return { error: `That range has more than ${MAX_BUCKETS} ${unit}s; pick a shorter range or a coarser granularity` };
+  }
+
+  return { from: start, to: end, granularity: unit };
+}
+
+// Bucket rows from storage ({ bucket, metric, value }) -> one entry per bucket in the range,
+// with zeros where nothing happened, plus totals. uniqueUsers is not summed in the totals because
+// the same chat can be active in many buckets.
+export function buildTimeseries(rows, { from, to, granularity }) {
+  const byBucket = new Map();
+  for (let time = new Date(bucketStart(from, granularity)); time < to; time = new Date(time.getTime() + BUCKET_MS[granularity])) {
+    byBucket.set(time.toISOString(), Object.fromEntries(METRICS.map(metric => [metric, 0])));
+  }
+
+  for (const { bucket, metric, value } of rows) {
+    const counts = byBucket.get(new Date(bucket).toISOString());
+    if (counts && metric in counts) counts[metric] += Number(value);
+  }
+
+  const buckets = [...byBucket].map(([start, counts]) => ({ start, ...counts }));
+  const totals = Object.fromEntries(METRICS
+    .filter(metric => metric !== 'uniqueUsers')
+    .map(metric => [metric, buckets.reduce((sum, bucket) => sum + bucket[metric], 0)]));
+
+  return { granularity, from: from.toISOString(), to: to.toISOString(), buckets, totals };
+}
@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+
+// Admin authentication: a PIN or scrypt password hash checked on the server,
+// with sessions kept in memory and referenced by a signed cookie.
+
+export const SESSION_COOKIE = 'admin_session';
+
+const DEFAULT_SESSION_TTL_MINUTES = 12 * 60;
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+// Hash a password into the `scrypt$<salt>$<hash>` format expected in ADMIN_PASSWORD_HASH
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+// Compare two strings without leaking where they differ
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) {
+    // Still burn a comparison so the timing does not reveal the length mismatch
+    crypto.timingSafeEqual(bufA, bufA);
+    return false;
+  }
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+function verifyPasswordHash(password, storedHash) {
+  const [scheme, saltHex, hashHex] = storedHash.split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+    console.error('ADMIN_PASSWORD_HASH is not in scrypt$<salt>$<hash> format');
+    return false;
+  }
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Parse the Cookie header into a plain object. Values that are not valid percent-encoding are kept
+// as sent, so a stray cookie from another app on the host cannot turn every admin request into a 500.
+function parseCookies(header = '') {
+  return header.split(';').reduce((cookies, part) => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      const name = part.slice(0, index).trim();
+      const value = part.slice(index + 1).trim();
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch {
+        cookies[name] = value;
+      }
+    }
+    return cookies;
+  }, {});
+}
+
+function isSecureRequest(req) {
+  return req.secure || req.headers['x-forwarded-proto'] === 'https';
+}
+
+export function createAdminAuth({
+  pin = process.env.ADMIN_PIN,
+  passwordHash = process.env.ADMIN_PASSWORD_HASH,
+  secret = process.env.SESSION_SECRET,
+  ttlMinutes = Number(process.env.ADMIN_SESSION_TTL_MINUTES) || DEFAULT_SESSION_TTL_MINUTES
+} = {}) {
+  if (!pin && !passwordHash) {
+    console.warn('Neither ADMIN_PIN nor ADMIN_PASSWORD_HASH is set; admin login is disabled');
+  }
+  if (!secret) {
+    console.warn('SESSION_SECRET is not set; using a random secret, admin sessions will not survive a restart');
+    secret = crypto.randomBytes(32).toString('hex');
+  }
+
+  const ttlMs = ttlMinutes * 60 * 1000;
+  const sessions = new Map(); // session id -> { createdAt, expiresAt }
+  const failedLogins = new Map(); // client ip -> { count, lockedUntil }
+
+  function sign(value) {
+    return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+  }
+
+  function checkCredentials(credential) {
+    if (!credential) return false;
+    if (passwordHash) return verifyPasswordHash(credential, passwordHash);
+    if (pin) return safeEqual(credential, pin);
+    return false;
+  }
+
+  function isLockedOut(ip) {
+    const entry = failedLogins.get(ip);
+    return Boolean(entry && entry.lockedUntil > Date.now());
+  }
+
+  function recordFailedLogin(ip) {
+    const entry = failedLogins.get(ip) || { count: 0, lockedUntil: 0 };
+    entry.count += 1;
+    if (entry.count >= MAX_FAILED_LOGINS) {
+      entry.count = 0;
+      entry.lockedUntil = Date.now() + LOGIN_LOCKOUT_MS;
+    }
+    failedLogins.set(ip, entry);
+  }
+
+  // Resolve the session attached to a request, or null if missing, forged or expired
+  function getSession(req) {
+    const cookie = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (!cookie) return null;
+
+    const [sessionId, signature] = cookie.split('.');
+    if (!sessionId || !signature || !safeEqual(signature, sign(sessionId))) return null;
+
+    const session = sessions.get(sessionId);
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+      sessions.delete(sessionId);
+      return null;
+    }
+    return { id: sessionId, ...session };
+  }
+
+  function setSessionCookie(req, res, value, maxAgeMs) {
+    const parts = [
+      `${SESSION_COOKIE}=${encodeURIComponent(value)}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Lax',
+      `Max-Age=${Math.floor(maxAgeMs / 1000)}`
+    ];
+    if (isSecureRequest(req)) parts.push('Secure');
+    res.append('Set-Cookie', parts.join('; '));
+  }
+
+  // Check the submitted PIN/password and start a session; returns { success, status, message }
+  function login(req, res) {
+    const ip = req.ip;
+    if (isLockedOut(ip)) {
+      return { success: false, status: 429, message: 'Too many failed attempts. Please try again later.' };
+    }
+
+    const credential = (req.body && (req.body.password || req.body.pin)) || '';
+    if (!checkCredentials(String(credential))) {
+      recordFailedLogin(ip);
+      return { success: false, status: 401, message: 'Invalid PIN or password.' };
+    }
+
+    failedLogins.delete(ip);
+    const sessionId = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    sessions.set(sessionId, { createdAt: now, expiresAt: now + ttlMs });
+    setSessionCookie(req, res, `${sessionId}.${sign(sessionId)}`, ttlMs);
+    return { success: true, status: 200, message: 'Logged in' };
+  }
+
+  function logout(req, res) {
+    const session = getSession(req);
+    if (session) sessions.delete(session.id);
+    setSessionCookie(req, res, '', 0);
+  }
+
+  // Middleware: let signed-in admins through, send pages to the login form and API calls a 401
+  function requireAdmin(req, res, next) {
+    if (getSession(req)) return next();
+
+    const wantsPage = (req.headers.accept || '').includes('text/html');
+    if (req.method === 'GET' && wantsPage) {
+      const nextUrl = encodeURIComponent(req.originalUrl);
+      return res.redirect(`/admin/login?next=${nextUrl}`);
+    }
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+
+  // Drop expired sessions and lockouts so the maps do not grow forever
+  const cleanupTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+      if (session.expiresAt <= now) sessions.delete(id);
+    }
+    for (const [ip, entry] of failedLogins) {
+      if (entry.lockedUntil <= now) failedLogins.delete(ip);
+    }
+  }, 10 * 60 * 1000);
+  cleanupTimer.unref();
+
+  return { login, logout, getSession, requireAdmin };
+}
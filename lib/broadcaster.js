@@ -0,0 +1,189 @@
+// Sends admin notifications to every active subscriber in the background.
+// Jobs and per-subscriber delivery state live in storage.broadcasts, so a restart picks up where it stopped.
+// Sends go through a token bucket kept under Telegram's ~30 messages/second limit; a 429 pauses the bucket
+// for the retry_after Telegram asks for, other transient errors are retried with backoff, and a 403 marks
+// the subscriber as blocked. An album counts as one message per photo in it, as it does for Telegram.
+
+const DEFAULT_RATE_PER_SECOND = 25;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BATCH_SIZE = 25;
+const BASE_BACKOFF_MS = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Hands out `ratePerSecond` tokens a second, with bursts of up to `capacity`
+export function createTokenBucket({ ratePerSecond, capacity = ratePerSecond }) {
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * ratePerSecond);
+    lastRefill = now;
+  }
+
+  // Resolves once `count` tokens are available; callers are served in order
+  function take(count = 1) {
+    const needed = Math.min(count, capacity);
+    const turn = queue.then(async () => {
+      for (;;) {
+        const pause = pausedUntil - Date.now();
+        if (pause > 0) {
+          await sleep(pause);
+          continue;
+        }
+        refill();
+        if (tokens >= needed) break;
+        await sleep(((needed - tokens) / ratePerSecond) * 1000);
+      }
+      tokens -= needed;
+    });
+    queue = turn;
+    return turn;
+  }
+
+  // Hold every caller for ms, e.g. after Telegram answers 429
+  function pauseFor(ms) {
+    pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    tokens = 0;
+  }
+
+  return { take, pauseFor };
+}
+
+// node-telegram-bot-api puts Telegram's reply on error.response.body
+function telegramError(error) {
+  const body = error.response && error.response.body;
+  return {
+    statusCode: error.response ? error.response.statusCode : null,
+    retryAfter: body && body.parameters ? body.parameters.retry_after : null
+  };
+}
+
+// dealSends(chatId, message) turns a daily deals message ({ text, deals, format }) into the Bot API calls
+// that deliver it, as [{ messages, send }] with one send per call and messages the number of Telegram
+// messages it posts (the photos of an album)
+export function createBroadcaster({
+  bot,
+  storage,
+  dealSends = () => [],
+  ratePerSecond = Number(process.env.BROADCAST_RATE_PER_SECOND) || DEFAULT_RATE_PER_SECOND,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS
+}) {
+  const bucket = createTokenBucket({ ratePerSecond });
+  let draining = null;
+  let resumeAgain = false;
+
+  // One Bot API call, retried until it succeeds, fails permanently or runs out of attempts.
+  // Returns { ok, attempts, blocked, error }.
+  async function callWithRetry({ messages = 1, send }, attemptsSoFar) {
+    let attempts = attemptsSoFar;
+    for (;;) {
+      await bucket.take(messages);
+      attempts++;
+      try {
+        await send();
+        return { ok: true, attempts };
+      } catch (error) {
+        const { statusCode, retryAfter } = telegramError(error);
+        if (statusCode === 403) {
+          return { ok: false, attempts, blocked: true, error: error.message };
+        }
+        // Anything else in the 4xx range (chat not found, bad image URL, ...) will not get better
+        if (statusCode && statusCode >= 400 && statusCode < 500 && statusCode !== 429) {
+          return { ok: false, attempts, error: error.message };
+        }
+        if (attempts >= maxAttempts) {
+          return { ok: false, attempts, error: error.message };
+        }
+        if (statusCode === 429 && retryAfter) {
+          bucket.pauseFor(retryAfter * 1000);
+        } else {
+          await sleep(BASE_BACKOFF_MS * 2 ** (attempts - 1));
+        }
+      }
+    }
+  }
+
+  function messageSends(chatId, { text, image, link }) {
+    const first = image ? () => bot.sendPhoto(chatId, image, { caption: text }) : () => bot.sendMessage(chatId, text);
+    const sends = [{ send: first }];
+    if (link) sends.push({ send: () => bot.sendMessage(chatId, `🔗 Link: ${link}`) });
+    return sends;
+  }
+
+  async function deliver(chatId, message) {
+    const sends = message.deals ? dealSends(chatId, message) : messageSends(chatId, message);
+
+    let attempts = 0;
+    for (const call of sends) {
+      const result = await callWithRetry(call, attempts);
+      attempts = result.attempts;
+      if (!result.ok) {
+        if (result.blocked) {
+          await storage.subscribers.update(chatId, { blocked: true });
+          return { chatId, status: 'blocked', attempts, error: result.error };
+        }
+        return { chatId, status: 'failed', attempts, error: result.error };
+      }
+    }
+    return { chatId, status: 'sent', attempts };
+  }
+
+  async function runJob(job) {
+    await storage.broadcasts.setStatus(job.id, 'running');
+    for (;;) {
+      const chatIds = await storage.broadcasts.pendingChatIds(job.id, BATCH_SIZE);
+      if (chatIds.length === 0) break;
+      const results = await Promise.all(chatIds.map(chatId =>
+        deliver(chatId, job.message).catch(error => ({ chatId, status: 'failed', attempts: 0, error: error.message }))
+      ));
+      await storage.broadcasts.recordDeliveries(job.id, results);
+    }
+    await storage.broadcasts.setStatus(job.id, 'completed');
+  }
+
+  async function drain() {
+    for (let job = await storage.broadcasts.nextUnfinished(); job; job = await storage.broadcasts.nextUnfinished()) {
+      try {
+        await runJob(job);
+      } catch (error) {
+        console.error(`Broadcast ${job.id} failed:`, error);
+        await storage.broadcasts.setStatus(job.id, 'failed').catch(() => {});
+      }
+    }
+  }
+
+  // Work through unfinished jobs one at a time. Calling it while running makes sure
+  // another pass follows, so a job queued just as the last one finishes is not missed.
+  function resume() {
+    if (draining) {
+      resumeAgain = true;
+      return draining;
+    }
+    draining = drain()
+      .catch(error => console.error('Error running broadcasts:', error))
+      .finally(() => {
+        draining = null;
+        if (resumeAgain) {
+          resumeAgain = false;
+          resume();
+        }
+      });
+    return draining;
+  }
+
+  // Queue a message for every active subscriber (narrowed by `audience`, e.g. { dailyDealsOnly: true })
+  // and start sending. Resolves with the job summary, or null when there is nobody to send to.
+  async function enqueue(message, audience = {}) {
+    const subscribers = await storage.subscribers.list({ ...audience, activeOnly: true });
+    if (subscribers.length === 0) return null;
+    const job = await storage.broadcasts.create({ message, chatIds: subscribers.map(subscriber => subscriber.chatId) });
+    resume();
+    return job;
+  }
+
+  return { enqueue, resume };
+}
@@ -0,0 +1,90 @@
+// Routes inline keyboard presses to handlers by a namespaced action prefix.
+// callback_data looks like `<action>:<payload>`, e.g. `p:42` or `page:kettle:2`.
+// Every callback query gets answered so the button stops spinning on the client.
+
+export const CALLBACK_DATA_LIMIT = 64; // bytes, enforced by Telegram
+
+const EXPIRED_MESSAGE = 'This button has expired. Please search again.';
+const ERROR_MESSAGE = 'Something went wrong. Please try again later.';
+
+// Build callback_data for an action, refusing anything Telegram would reject
+export function encodeCallbackData(action, ...parts) {
+  if (!/^[a-z][a-z0-9_]*$/i.test(action)) {
+    throw new Error(`Invalid callback action: ${action}`);
+  }
+  const data = parts.length ? [action, ...parts].join(':') : action;
+  if (Buffer.byteLength(data) > CALLBACK_DATA_LIMIT) {
+    throw new Error(`callback_data exceeds ${CALLBACK_DATA_LIMIT} bytes: ${data}`);
+  }
+  return data;
+}
+
+// Split callback_data into its action and the raw payload after the first colon
+export function parseCallbackData(data = '') {
+  const separator = data.indexOf(':');
+  if (separator === -1) return { action: data, payload: '' };
+  return { action: data.slice(0, separator), payload: data.slice(separator + 1) };
+}
+
+export function createCallbackRouter(bot) {
+  const handlers = new Map();
+  let fallbackHandler = null;
+
+  // Register a handler for `<action>:...` buttons
+  function on(action, handler) {
+    handlers.set(action, handler);
+    return router;
+  }
+
+  // Handler for data that matches no action (old buttons, bare ids from earlier versions)
+  function fallback(handler) {
+    fallbackHandler = handler;
+    return router;
+  }
+
+  async function handle(callbackQuery) {
+    const data = callbackQuery.data || '';
+    const { action, payload } = parseCallbackData(data);
+    let answered = false;
+
+    const context = {
+      callbackQuery,
+      data,
+      action,
+      payload,
+      args: payload ? payload.split(':') : [],
+      message: callbackQuery.message,
+      chatId: callbackQuery.message ? callbackQuery.message.chat.id : callbackQuery.from.id,
+      from: callbackQuery.from,
+      // Acknowledge the press, optionally with a toast ({ text }) or alert ({ text, show_alert: true })
+      answer: async (options = {}) => {
+        if (answered) return;
+        answered = true;
+        await bot.answerCallbackQuery(callbackQuery.id, typeof options === 'string' ? { text: options } : options);
+      }
+    };
+
+    const handler = handlers.get(action) || fallbackHandler;
+
+    try {
+      if (!handler) {
+        await context.answer({ text: EXPIRED_MESSAGE });
+        return;
+      }
+
+      const handled = await handler(context);
+      // A fallback handler returns false when it does not recognise the data either
+      if (handled === false) {
+        await context.answer({ text: EXPIRED_MESSAGE });
+      }
+    } catch (error) {
+      console.error(`Error handling callback "${data}":`, error);
+      await context.answer({ text: ERROR_MESSAGE }).catch(() => {});
+    } finally {
+      await context.answer().catch(error => console.error('Error answering callback query:', error.message));
+    }
+  }
+
+  const router = { on, fallback, handle };
+  return router;
+}
@@ -0,0 +1,112 @@
+// Product categories: a tree of { id, name, parentId } where parentId is null for top-level categories.
+// Products and deals point at one category with `category: <id>`; filtering by a category includes
+// everything in its sub-categories.
+
+// Category ids travel in callback_data next to a page number, so they are kept short
+const MAX_ID_LENGTH = 40;
+
+// "Home & Kitchen" -> "home-kitchen"
+export function slugify(name) {
+  const slug = String(name)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_ID_LENGTH)
+    .replace(/-+$/g, '');
+  return slug || 'category';
+}
+
+// A slug for `name` that no existing category uses
+export function uniqueCategoryId(name, categories) {
+  const taken = new Set(categories.map(category => category.id));
+  const base = slugify(name);
+  if (!taken.has(base)) return base;
+  for (let n = 2; ; n++) {
+    const suffix = `-${n}`;
+    const id = `${base.slice(0, MAX_ID_LENGTH - suffix.length)}${suffix}`;
+    if (!taken.has(id)) return id;
+  }
+}
+
+export const childCategories = (categories, parentId) => categories
+  .filter(category => (category.parentId || null) === (parentId || null))
+  .sort((a, b) => a.name.localeCompare(b.name));
+
+// The category and all categories below it
+export function descendantIds(categories, id) {
+  const ids = new Set([id]);
+  let added = true;
+  while (added) {
+    added = false;
+    for (const category of categories) {
+      if (category.parentId && ids.has(category.parentId) && !ids.has(category.id)) {
+        ids.add(category.id);
+        added = true;
+      }
+    }
+  }
+  return ids;
+}
+
+// Top-level category first, `id` last; empty for an unknown id
+export function categoryPath(categories, id) {
+  const byId = new Map(categories.map(category => [category.id, category]));
+  const path = [];
+  for (let category = byId.get(id); category && !path.includes(category); category = byId.get(category.parentId)) {
+    path.unshift(category);
+  }
+  return path;
+}
+
+// "Electronics › Audio"
+export function categoryLabel(categories, id) {
+  return categoryPath(categories, id).map(category => category.name).join(' › ');
+}
+
+// Categories nested as { ...category, children }, each level sorted by name
+export function categoryTree(categories, parentId = null) {
+  return childCategories(categories, parentId).map(category => ({
+    ...category,
+    children: categoryTree(categories, category.id)
+  }));
+}
+
+// Items (products or deals) in a category or any of its sub-categories.
+// 'none' selects items without a category; returns null for an unknown category.
+export function filterByCategory(items, categories, id) {
+  if (id === 'none') return items.filter(item => !item.category);
+  if (!categories.some(category => category.id === id)) return null;
+  const ids = descendantIds(categories, id);
+  return items.filter(item => item.category && ids.has(String(item.category)));
+}
+
+// Check a category for create (existing undefined) or update (the stored category merged with the changes).
+// Returns { category: { name, parentId }, errors } in the [{ field, message }] form validateProduct uses.
+export function validateCategory(input, categories, existing) {
+  const errors = [];
+  const category = {};
+
+  if (typeof input.name !== 'string' || input.name.trim() === '') {
+    errors.push({ field: 'name', message: 'Name is required' });
+  } else {
+    category.name = input.name.trim().replace(/\s+/g, ' ');
+  }
+
+  const parentId = input.parentId === undefined || input.parentId === '' ? null : input.parentId;
+  if (parentId !== null && !categories.some(other => other.id === parentId)) {
+    errors.push({ field: 'parentId', message: 'Parent category not found' });
+  } else if (existing && parentId !== null && descendantIds(categories, existing.id).has(parentId)) {
+    errors.push({ field: 'parentId', message: 'A category cannot be moved under itself' });
+  }
+  category.parentId = parentId;
+
+  const clash = category.name && childCategories(categories, parentId).find(other =>
+    other.name.toLowerCase() === category.name.toLowerCase() && (!existing || other.id !== existing.id));
+  if (clash) {
+    errors.push({ field: 'name', message: `There is already a "${clash.name}" category here` });
+  }
+
+  return { category, errors };
+}
@@ -0,0 +1,53 @@
+// Posting deals to Telegram channels the bot is an admin of. Channels are recorded when the bot is
+// made an admin (the my_chat_member handler in server.js) or added by hand on /admin/channels.
+
+// A deal's identity across edits of today's deals; hand-made deals may have no id
+const dealKey = (deal) => (deal.id !== undefined && deal.id !== null ? `id:${deal.id}` : `name:${deal.name}`);
+
+// Deals in `after` that were not in `before`
+export function addedDeals(before, after) {
+  const existing = new Set(before.map(dealKey));
+  return after.filter(deal => !existing.has(dealKey(deal)));
+}
+
+// Telegram answers 403 once the bot is removed, and 400 "not enough rights" once it may no longer post
+function lostPostingRights(error) {
+  const statusCode = error.response ? error.response.statusCode : null;
+  return statusCode === 403 || (statusCode === 400 && /not enough rights|need administrator rights/i.test(error.message));
+}
+
+// dealPosts(chatId, deals, options) -> [{ deals, send }], the messages that post `deals` to a chat and
+// how many deals each one carries (see dealPosts in server.js)
+export function createChannelPoster({ storage, dealPosts }) {
+  // Post deals one message after another; resolves with { chatId, sent, failed, error } counted in deals.
+  // options are passed on to dealPosts, e.g. { format: 'album' }.
+  async function postDeals(channel, deals, options = {}) {
+    let sent = 0;
+    for (const post of dealPosts(channel.chatId, deals, { ...options, source: 'channel' })) {
+      try {
+        await post.send();
+        sent += post.deals;
+      } catch (error) {
+        console.error(`Error posting deals to channel ${channel.chatId}:`, error.message);
+        if (lostPostingRights(error)) {
+          await storage.channels.update(channel.chatId, { canPost: false });
+          return { chatId: channel.chatId, sent, failed: deals.length - sent, error: error.message };
+        }
+      }
+    }
+    return { chatId: channel.chatId, sent, failed: deals.length - sent };
+  }
+
+  // Post deals to every channel that `wants` (by default, those with auto-posting on)
+  async function postToChannels(deals, { wants = channel => channel.autoPost, ...options } = {}) {
+    if (deals.length === 0) return [];
+    const channels = (await storage.channels.list()).filter(channel => channel.canPost && wants(channel));
+    const results = [];
+    for (const channel of channels) {
+      results.push(await postDeals(channel, deals, options));
+    }
+    return results;
+  }
+
+  return { postDeals, postToChannels };
+}
@@ -0,0 +1,83 @@
+// Minimal RFC 4180 CSV reading and writing: comma separated, fields quoted with "" when they
+// contain commas, quotes or line breaks, CRLF or LF line endings.
+
+// Rows as { cells, line }, line being the 1-based line of the file the row starts on
+function parseCsvLines(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        // Line breaks inside a quoted field still count towards the line numbers
+        if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ cells: row, line: rowLine });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ cells: row, line: rowLine });
+  }
+
+  // Blank lines are not rows
+  return rows.filter(({ cells }) => cells.length > 1 || cells[0] !== '');
+}
+
+export function parseCsv(text) {
+  return parseCsvLines(text).map(({ cells }) => cells);
+}
+
+// Rows as { line, record } with header -> value records, using the first row as the header.
+// line is where the row starts in the file, so blank lines and multi-line fields do not throw it off.
+export function parseCsvRecords(text) {
+  const [header = { cells: [] }, ...rows] = parseCsvLines(text);
+  const columns = header.cells.map(name => name.trim());
+  return rows.map(({ cells, line }) => ({
+    line,
+    record: Object.fromEntries(columns.map((name, i) => [name, cells[i] ?? '']))
+  }));
+}
+
+function formatField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(columns, records) {
+  const lines = [columns.map(formatField).join(',')];
+  for (const record of records) {
+    lines.push(columns.map(column => formatField(record[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
@@ -0,0 +1,88 @@
+// The daily deals post: once a day, at DAILY_DEALS_TIME in India time, the deals that are live at that moment
+// go to subscribers who opted in with /daily and to channels with daily posting on. Deals can carry
+// startsAt/endsAt so they appear and drop out by themselves.
+
+// India has no daylight saving, so IST is always UTC+05:30
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// album: deals with images as Telegram albums of up to 10 photos; cards: one card with an Order Now button per deal
+export const DAILY_DEALS_FORMATS = ['cards', 'album'];
+
+// "09:30" -> { hours: 9, minutes: 30 }, or null when it is not a time of day
+export function parseDailyTime(value) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value || '').trim());
+  return match ? { hours: Number(match[1]), minutes: Number(match[2]) } : null;
+}
+
+// The first time after `now` that the IST clock shows `time`
+export function nextRunAt(time, now = new Date()) {
+  const istNow = new Date(now.getTime() + IST_OFFSET_MS);
+  const istRun = Date.UTC(istNow.getUTCFullYear(), istNow.getUTCMonth(), istNow.getUTCDate(), time.hours, time.minutes);
+  const run = istRun - IST_OFFSET_MS;
+  return new Date(run > now.getTime() ? run : run + DAY_MS);
+}
+
+// A deal is live from startsAt (inclusive) until endsAt (exclusive); either may be left out
+export function isDealActive(deal, now = new Date()) {
+  if (deal.startsAt && new Date(deal.startsAt) > now) return false;
+  if (deal.endsAt && new Date(deal.endsAt) <= now) return false;
+  return true;
+}
+
+// Error message for a deal whose validity window cannot be used, or null
+export function dealWindowError(deal) {
+  for (const field of ['startsAt', 'endsAt']) {
+    if (deal[field] && Number.isNaN(new Date(deal[field]).getTime())) {
+      return `${deal.name || 'A deal'}: ${field} must be a date`;
+    }
+  }
+  if (deal.startsAt && deal.endsAt && new Date(deal.startsAt) >= new Date(deal.endsAt)) {
+    return `${deal.name || 'A deal'}: startsAt must be before endsAt`;
+  }
+  return null;
+}
+
+// Runs publish() every day at DAILY_DEALS_TIME (HH:MM, IST); disabled when that is not set.
+// A run missed while the server was down is not caught up, so a restart never posts the same day twice.
+export function createDailyDealsScheduler({ publish, time = process.env.DAILY_DEALS_TIME }) {
+  const dailyTime = parseDailyTime(time);
+  let timer = null;
+  let nextRun = null;
+
+  if (time && !dailyTime) {
+    console.error(`DAILY_DEALS_TIME "${time}" is not a HH:MM time; the daily deals will not be posted`);
+  }
+
+  function schedule() {
+    nextRun = nextRunAt(dailyTime);
+    timer = setTimeout(async () => {
+      try {
+        await publish();
+      } catch (error) {
+        console.error('Error publishing the daily deals:', error);
+      }
+      schedule();
+    }, nextRun - Date.now());
+    timer.unref();
+  }
+
+  function start() {
+    if (!dailyTime || timer) return;
+    schedule();
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+    nextRun = null;
+  }
+
+  return {
+    enabled: Boolean(dailyTime),
+    time: dailyTime ? `${String(dailyTime.hours).padStart(2, '0')}:${String(dailyTime.minutes).padStart(2, '0')}` : null,
+    start,
+    stop,
+    nextRunAt: () => nextRun
+  };
+}
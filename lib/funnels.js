@@ -0,0 +1,139 @@
+import { searchTerms } from './search-report.js';
+import { bucketStart } from './analytics.js';
+
+// Search -> results shown -> product viewed -> Order Now clicked, rebuilt from raw analytics events.
+// A chat's events are split into sessions wherever it goes quiet for longer than the session gap.
+// A view or click counts towards the latest search in the same session that showed that product;
+// views and clicks that no search led to (today's deals, broadcasts, alerts) only count per product.
+
+export const DEFAULT_SESSION_GAP_MINUTES = 30;
+
+const STEPS = ['searches', 'shown', 'viewed', 'clicked'];
+
+const emptyFunnel = () => Object.fromEntries(STEPS.map(step => [step, 0]));
+
+// Fraction rounded for display; null when there is nothing to divide by
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null);
+
+function withRates(funnel) {
+  return {
+    ...funnel,
+    shownRate: rate(funnel.shown, funnel.searches),
+    viewRate: rate(funnel.viewed, funnel.shown),
+    clickRate: rate(funnel.clicked, funnel.viewed),
+    conversionRate: rate(funnel.clicked, funnel.searches)
+  };
+}
+
+const idOf = (value) => (value === undefined || value === null ? null : String(value));
+
+// One entry per search, with what followed it in its session
+function sessionSearches(events, sessionGapMs) {
+  const byChat = new Map();
+  for (const event of events) {
+    const chatId = idOf(event.chatId);
+    if (chatId === null) continue;
+    if (!byChat.has(chatId)) byChat.set(chatId, []);
+    byChat.get(chatId).push(event);
+  }
+
+  const searches = [];
+  for (const chatEvents of byChat.values()) {
+    chatEvents.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    let session = [];
+    let lastAt = null;
+
+    for (const event of chatEvents) {
+      const at = new Date(event.timestamp);
+      if (lastAt === null || at - lastAt > sessionGapMs) session = [];
+      lastAt = at;
+
+      const productId = idOf(event.productId);
+      // Latest search in this session that listed the product
+      const searchShowing = () => [...session].reverse().find(search => search.productIds.has(productId));
+
+      if (event.type === 'query') {
+        const search = { terms: searchTerms(event.query), at, productIds: new Set(), viewed: false, clicked: false };
+        session.push(search);
+        searches.push(search);
+      } else if (event.type === 'results_shown') {
+        const terms = searchTerms(event.query);
+        const search = [...session].reverse().find(s => s.terms === terms) || session[session.length - 1];
+        const ids = (event.data && event.data.productIds) || [];
+        if (search) ids.forEach(id => search.productIds.add(String(id)));
+      } else if (event.type === 'product_view' && productId !== null) {
+        const search = searchShowing();
+        if (search) search.viewed = true;
+      } else if (event.type === 'click' && productId !== null) {
+        const search = searchShowing();
+        if (search) search.clicked = true;
+      }
+    }
+  }
+  return searches;
+}
+
+function addSearch(funnel, search) {
+  funnel.searches++;
+  if (search.productIds.size > 0) funnel.shown++;
+  if (search.viewed) funnel.viewed++;
+  if (search.clicked) funnel.clicked++;
+}
+
+// Funnels from the events of a period (query, results_shown, product_view and click; others are ignored).
+// Returns { totals, byDay, byQuery, byProduct, topConvertingQueries }:
+//   totals/byDay/byQuery  counts of searches that got each far, with rates between the steps
+//   byProduct             impressions in search results, views and clicks from any source, and CTR (clicks per view)
+//   topConvertingQueries  queries searched at least minSearches times, by share of searches ending in a click
+export function buildFunnels(events, {
+  sessionGapMinutes = DEFAULT_SESSION_GAP_MINUTES,
+  limit = 50,
+  minSearches = 2
+} = {}) {
+  const searches = sessionSearches(events, sessionGapMinutes * 60 * 1000);
+
+  const totals = emptyFunnel();
+  const byDay = new Map();
+  const byQuery = new Map();
+  for (const search of searches) {
+    addSearch(totals, search);
+    const day = bucketStart(search.at, 'day').slice(0, 10);
+    if (!byDay.has(day)) byDay.set(day, emptyFunnel());
+    addSearch(byDay.get(day), search);
+    if (!search.terms) continue;
+    if (!byQuery.has(search.terms)) byQuery.set(search.terms, emptyFunnel());
+    addSearch(byQuery.get(search.terms), search);
+  }
+
+  const products = new Map();
+  const productStats = (id) => {
+    if (!products.has(id)) products.set(id, { productId: id, impressions: 0, views: 0, clicks: 0 });
+    return products.get(id);
+  };
+  for (const event of events) {
+    const productId = idOf(event.productId);
+    if (event.type === 'results_shown') {
+      ((event.data && event.data.productIds) || []).forEach(id => productStats(String(id)).impressions++);
+    } else if (event.type === 'product_view' && productId !== null) {
+      productStats(productId).views++;
+    } else if (event.type === 'click' && productId !== null) {
+      productStats(productId).clicks++;
+    }
+  }
+
+  const queryRows = [...byQuery].map(([terms, funnel]) => ({ terms, ...withRates(funnel) }));
+
+  return {
+    totals: withRates(totals),
+    byDay: [...byDay].sort(([a], [b]) => a.localeCompare(b)).map(([day, funnel]) => ({ day, ...withRates(funnel) })),
+    byQuery: [...queryRows].sort((a, b) => b.searches - a.searches || b.clicked - a.clicked).slice(0, limit),
+    byProduct: [...products.values()]
+      .map(stats => ({ ...stats, ctr: rate(stats.clicks, stats.views) }))
+      .sort((a, b) => b.clicks - a.clicks || b.views - a.views || b.impressions - a.impressions)
+      .slice(0, limit),
+    topConvertingQueries: queryRows
+      .filter(row => row.searches >= minSearches && row.clicked > 0)
+      .sort((a, b) => b.conversionRate - a.conversionRate || b.clicked - a.clicked)
+      .slice(0, limit)
+  };
+}
@@ -0,0 +1,38 @@
+// Telling which group messages are meant for the bot. In private chats everything is; in groups
+// the bot only answers when it is mentioned, when someone replies to it, or through a command.
+
+// Matches /name, /name@SomeBot and either followed by arguments; match[1] is the bot username, match[2] the arguments
+export function commandPattern(name) {
+  return new RegExp(`^/${name}(?:@(\\w+))?(?:\\s+([\\s\\S]*))?$`, 'i');
+}
+
+// "/start@OtherBot" in a group with several bots is for the other bot.
+// Until our username is known every addressed command is accepted.
+export function isForThisBot(addressedTo, botUsername) {
+  if (!addressedTo || !botUsername) return true;
+  return addressedTo.toLowerCase() === botUsername.toLowerCase();
+}
+
+export function isPrivateChat(chat) {
+  return Boolean(chat) && chat.type === 'private';
+}
+
+// botIdentity: { id, username }, either of which may still be unknown
+export function isAddressedToBot(msg, botIdentity) {
+  if (isPrivateChat(msg.chat)) return true;
+
+  const reply = msg.reply_to_message;
+  if (reply && reply.from && botIdentity.id && reply.from.id === botIdentity.id) return true;
+
+  const mention = botIdentity.username ? `@${botIdentity.username}`.toLowerCase() : null;
+  return (msg.entities || []).some(entity =>
+    (entity.type === 'mention' && mention && msg.text.substr(entity.offset, entity.length).toLowerCase() === mention) ||
+    (entity.type === 'text_mention' && entity.user && botIdentity.id && entity.user.id === botIdentity.id)
+  );
+}
+
+// "@OurBot air fryer" -> "air fryer"
+export function stripBotMention(text, botUsername) {
+  if (!botUsername) return text.trim();
+  return text.replace(new RegExp(`@${botUsername}\\b`, 'gi'), ' ').replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,10 @@
+// Catalog text put into the pages the server renders itself; quotes are escaped too, so the result
+// is also safe inside quoted attributes (src="...", alt="...")
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
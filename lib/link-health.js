@@ -0,0 +1,160 @@
+import axios from 'axios';
+
+// Catalog link health: every product and deal image and buy link is fetched now and then, and the latest
+// result per URL is kept in storage.linkChecks. Cards leave broken images out (see sendCard in server.js)
+// and the catalog manager flags broken items. Images Telegram refused are stored there too, apart from
+// the check results, because an image that loads fine can still be one Telegram will not take.
+
+// ok: the link works; broken: it is gone (4xx, no such host, not an image);
+// unreachable: the site did not answer or turned the checker away, which says nothing about the link itself
+export const LINK_STATUSES = ['ok', 'broken', 'unreachable'];
+
+// Stores answer these to clients they take for bots
+const REFUSED_STATUSES = [401, 403, 429];
+const GONE_ERRORS = ['ENOTFOUND', 'ERR_INVALID_URL'];
+const USER_AGENT = 'Mozilla/5.0 (compatible; ProductBotLinkChecker/1.0)';
+
+// Telegram's answers when it cannot use a photo URL
+const TELEGRAM_IMAGE_ERRORS = /wrong file identifier|failed to get HTTP URL content|wrong type of the web page content|IMAGE_PROCESS_FAILED|PHOTO_INVALID_DIMENSIONS|WEBPAGE_CURL_FAILED|WEBPAGE_MEDIA_EMPTY/i;
+
+export function isImageError(error) {
+  const statusCode = error.response ? error.response.statusCode : null;
+  return statusCode === 400 && TELEGRAM_IMAGE_ERRORS.test(error.message);
+}
+
+// HEAD the URL, or GET it when HEAD is refused (some sites only answer GET); redirects are followed.
+// Resolves with { status, httpStatus, error, checkedAt }; image: true also requires an image content type.
+export async function checkLink(url, { image = false, timeoutMs = 10000 } = {}) {
+  const checkedAt = new Date().toISOString();
+  const request = async (method) => {
+    const response = await axios.request({
+      url,
+      method,
+      timeout: timeoutMs,
+      maxRedirects: 5,
+      responseType: 'stream',
+      validateStatus: () => true,
+      headers: { 'User-Agent': USER_AGENT }
+    });
+    response.data.destroy();
+    return response;
+  };
+
+  let response;
+  try {
+    if (!/^https?:\/\//i.test(url)) throw Object.assign(new Error('Not an http(s) URL'), { code: 'ERR_INVALID_URL' });
+    response = await request('HEAD');
+    if (response.status >= 400) response = await request('GET');
+  } catch (error) {
+    return {
+      status: GONE_ERRORS.includes(error.code) ? 'broken' : 'unreachable',
+      httpStatus: null,
+      error: error.code || error.message,
+      checkedAt
+    };
+  }
+
+  const httpStatus = response.status;
+  if (httpStatus >= 500 || REFUSED_STATUSES.includes(httpStatus)) {
+    return { status: 'unreachable', httpStatus, error: `HTTP ${httpStatus}`, checkedAt };
+  }
+  if (httpStatus >= 400) {
+    return { status: 'broken', httpStatus, error: `HTTP ${httpStatus}`, checkedAt };
+  }
+  const contentType = String(response.headers['content-type'] || '');
+  if (image && contentType && !contentType.toLowerCase().startsWith('image/')) {
+    return { status: 'broken', httpStatus, error: `Not an image (${contentType.split(';')[0]})`, checkedAt };
+  }
+  return { status: 'ok', httpStatus, error: null, checkedAt };
+}
+
+// Every image, buy link and store offer link of the products and deals, as
+// [{ type: 'product' | 'deal', id, name, field, url, image }] where image says the URL is a picture
+export function catalogLinks(products, deals) {
+  const links = [];
+  const add = (type, item) => {
+    const link = (field, url, image = false) => {
+      if (url) links.push({ type, id: item.id ?? null, name: item.name, field, url, image });
+    };
+    link('image', item.image, true);
+    link('buyLink', item.buyLink);
+    (Array.isArray(item.offers) ? item.offers : []).forEach((offer, index) => link(`offers[${index}].link`, offer.link));
+  };
+  products.forEach(product => add('product', product));
+  deals.forEach(deal => add('deal', deal));
+  return links;
+}
+
+// Checks the whole catalog every CATALOG_CHECK_INTERVAL_MINUTES (default 360; 0 turns it off).
+// URLs are checked one at a time, each once per run however many items share it.
+export function createCatalogHealthChecker({
+  storage,
+  check = checkLink,
+  intervalMinutes = Number(process.env.CATALOG_CHECK_INTERVAL_MINUTES ?? 360)
+}) {
+  const intervalMs = intervalMinutes * 60 * 1000;
+  let timer = null;
+  let running = null;
+  let lastRun = null;
+
+  async function checkCatalog() {
+    const startedAt = new Date().toISOString();
+    const urls = new Map();
+    for (const link of catalogLinks(await storage.products.list(), await storage.deals.list())) {
+      urls.set(link.url, urls.get(link.url) || link.image);
+    }
+
+    const counts = Object.fromEntries(LINK_STATUSES.map(status => [status, 0]));
+    for (const [url, image] of urls) {
+      const result = await check(url, { image });
+      await storage.linkChecks.record(url, result);
+      counts[result.status]++;
+    }
+    await storage.linkChecks.prune([...urls.keys()]);
+
+    lastRun = { startedAt, finishedAt: new Date().toISOString(), checked: urls.size, ...counts };
+    return lastRun;
+  }
+
+  // A run already under way is joined rather than started again
+  function runOnce() {
+    if (!running) running = checkCatalog().finally(() => { running = null; });
+    return running;
+  }
+
+  function scheduled() {
+    runOnce()
+      .then(run => console.log(`Checked ${run.checked} catalog links: ${run.broken} broken, ${run.unreachable} unreachable`))
+      .catch(error => console.error('Error checking catalog links:', error));
+  }
+
+  // The first run waits for the interval since the newest stored check, so restarts do not re-check everything
+  async function start() {
+    if (!(intervalMs > 0) || timer) return;
+    const checks = await storage.linkChecks.list();
+    const newest = Math.max(0, ...checks.map(entry => new Date(entry.checkedAt).getTime()));
+    const firstDelay = Math.max(newest + intervalMs - Date.now(), 60 * 1000);
+    timer = setTimeout(() => {
+      scheduled();
+      timer = setInterval(scheduled, intervalMs);
+      timer.unref();
+    }, firstDelay);
+    timer.unref();
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    enabled: intervalMs > 0,
+    intervalMinutes,
+    start,
+    stop,
+    runOnce,
+    running: () => Boolean(running),
+    lastRun: () => lastRun
+  };
+}
@@ -0,0 +1,53 @@
+// Store offers: a product sold by several stores carries one offer per store,
+// product.offers = [{ store, price, mrp, link, inStock, lastChecked }].
+// A product with offers takes its price, mrp and buyLink from its best offer (see validateProduct),
+// so search, sorting, price history and price alerts go by the best price.
+
+// Store key -> name shown to shoppers
+export const STORES = {
+  amazon: 'Amazon',
+  flipkart: 'Flipkart',
+  meesho: 'Meesho',
+  shopsy: 'Shopsy'
+};
+
+// Hosts (and their subdomains) of each store, including its short-link domains
+const STORE_HOSTS = {
+  amazon: ['amazon.in', 'amazon.com', 'amzn.to', 'amzn.in', 'amzn.eu'],
+  flipkart: ['flipkart.com', 'fkrt.it', 'fkrt.cc'],
+  meesho: ['meesho.com', 'msho.in'],
+  shopsy: ['shopsy.in']
+};
+
+export const storeName = (store) => (Object.hasOwn(STORES, store) ? STORES[store] : store);
+
+// The store a link points at, or null for other sites
+export function storeFromUrl(value) {
+  let host;
+  try {
+    host = new URL(value).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+  const store = Object.keys(STORE_HOSTS).find(key =>
+    STORE_HOSTS[key].some(domain => host === domain || host.endsWith(`.${domain}`)));
+  return store || null;
+}
+
+// In-stock offers first, each group cheapest first
+export function sortOffers(offers) {
+  return [...offers].sort((a, b) =>
+    (a.inStock === false) - (b.inStock === false) ||
+    Number(a.price) - Number(b.price) ||
+    storeName(a.store).localeCompare(storeName(b.store)));
+}
+
+// The cheapest offer in stock, or the cheapest one when none is; null without offers
+export function bestOffer(offers) {
+  return Array.isArray(offers) && offers.length > 0 ? sortOffers(offers)[0] : null;
+}
+
+// A product's offers for the comparison on its card and page; empty for single-link products
+export function productOffers(product) {
+  return Array.isArray(product.offers) ? sortOffers(product.offers) : [];
+}
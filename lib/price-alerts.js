@@ -0,0 +1,55 @@
+import { escapeTelegramHtml } from './telegram-html.js';
+
+// Price-drop alerts. A subscriber watches a product, optionally with a target price, and is messaged
+// when its price is lowered through the admin API to a level they have not been told about yet.
+
+// A watch fires when the price drops below its base price and, if a target was set, reaches the target
+export function alertIsDue(alert, newPrice) {
+  if (!(newPrice < alert.basePrice)) return false;
+  return alert.targetPrice === null || alert.targetPrice === undefined || newPrice <= alert.targetPrice;
+}
+
+// 10% and 20% under the current price, offered as one-tap targets
+export function suggestedTargets(price) {
+  return [0.9, 0.8]
+    .map(factor => Math.floor(price * factor))
+    .filter((target, index, all) => target > 0 && all.indexOf(target) === index);
+}
+
+export function createPriceAlerts({ bot, storage, orderLink }) {
+  async function notify(alert, product, price) {
+    const message = `
+<b>🔔 Price drop!</b>
+<b>${escapeTelegramHtml(product.name)}</b> is now <b>₹${price.toFixed(2)}</b> (was ₹${Number(alert.basePrice).toFixed(2)}).
+`;
+    await bot.sendMessage(alert.chatId, message, {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [[{ text: 'Order Now', url: orderLink(product.id, alert.chatId) }]]
+      }
+    });
+    await storage.priceAlerts.markNotified(alert.chatId, product.id, price);
+  }
+
+  // Message everyone watching `product` whose threshold its current price meets; resolves with how many were told
+  async function notifyWatchers(product) {
+    const price = Number(product.price);
+    const alerts = await storage.priceAlerts.listForProduct(product.id);
+    let notified = 0;
+
+    for (const alert of alerts.filter(watch => alertIsDue(watch, price))) {
+      try {
+        await notify(alert, product, price);
+        notified++;
+      } catch (error) {
+        console.error(`Error sending price alert to chat ID ${alert.chatId}:`, error.message);
+        if (error.response && error.response.statusCode === 403) {
+          await storage.subscribers.update(alert.chatId, { blocked: true }).catch(() => {});
+        }
+      }
+    }
+    return notified;
+  }
+
+  return { notifyWatchers };
+}
@@ -0,0 +1,36 @@
+// Summaries of a product's recorded prices, used on the product page and in the bot's product caption
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECENT_DAYS = 30;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// history: [{ price, mrp, recordedAt }] oldest first, as returned by storage.priceHistory.list().
+// `recent` covers the prices in effect during the last `days` days, including the one in effect when that
+// period began. isRecentLow is only true when the current price is the lowest of that period and it has
+// actually been higher, so a price that never changed is not advertised as a low.
+export function summarizePriceHistory(history, currentPrice, { days = RECENT_DAYS, now = new Date() } = {}) {
+  const current = Number(currentPrice);
+  const prices = history.length > 0 ? history.map(entry => entry.price) : [current];
+
+  const periodStart = now.getTime() - days * DAY_MS;
+  const inPeriod = history.filter(entry => new Date(entry.recordedAt).getTime() >= periodStart);
+  const before = history.filter(entry => new Date(entry.recordedAt).getTime() < periodStart).at(-1);
+  const recentPrices = [...(before ? [before.price] : []), ...inPeriod.map(entry => entry.price), current];
+
+  const recent = {
+    days,
+    lowest: Math.min(...recentPrices),
+    highest: Math.max(...recentPrices)
+  };
+
+  return {
+    current,
+    lowest: Math.min(...prices, current),
+    highest: Math.max(...prices, current),
+    average: round2(prices.reduce((sum, price) => sum + price, 0) / prices.length),
+    changes: Math.max(history.length - 1, 0),
+    recent,
+    isRecentLow: current <= recent.lowest && recent.highest > current
+  };
+}
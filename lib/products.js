@@ -0,0 +1,333 @@
+import { matchesFilters, sortProducts } from './query-parser.js';
+import { searchProducts } from './search.js';
+import { toCsv } from './csv.js';
+import { filterByCategory } from './categories.js';
+import { STORES, storeName, storeFromUrl, bestOffer } from './offers.js';
+
+// Product validation, admin listing (filter/sort/paginate) and CSV conversion for the product API
+
+// Counters the bot maintains; the API never takes them from a request body
+const MANAGED_FIELDS = ['id', 'views', 'clicks'];
+
+// Keys that would reach Object.prototype (or replace the product's prototype) if copied across
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+const URL_FIELDS = ['buyLink', 'image', 'productLink'];
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+// '12.5' and 12.5 are both fine; '' and 'abc' are not
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value.trim());
+  return NaN;
+}
+
+// true/false, or the strings a CSV or form would send
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(text)) return true;
+  if (['false', '0', 'no'].includes(text)) return false;
+  return null;
+}
+
+// Disabled products stay in the catalog but are hidden from shoppers
+export function isListed(product) {
+  return product.enabled !== false;
+}
+
+// Accepts an array or a comma separated string
+function toKeywords(value) {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(keyword => String(keyword).trim()).filter(Boolean);
+}
+
+const STORE_KEYS = Object.keys(STORES).join(', ');
+
+// Check a product's store offers (see lib/offers.js); errors name the offer as offers[<index>].<field>.
+// The store can be left out when the link shows it. Offers saved without lastChecked were checked now.
+function validateOffers(value, now = new Date()) {
+  if (!Array.isArray(value)) {
+    return { offers: [], errors: [{ field: 'offers', message: 'Offers must be an array' }] };
+  }
+
+  const errors = [];
+  const offers = [];
+  const stores = new Set();
+  value.forEach((input, index) => {
+    const field = (name) => `offers[${index}].${name}`;
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+      errors.push({ field: `offers[${index}]`, message: 'Offer must be an object' });
+      return;
+    }
+    const offer = {};
+
+    const store = String(input.store ?? '').trim().toLowerCase() || storeFromUrl(input.link);
+    if (!store || !Object.hasOwn(STORES, store)) {
+      errors.push({ field: field('store'), message: `Store must be one of ${STORE_KEYS}` });
+    } else if (stores.has(store)) {
+      errors.push({ field: field('store'), message: `${storeName(store)} already has an offer` });
+    } else {
+      stores.add(store);
+      offer.store = store;
+    }
+
+    const price = toNumber(input.price);
+    if (!Number.isFinite(price) || price < 0) {
+      errors.push({ field: field('price'), message: 'Price must be a number of 0 or more' });
+    } else {
+      offer.price = price;
+    }
+
+    if (input.mrp === undefined || input.mrp === null || input.mrp === '') {
+      if (offer.price !== undefined) offer.mrp = offer.price;
+    } else {
+      const mrp = toNumber(input.mrp);
+      if (!Number.isFinite(mrp) || mrp < 0) {
+        errors.push({ field: field('mrp'), message: 'MRP must be a number of 0 or more' });
+      } else if (offer.price !== undefined && offer.price > mrp) {
+        errors.push({ field: field('mrp'), message: 'MRP must not be lower than the price' });
+      } else {
+        offer.mrp = mrp;
+      }
+    }
+
+    if (typeof input.link !== 'string' || !isHttpUrl(input.link.trim())) {
+      errors.push({ field: field('link'), message: 'Link must be an http(s) URL' });
+    } else {
+      offer.link = input.link.trim();
+    }
+
+    if (input.inStock === undefined || input.inStock === null || input.inStock === '') {
+      offer.inStock = true;
+    } else if (toBoolean(input.inStock) === null) {
+      errors.push({ field: field('inStock'), message: 'In stock must be true or false' });
+    } else {
+      offer.inStock = toBoolean(input.inStock);
+    }
+
+    if (input.lastChecked === undefined || input.lastChecked === null || input.lastChecked === '') {
+      offer.lastChecked = now.toISOString();
+    } else if (Number.isNaN(new Date(input.lastChecked).getTime())) {
+      errors.push({ field: field('lastChecked'), message: 'Last checked must be a date' });
+    } else {
+      offer.lastChecked = new Date(input.lastChecked).toISOString();
+    }
+
+    offers.push(offer);
+  });
+
+  return { offers, errors };
+}
+
+// Check and normalise a complete product (for updates, the stored product merged with the changes).
+// Returns { product, errors }, where errors is [{ field, message }] and empty when the product is valid.
+// categoryIds, when given, are the category ids a product may point at (see lib/categories.js).
+// Fields this module does not know about (productLink, ...) are kept as they are.
+// A product with store offers gets its price, mrp and buyLink from the best offer; offers: null removes them.
+export function validateProduct(input, { categoryIds } = {}) {
+  const errors = [];
+  const product = {};
+
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { product, errors: [{ field: null, message: 'Product must be an object' }] };
+  }
+
+  for (const [key, value] of Object.entries(input)) {
+    if (!MANAGED_FIELDS.includes(key) && !UNSAFE_KEYS.includes(key)) product[key] = value;
+  }
+
+  if (input.offers === null) {
+    product.offers = [];
+  } else if (input.offers !== undefined) {
+    const { offers, errors: offerErrors } = validateOffers(input.offers);
+    errors.push(...offerErrors);
+    product.offers = offers;
+    // The checks below then see the best offer's values in place of the product's own
+    const best = offerErrors.length === 0 ? bestOffer(offers) : null;
+    if (best) input = { ...input, price: best.price, mrp: best.mrp, buyLink: best.link };
+  }
+
+  if (typeof input.name !== 'string' || input.name.trim() === '') {
+    errors.push({ field: 'name', message: 'Name is required' });
+  } else {
+    product.name = input.name.trim();
+  }
+
+  product.description = input.description === undefined || input.description === null ? '' : String(input.description);
+
+  const price = toNumber(input.price);
+  if (input.price === undefined || input.price === null || input.price === '') {
+    errors.push({ field: 'price', message: 'Price is required' });
+  } else if (!Number.isFinite(price) || price < 0) {
+    errors.push({ field: 'price', message: 'Price must be a number of 0 or more' });
+  } else {
+    product.price = price;
+  }
+
+  if (input.mrp === undefined || input.mrp === null || input.mrp === '') {
+    // Without an MRP the product is simply not discounted
+    if (Number.isFinite(product.price)) product.mrp = product.price;
+  } else {
+    const mrp = toNumber(input.mrp);
+    if (!Number.isFinite(mrp) || mrp < 0) {
+      errors.push({ field: 'mrp', message: 'MRP must be a number of 0 or more' });
+    } else if (Number.isFinite(product.price) && product.price > mrp) {
+      errors.push({ field: 'mrp', message: 'MRP must not be lower than the price' });
+    } else {
+      product.mrp = mrp;
+    }
+  }
+
+  if (input.rating === undefined || input.rating === null || input.rating === '') {
+    product.rating = 0;
+  } else {
+    const rating = toNumber(input.rating);
+    if (!Number.isFinite(rating) || rating < 0 || rating > 5) {
+      errors.push({ field: 'rating', message: 'Rating must be between 0 and 5' });
+    } else {
+      product.rating = rating;
+    }
+  }
+
+  if (input.buyLink === undefined || input.buyLink === null || input.buyLink === '') {
+    errors.push({ field: 'buyLink', message: 'Buy link is required' });
+  }
+  for (const field of URL_FIELDS) {
+    const value = input[field];
+    if (value === undefined || value === null || value === '') continue;
+    if (typeof value !== 'string' || !isHttpUrl(value.trim())) {
+      errors.push({ field, message: `${field} must be an http(s) URL` });
+    } else {
+      product[field] = value.trim();
+    }
+  }
+
+  if (input.keywords === undefined || input.keywords === null) {
+    product.keywords = [];
+  } else if (Array.isArray(input.keywords) || typeof input.keywords === 'string') {
+    product.keywords = toKeywords(input.keywords);
+  } else {
+    errors.push({ field: 'keywords', message: 'Keywords must be an array of strings' });
+  }
+
+  if (input.category === undefined || input.category === null || input.category === '') {
+    product.category = null;
+  } else if (categoryIds && !categoryIds.has(String(input.category))) {
+    errors.push({ field: 'category', message: 'Unknown category' });
+  } else {
+    product.category = String(input.category);
+  }
+
+  if (input.enabled === undefined || input.enabled === null || input.enabled === '') {
+    product.enabled = true;
+  } else if (toBoolean(input.enabled) === null) {
+    errors.push({ field: 'enabled', message: 'Enabled must be true or false' });
+  } else {
+    product.enabled = toBoolean(input.enabled);
+  }
+
+  return { product, errors };
+}
+
+const ADMIN_SORTERS = {
+  name_asc: (a, b) => String(a.name).localeCompare(String(b.name)),
+  views_desc: (a, b) => (b.views || 0) - (a.views || 0),
+  clicks_desc: (a, b) => (b.clicks || 0) - (a.clicks || 0),
+  newest: (a, b) => Number(b.id) - Number(a.id)
+};
+
+export const PRODUCT_SORTS = ['price_asc', 'price_desc', 'rating_desc', 'discount_desc', ...Object.keys(ADMIN_SORTERS)];
+
+const MAX_PAGE_SIZE = 200;
+
+// Filter, sort and paginate for GET /api/products.
+// params (all optional, as query strings): q, minPrice, maxPrice, minRating, minDiscount,
+// status (enabled | disabled), category (an id from `categories`, or none), sort, page, limit.
+// Returns { products, total } or { error } for a bad parameter. Without page/limit every match is returned.
+export function queryProducts(products, params = {}, { categories = [] } = {}) {
+  const filters = {};
+  for (const name of ['minPrice', 'maxPrice', 'minRating', 'minDiscount']) {
+    if (params[name] === undefined || params[name] === '') continue;
+    const value = Number(params[name]);
+    if (!Number.isFinite(value)) return { error: `${name} must be a number` };
+    filters[name] = value;
+  }
+
+  if (params.sort && !PRODUCT_SORTS.includes(params.sort)) {
+    return { error: `sort must be one of ${PRODUCT_SORTS.join(', ')}` };
+  }
+
+  if (params.status && !['enabled', 'disabled'].includes(params.status)) {
+    return { error: 'status must be enabled or disabled' };
+  }
+
+  let inCategory = products;
+  if (params.category) {
+    inCategory = filterByCategory(products, categories, String(params.category));
+    if (!inCategory) return { error: 'Unknown category' };
+  }
+
+  const query = typeof params.q === 'string' ? params.q.trim() : '';
+  let matches = query ? searchProducts(inCategory, query) : inCategory;
+  matches = matches.filter(product =>
+    matchesFilters(product, filters) &&
+    (!params.status || isListed(product) === (params.status === 'enabled'))
+  );
+  if (params.sort) {
+    matches = ADMIN_SORTERS[params.sort] ? [...matches].sort(ADMIN_SORTERS[params.sort]) : sortProducts(matches, params.sort);
+  }
+
+  const total = matches.length;
+  if (params.page === undefined && params.limit === undefined) {
+    return { products: matches, total };
+  }
+
+  const page = parseInt(params.page ?? 1, 10);
+  const limit = parseInt(params.limit ?? 20, 10);
+  if (!(page >= 1)) return { error: 'page must be 1 or more' };
+  if (!(limit >= 1 && limit <= MAX_PAGE_SIZE)) return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  return { products: matches.slice((page - 1) * limit, page * limit), total, page, limit };
+}
+
+// Column order for CSV export/import; keywords are joined with "|" so they can contain commas
+export const CSV_COLUMNS = [
+  'id', 'name', 'description', 'price', 'mrp', 'rating', 'image', 'buyLink', 'keywords', 'category', 'enabled', 'views',
+  'clicks'
+];
+
+// Spreadsheets run cells starting with these as formulas, so exported text starting with one gets a leading '
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const spreadsheetSafe = (value) => (typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value);
+
+export function productsToCsv(products) {
+  return toCsv(CSV_COLUMNS, products.map(product => {
+    const row = {
+      ...product,
+      keywords: Array.isArray(product.keywords) ? product.keywords.join('|') : '',
+      enabled: isListed(product)
+    };
+    return Object.fromEntries(CSV_COLUMNS.map(column => [column, spreadsheetSafe(row[column])]));
+  }));
+}
+
+// A CSV record (header -> string) as a product body for validateProduct; empty cells count as missing.
+// The ' productsToCsv puts before formula-like text is taken off again.
+export function productFromCsvRecord(record) {
+  const product = {};
+  for (const [column, text] of Object.entries(record)) {
+    if (text === '' || column === 'views' || column === 'clicks') continue;
+    const value = text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+    product[column] = column === 'keywords' ? value.split('|') : value;
+  }
+  return product;
+}
@@ -0,0 +1,169 @@
+// Pull price, rating, discount and ordering hints out of a free-text search
+// ("earbuds under 800", "4 star boiler", "cheapest buds", "50% off kettle").
+// Whatever is left over is the text to search for.
+
+const CURRENCY = '(?:₹|rs\\.?|inr|rupees?)';
+// Captures the number and an optional "k" multiplier, e.g. "₹1,499", "1.5k", "500 rs", "999/-"
+const AMOUNT = `${CURRENCY}?\\s*(\\d[\\d,]*(?:\\.\\d+)?)\\s*(k)?\\b(?:\\s*${CURRENCY}|\\s*\\/-)?`;
+
+const PRICE_RANGE_PATTERNS = [
+  new RegExp(`\\bbetween\\s+${AMOUNT}\\s*(?:and|to|-)\\s*${AMOUNT}`, 'i'),
+  new RegExp(`${CURRENCY}\\s*(\\d[\\d,]*(?:\\.\\d+)?)\\s*(k)?\\s*(?:-|to)\\s*${AMOUNT}`, 'i')
+];
+
+const MAX_PRICE_PATTERN = new RegExp(
+  `(?:\\bunder|\\bbelow|\\bless than|\\bcheaper than|\\bup\\s*to|\\bwithin|\\bmax(?:imum)?|\\bnot more than|\\bbudget(?: of)?|<=?)\\s*${AMOUNT}`,
+  'i'
+);
+
+const MIN_PRICE_PATTERN = new RegExp(
+  `(?:\\babove|\\bover|\\bmore than|\\bmin(?:imum)?|\\bat least|\\bstarting(?: from| at)?|\\bfrom|>=?)\\s*${AMOUNT}`,
+  'i'
+);
+
+const DISCOUNT_PATTERN = /(?:\b(?:at least|min(?:imum)?|over|above)\s*)?\b(\d{1,2})\s*(?:%|\s*percent\b)\s*\+?\s*(?:off\b|discount\b)?(?:\s*(?:or more|and above|\+))?/i;
+
+const RATING_PATTERNS = [
+  // "4 star", "4.5+ stars", "4★ and above"
+  /(?:\b(?:rated|rating)\s*)?(?:\b(?:above|over|at least|min(?:imum)?)\s*)?\b([0-5](?:\.\d)?)\s*\+?\s*(?:stars?\b|★|⭐)(?:\s*(?:and above|and up|or more|\+|rated\b|rating\b))?/i,
+  // "rated 4", "rating above 4.2"
+  /\b(?:rated|rating)\s*(?:of\s*)?(?:above|over|at least|>=?)?\s*([0-5](?:\.\d)?)\b\+?(?!\s*(?:%|k\b|\d))/i,
+  // "4+ rating", "4.5 rated"
+  /\b([0-5](?:\.\d)?)\s*\+?\s*(?:rated|rating)\b/i
+];
+
+const SORT_PATTERNS = [
+  { sort: 'price_asc', pattern: /\b(?:cheapest|cheap|lowest price|low price|low cost|affordable|budget)\b/i },
+  { sort: 'price_desc', pattern: /\b(?:most expensive|costliest|expensive|highest price|premium)\b/i },
+  { sort: 'rating_desc', pattern: /\b(?:best rated|top rated|highest rated|best rating|top rating|best reviewed)\b/i },
+  { sort: 'discount_desc', pattern: /\b(?:best deals?|biggest discount|highest discount|max(?:imum)? discount|best discount|most discount|best offers?)\b/i }
+];
+
+// Words that only made sense around a filter ("kettle price under 500" -> "kettle")
+const FILLER_PATTERN = /\b(?:price[ds]?|cost|rs|rupees?|inr|range|and above|or more|off|discount|stars?|rated|rating)\b|[₹★⭐%+<>=\/-]/gi;
+
+function toAmount(number, thousands) {
+  const value = parseFloat(number.replace(/,/g, ''));
+  return thousands ? value * 1000 : value;
+}
+
+// Remove the first match of pattern from text, handing its groups to onMatch
+function extract(text, pattern, onMatch) {
+  const match = text.match(pattern);
+  if (!match) return text;
+  onMatch(match);
+  return `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`;
+}
+
+export function parseSearchQuery(input) {
+  let text = String(input || '').toLowerCase();
+  const filters = {};
+  let sort = null;
+
+  text = extract(text, DISCOUNT_PATTERN, match => {
+    filters.minDiscount = Number(match[1]);
+  });
+
+  for (const pattern of RATING_PATTERNS) {
+    const before = text;
+    text = extract(text, pattern, match => {
+      filters.minRating = Number(match[1]);
+    });
+    if (text !== before) break;
+  }
+
+  for (const pattern of PRICE_RANGE_PATTERNS) {
+    const before = text;
+    text = extract(text, pattern, match => {
+      const low = toAmount(match[1], match[2]);
+      const high = toAmount(match[3], match[4]);
+      filters.minPrice = Math.min(low, high);
+      filters.maxPrice = Math.max(low, high);
+    });
+    if (text !== before) break;
+  }
+
+  if (filters.maxPrice === undefined) {
+    text = extract(text, MAX_PRICE_PATTERN, match => {
+      filters.maxPrice = toAmount(match[1], match[2]);
+    });
+  }
+
+  if (filters.minPrice === undefined) {
+    text = extract(text, MIN_PRICE_PATTERN, match => {
+      filters.minPrice = toAmount(match[1], match[2]);
+    });
+  }
+
+  for (const { sort: intent, pattern } of SORT_PATTERNS) {
+    const before = text;
+    text = extract(text, pattern, () => {
+      sort = sort || intent;
+    });
+    if (text !== before) break;
+  }
+
+  const hasFilters = Object.keys(filters).length > 0 || sort !== null;
+  if (hasFilters) {
+    text = text.replace(FILLER_PATTERN, ' ');
+  }
+
+  return {
+    text: text.replace(/\s+/g, ' ').trim(),
+    filters,
+    sort
+  };
+}
+
+export function discountPercent(product) {
+  if (!product.mrp || product.mrp <= product.price) return 0;
+  return ((product.mrp - product.price) / product.mrp) * 100;
+}
+
+// Check a product against the filters returned by parseSearchQuery
+export function matchesFilters(product, filters) {
+  const price = Number(product.price);
+  const rating = Number(product.rating) || 0;
+
+  if (filters.maxPrice !== undefined && !(price <= filters.maxPrice)) return false;
+  if (filters.minPrice !== undefined && !(price >= filters.minPrice)) return false;
+  if (filters.minRating !== undefined && rating < filters.minRating) return false;
+  if (filters.minDiscount !== undefined && discountPercent(product) < filters.minDiscount) return false;
+  return true;
+}
+
+const SORTERS = {
+  price_asc: (a, b) => a.price - b.price,
+  price_desc: (a, b) => b.price - a.price,
+  rating_desc: (a, b) => (b.rating || 0) - (a.rating || 0),
+  discount_desc: (a, b) => discountPercent(b) - discountPercent(a)
+};
+
+// Array.prototype.sort is stable, so equal products keep their relevance order
+export function sortProducts(products, sort) {
+  const sorter = SORTERS[sort];
+  return sorter ? [...products].sort(sorter) : products;
+}
+
+const SORT_LABELS = {
+  price_asc: 'cheapest first',
+  price_desc: 'most expensive first',
+  rating_desc: 'best rated first',
+  discount_desc: 'biggest discount first'
+};
+
+// Human readable summary of what was understood, e.g. "under ₹800 · 4★ & up"
+export function describeQuery({ filters, sort }) {
+  const parts = [];
+  if (filters.minPrice !== undefined && filters.maxPrice !== undefined) {
+    parts.push(`₹${filters.minPrice}–₹${filters.maxPrice}`);
+  } else if (filters.maxPrice !== undefined) {
+    parts.push(`under ₹${filters.maxPrice}`);
+  } else if (filters.minPrice !== undefined) {
+    parts.push(`above ₹${filters.minPrice}`);
+  }
+  if (filters.minRating !== undefined) parts.push(`${filters.minRating}★ & up`);
+  if (filters.minDiscount !== undefined) parts.push(`${filters.minDiscount}%+ off`);
+  if (sort) parts.push(SORT_LABELS[sort]);
+  return parts.join(' · ');
+}
@@ -0,0 +1,58 @@
+import { parseSearchQuery } from './query-parser.js';
+import { normalizeText } from './search.js';
+
+// Searches that found nothing or very little, for the admin search report.
+// Queries are grouped on their search terms with price/rating/sort words taken out, so
+// "Air Fryer under 3000" and "air fryer" count as the same unmet demand.
+
+// The part of a query that names what the user wants; '' for filter-only queries such as "under 500"
+export function searchTerms(query) {
+  return normalizeText(parseSearchQuery(query).text);
+}
+
+// Query events -> { zeroResults, lowResults }, each a list of
+// { terms, searches, users, zeroResultSearches, lastResultCount, lastSearchedAt, examples }
+// sorted by how often the terms were searched. Only searches that found fewer than `below`
+// products count; a group goes under zeroResults when the latest of them found nothing.
+// Events from before result counts were recorded, and failed searches, are skipped.
+export function buildSearchReport(events, { below = 3, limit = 50 } = {}) {
+  const groups = new Map();
+
+  for (const event of events) {
+    const resultCount = event.data ? event.data.resultCount : undefined;
+    if (typeof resultCount !== 'number' || resultCount >= below) continue;
+    const terms = searchTerms(event.query);
+    if (!terms) continue;
+
+    let group = groups.get(terms);
+    if (!group) {
+      group = { terms, searches: 0, chatIds: new Set(), zeroResultSearches: 0, lastResultCount: null, lastSearchedAt: null, examples: [] };
+      groups.set(terms, group);
+    }
+
+    group.searches++;
+    if (resultCount === 0) group.zeroResultSearches++;
+    if (event.chatId !== undefined && event.chatId !== null) group.chatIds.add(String(event.chatId));
+    const at = new Date(event.timestamp);
+    if (!group.lastSearchedAt || at >= group.lastSearchedAt) {
+      group.lastSearchedAt = at;
+      group.lastResultCount = resultCount;
+    }
+    // A few of the original wordings, to show what people actually typed
+    const original = String(event.query).trim();
+    if (group.examples.length < 3 && !group.examples.includes(original)) group.examples.push(original);
+  }
+
+  const rows = [...groups.values()]
+    .map(({ chatIds, lastSearchedAt, ...group }) => ({
+      ...group,
+      users: chatIds.size,
+      lastSearchedAt: lastSearchedAt.toISOString()
+    }))
+    .sort((a, b) => b.searches - a.searches || b.lastSearchedAt.localeCompare(a.lastSearchedAt));
+
+  return {
+    zeroResults: rows.filter(row => row.lastResultCount === 0).slice(0, limit),
+    lowResults: rows.filter(row => row.lastResultCount > 0).slice(0, limit)
+  };
+}
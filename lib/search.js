@@ -0,0 +1,277 @@
+import { parseSearchQuery, matchesFilters, sortProducts } from './query-parser.js';
+
+// Ranked full-text search over the product catalog.
+// Products are indexed on name, keywords and description; queries are tokenized,
+// stemmed and matched exactly, by prefix or within a small edit distance.
+
+const FIELD_WEIGHTS = {
+  name: 3,
+  keywords: 2.5,
+  description: 1
+};
+
+// BM25 tuning constants
+const K1 = 1.2;
+const B = 0.75;
+
+// How much a non-exact match is worth compared to an exact one
+const PREFIX_MATCH_WEIGHT = 0.8;
+const TYPO_MATCH_WEIGHTS = [1, 0.6, 0.4]; // indexed by edit distance
+
+// Results scoring below this fraction of the best hit are dropped as noise
+const RELATIVE_SCORE_CUTOFF = 0.15;
+
+// Fields that say what a product is; a word found only in the description may just be mentioned in passing
+const TITLE_FIELDS = ['name', 'keywords'];
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'any', 'are', 'at', 'be', 'best', 'buy', 'by', 'can', 'do', 'for', 'from',
+  'get', 'good', 'i', 'in', 'is', 'it', 'me', 'my', 'need', 'of', 'on', 'or', 'please', 'show',
+  'some', 'the', 'to', 'want', 'with'
+]);
+
+// Lowercase, strip accents and turn everything that is not a letter or digit into spaces
+export function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+const VOWELS = /[aeiouy]/;
+
+// A small suffix stripper in the spirit of Porter's step 1; good enough for product names
+export function stem(word) {
+  if (word.length <= 3 || /^\d+$/.test(word)) return word;
+
+  let stemmed = word;
+  if (stemmed.endsWith('ies') && stemmed.length > 4) {
+    stemmed = `${stemmed.slice(0, -3)}y`;
+  } else if (stemmed.endsWith('sses')) {
+    stemmed = stemmed.slice(0, -2);
+  } else if (/(xes|zes|ches|shes)$/.test(stemmed)) {
+    stemmed = stemmed.slice(0, -2);
+  } else if (stemmed.endsWith('s') && !/(ss|us|is)$/.test(stemmed)) {
+    stemmed = stemmed.slice(0, -1);
+  }
+
+  for (const suffix of ['ing', 'ed']) {
+    const base = stemmed.slice(0, -suffix.length);
+    if (stemmed.endsWith(suffix) && base.length >= 3 && VOWELS.test(base)) {
+      // "running" -> "runn" -> "run"
+      stemmed = /([^aeiouslz])\1$/.test(base) ? base.slice(0, -1) : base;
+      break;
+    }
+  }
+
+  return stemmed;
+}
+
+// Split text into stemmed search terms, dropping stop words
+export function tokenize(text) {
+  return normalizeText(text)
+    .split(' ')
+    .filter(token => token && !STOP_WORDS.has(token))
+    .map(stem);
+}
+
+// Optimal string alignment distance, giving up once it exceeds maxDistance
+export function editDistance(a, b, maxDistance = 2) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Longer words may have more typos
+function allowedTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+function productFields(product) {
+  return {
+    name: product.name || '',
+    keywords: Array.isArray(product.keywords) ? product.keywords.join(' ') : (product.keywords || ''),
+    description: product.description || ''
+  };
+}
+
+export function createSearchIndex(products) {
+  const documents = []; // { product, order, length, terms: Map(term -> weighted frequency), titleTerms: Set }
+  const postings = new Map(); // term -> Set(document index)
+  let totalLength = 0;
+
+  products.forEach((product, order) => {
+    const terms = new Map();
+    const titleTerms = new Set();
+    let length = 0;
+
+    for (const [field, text] of Object.entries(productFields(product))) {
+      const weight = FIELD_WEIGHTS[field];
+      for (const term of tokenize(text)) {
+        terms.set(term, (terms.get(term) || 0) + weight);
+        if (TITLE_FIELDS.includes(field)) titleTerms.add(term);
+        length += weight;
+      }
+    }
+
+    const docIndex = documents.length;
+    documents.push({ product, order, length, terms, titleTerms, name: normalizeText(product.name) });
+    totalLength += length;
+
+    for (const term of terms.keys()) {
+      if (!postings.has(term)) postings.set(term, new Set());
+      postings.get(term).add(docIndex);
+    }
+  });
+
+  const averageLength = documents.length ? totalLength / documents.length : 0;
+  const vocabulary = [...postings.keys()];
+
+  function idf(term) {
+    const docFrequency = postings.get(term).size;
+    return Math.log(1 + (documents.length - docFrequency + 0.5) / (docFrequency + 0.5));
+  }
+
+  // Find the indexed terms a query term can stand for, with how much each is worth
+  function expandTerm(queryTerm) {
+    const matches = new Map();
+    if (postings.has(queryTerm)) matches.set(queryTerm, 1);
+
+    const maxTypos = allowedTypos(queryTerm);
+    for (const term of vocabulary) {
+      if (term === queryTerm) continue;
+
+      let weight = 0;
+      if (queryTerm.length >= 3 && term.startsWith(queryTerm)) {
+        weight = PREFIX_MATCH_WEIGHT;
+      } else if (maxTypos > 0) {
+        const distance = editDistance(queryTerm, term, maxTypos);
+        if (distance <= maxTypos) weight = TYPO_MATCH_WEIGHTS[distance];
+      }
+
+      if (weight > (matches.get(term) || 0)) matches.set(term, weight);
+    }
+    return matches;
+  }
+
+  function scoreTerm(doc, term) {
+    const frequency = doc.terms.get(term);
+    const norm = K1 * (1 - B + B * (doc.length / (averageLength || 1)));
+    return idf(term) * ((frequency * (K1 + 1)) / (frequency + norm));
+  }
+
+  // Rank products for a free-text query; returns [{ product, score }] best first.
+  // `filter` drops products before the noise cutoff is worked out. `strict` keeps only products whose
+  // name or keywords match every query word, for when the results are about to be re-ordered by
+  // something other than relevance and a passing mention in a description would float to the top.
+  function search(query, { limit, filter, strict = false } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    const scores = new Map(); // document index -> { score, matchedTerms, titleMatches }
+
+    for (const queryTerm of queryTerms) {
+      // Best contribution of this query term per document, and whether it was found in a title field
+      const termScores = new Map();
+      const inTitle = new Set();
+      for (const [term, weight] of expandTerm(queryTerm)) {
+        for (const docIndex of postings.get(term)) {
+          const score = weight * scoreTerm(documents[docIndex], term);
+          if (score > (termScores.get(docIndex) || 0)) termScores.set(docIndex, score);
+          if (documents[docIndex].titleTerms.has(term)) inTitle.add(docIndex);
+        }
+      }
+
+      for (const [docIndex, score] of termScores) {
+        const entry = scores.get(docIndex) || { score: 0, matchedTerms: 0, titleMatches: 0 };
+        entry.score += score;
+        entry.matchedTerms += 1;
+        if (inTitle.has(docIndex)) entry.titleMatches += 1;
+        scores.set(docIndex, entry);
+      }
+    }
+
+    const normalizedQuery = normalizeText(query);
+    const results = [...scores]
+      .filter(([, { titleMatches }]) => !strict || titleMatches === queryTerms.length)
+      .filter(([docIndex]) => !filter || filter(documents[docIndex].product))
+      .map(([docIndex, { score, matchedTerms }]) => {
+        const doc = documents[docIndex];
+        // Prefer products that match every word, and those whose name contains the whole query
+        let finalScore = score * (matchedTerms / queryTerms.length);
+        if (normalizedQuery && doc.name.includes(normalizedQuery)) finalScore *= 1.5;
+        return { product: doc.product, order: doc.order, score: finalScore };
+      });
+
+    // Stable ranking: ties keep catalog order
+    results.sort((a, b) => b.score - a.score || a.order - b.order);
+
+    const cutoff = results.length ? results[0].score * RELATIVE_SCORE_CUTOFF : 0;
+    const ranked = results
+      .filter(result => result.score >= cutoff)
+      .map(({ product, score }) => ({ product, score }));
+
+    return limit ? ranked.slice(0, limit) : ranked;
+  }
+
+  return { search };
+}
+
+// The catalog is re-read for every message, so keep the index until the product list changes
+let cachedIndex = null;
+let cachedSignature = null;
+
+export function searchProducts(products, query, options) {
+  const signature = JSON.stringify(products);
+  if (signature !== cachedSignature) {
+    cachedIndex = createSearchIndex(products);
+    cachedSignature = signature;
+  }
+  return cachedIndex.search(query, options).map(result => result.product);
+}
+
+// Search with price/rating/discount filters and ordering taken from the query itself.
+// Returns the parsed query alongside the matching products.
+export function findProducts(products, query, { limit } = {}) {
+  const parsed = parseSearchQuery(query);
+  const filter = product => matchesFilters(product, parsed.filters);
+  const hasFilters = Object.keys(parsed.filters).length > 0 || parsed.sort !== null;
+
+  let results;
+  if (parsed.text) {
+    // Sorting by price or rating throws away the relevance order, so only clear matches go in,
+    // unless that leaves nothing to show
+    results = parsed.sort ? searchProducts(products, parsed.text, { filter, strict: true }) : [];
+    if (results.length === 0) results = searchProducts(products, parsed.text, { filter });
+  } else {
+    // "under 500" or "cheapest" on its own browses the whole catalog
+    results = hasFilters ? products.filter(filter) : [];
+  }
+
+  results = sortProducts(results, parsed.sort);
+  return { query: parsed, products: limit ? results.slice(0, limit) : results };
+}
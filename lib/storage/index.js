@@ -0,0 +1,53 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createJsonStorage } from './json-store.js';
+import { createPostgresStorage } from './postgres-store.js';
+
+// Picks the storage backend from the environment:
+//   STORAGE_DRIVER=json      JSON files in DATA_DIR (default: the project root)
+//   STORAGE_DRIVER=postgres  PostgreSQL at DATABASE_URL (DATABASE_SSL=true for hosted databases)
+
+// Both backends return the same repositories:
+//   products   list(), get(id), create(product), update(id, changes), replace(id, product), incrementClicks(id), remove(id)
+//   deals      list(), replaceAll(deals) -> the stored deals
+//   analytics  recordEvent(event), listEvents({ type, since, until }), summary(),
+//              timeseries({ granularity, from, to }) -> [{ bucket, metric, value }], pruneEvents(before)
+//   subscribers  list({ activeOnly, dailyDealsOnly }), get(chatId), upsert(profile, { resubscribe }) -> { subscriber, created },
+//              touch(profile) (existing subscribers only),
+//              update(chatId, { blocked, optedOut, dailyDeals }), listUnsynced(), markSynced(chatIds, syncedAt)
+//   broadcasts create({ message, chatIds }), get(id), list({ limit }), nextUnfinished(),
+//              pendingChatIds(id, limit), recordDeliveries(id, results), setStatus(id, status)
+//   priceAlerts  listForChat(chatId), listForProduct(productId), upsert({ chatId, productId, targetPrice, basePrice }),
+//              remove(chatId, productId), markNotified(chatId, productId, price)
+//   priceHistory record(productId, { price, mrp, recordedAt }), list(productId, { since })
+//   channels   list(), get(chatId), upsert({ chatId, title, username, canPost }), update(chatId, { autoPost, canPost, dailyDeals }),
+//              remove(chatId)
+//   categories list(), get(id), create({ id, name, parentId }), update(id, { name, parentId }),
+//              remove(id) (sub-categories move up to its parent)
+//   linkChecks list(), get(url), record(url, { status, httpStatus, error, checkedAt }), prune(keepUrls),
+//              rejectImage(url, error) (Telegram refused it; record() leaves that in place)
+//   wishlists  listForChat(chatId), add({ chatId, productId, savedPrice }) -> { item, created }, remove(chatId, productId),
+//              shareToken(chatId) (made on first use), chatIdForToken(token)
+// plus close() to release connections.
+
+const projectRoot = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+export function storageConfigFromEnv(env = process.env) {
+  return {
+    driver: env.STORAGE_DRIVER || 'json',
+    dataDir: env.DATA_DIR ? path.resolve(env.DATA_DIR) : projectRoot,
+    databaseUrl: env.DATABASE_URL,
+    ssl: env.DATABASE_SSL === 'true'
+  };
+}
+
+export async function createStorage(config = storageConfigFromEnv()) {
+  switch (config.driver) {
+    case 'json':
+      return createJsonStorage(config);
+    case 'postgres':
+      return createPostgresStorage(config);
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${config.driver}" (expected "json" or "postgres")`);
+  }
+}
@@ -0,0 +1,115 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// A JSON document on disk that is safe to update from concurrent handlers:
+//  - updates run one at a time through a queue, so read-modify-write cycles never interleave
+//  - every write goes to a temp file that is fsynced and renamed over the original
+//  - the previous version is kept in a rotating set of backups, used if the file is ever corrupt
+
+const DEFAULT_BACKUP_COUNT = 5;
+const DEFAULT_BACKUP_INTERVAL_MS = 60 * 60 * 1000;
+
+let tempCounter = 0;
+
+export function createJsonFile(file, {
+  defaultValue,
+  backupDir = path.join(path.dirname(file), 'backups'),
+  backupCount = DEFAULT_BACKUP_COUNT,
+  backupIntervalMs = DEFAULT_BACKUP_INTERVAL_MS
+}) {
+  const name = path.basename(file);
+  const emptyValue = () => structuredClone(defaultValue);
+  const backupPath = (n) => path.join(backupDir, `${name}.${n}`);
+
+  let queue = Promise.resolve();
+  let lastBackupAt = 0;
+
+  async function readFrom(target) {
+    const data = await fs.readFile(target, 'utf8');
+    return JSON.parse(data);
+  }
+
+  // Read the current contents, falling back to the newest readable backup if the file is damaged
+  async function read() {
+    try {
+      return await readFrom(file);
+    } catch (error) {
+      if (error.code === 'ENOENT') return emptyValue();
+      console.error(`Error reading ${name}, trying backups:`, error.message);
+    }
+
+    for (let n = 1; n <= backupCount; n++) {
+      try {
+        const data = await readFrom(backupPath(n));
+        console.warn(`Recovered ${name} from ${path.basename(backupPath(n))}`);
+        return data;
+      } catch {
+        // try the next one
+      }
+    }
+    return emptyValue();
+  }
+
+  // Shift name.1 -> name.2 ... and copy the current file to name.1, at most once per interval
+  async function rotateBackups() {
+    if (backupCount <= 0 || Date.now() - lastBackupAt < backupIntervalMs) return;
+
+    try {
+      await fs.access(file);
+    } catch {
+      return; // nothing to back up yet
+    }
+
+    await fs.mkdir(backupDir, { recursive: true });
+    await fs.rm(backupPath(backupCount), { force: true });
+    for (let n = backupCount - 1; n >= 1; n--) {
+      await fs.rename(backupPath(n), backupPath(n + 1)).catch(() => {});
+    }
+    await fs.copyFile(file, backupPath(1));
+    lastBackupAt = Date.now();
+  }
+
+  async function writeAtomic(value) {
+    await rotateBackups();
+
+    const tempFile = `${file}.${process.pid}.${++tempCounter}.tmp`;
+    try {
+      const handle = await fs.open(tempFile, 'w');
+      try {
+        await handle.writeFile(JSON.stringify(value, null, 2));
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.rename(tempFile, file);
+    } catch (error) {
+      // A value that cannot be serialized or a full disk leaves the original untouched and no temp file behind
+      await fs.rm(tempFile, { force: true });
+      throw error;
+    }
+  }
+
+  // Queue fn(currentValue), which returns the value to write (it may mutate and return the same object).
+  // Resolves with the written value once it is on disk.
+  function update(fn) {
+    const run = queue.then(async () => {
+      const value = await fn(await read());
+      await writeAtomic(value);
+      return value;
+    });
+    // Keep the queue going even if this update failed
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  // Create the file with its default contents if it does not exist
+  async function ensure() {
+    try {
+      await fs.access(file);
+    } catch {
+      await update(() => emptyValue());
+    }
+  }
+
+  return { read, update, ensure, file };
+}
@@ -0,0 +1,760 @@
+import path from 'path';
+import crypto from 'crypto';
+import { createJsonFile } from './json-file.js';
+import { METRICS, bucketStart, emptyBuckets, addToBuckets } from '../analytics.js';
+
+// JSON file storage, used for local development and as the default when no database is configured.
+// Each collection lives in its own file; see json-file.js for how writes are kept safe.
+
+const emptyAnalytics = () => ({ events: [], productViews: {}, buckets: emptyBuckets() });
+
+// analytics.json used to hold { queries, traffic, productViews }; turn old queries into events
+function upgradeAnalytics(data) {
+  if (!data.events) {
+    data.events = (data.queries || []).map(query => ({
+      type: 'query',
+      chatId: query.chatId,
+      query: query.query,
+      status: query.status,
+      timestamp: query.timestamp
+    }));
+    delete data.queries;
+    delete data.traffic;
+  }
+  data.productViews = data.productViews || {};
+  if (!data.buckets) {
+    data.buckets = emptyBuckets();
+    data.events.forEach(event => addToBuckets(data.buckets, event));
+  }
+  return data;
+}
+
+// users.json held { chatid, firstName, lastName, userName, userLogin, timestamp } rows
+function upgradeUser(user) {
+  const joinedAt = user.timestamp ? new Date(`${user.timestamp.replace(' ', 'T')}Z`) : new Date();
+  const joined = Number.isNaN(joinedAt.getTime()) ? new Date().toISOString() : joinedAt.toISOString();
+  return {
+    chatId: String(user.chatid),
+    firstName: user.firstName || '',
+    lastName: user.lastName || '',
+    username: user.userName || '',
+    languageCode: '',
+    joinedAt: joined,
+    lastSeenAt: joined,
+    blocked: false,
+    optedOut: false,
+    dailyDeals: false,
+    updatedAt: joined,
+    syncedAt: null
+  };
+}
+
+const FINISHED_BROADCAST_STATUSES = ['completed', 'failed'];
+const BROADCAST_ERROR_LIMIT = 50;
+
+// A broadcast job without its delivery list, plus counts per delivery status
+function summarizeBroadcast({ deliveries, ...job }) {
+  const count = (status) => deliveries.filter(delivery => delivery.status === status).length;
+  return {
+    ...job,
+    total: deliveries.length,
+    sent: count('sent'),
+    failed: count('failed'),
+    blocked: count('blocked'),
+    pending: count('pending')
+  };
+}
+
+function sameId(a, b) {
+  return a.toString() === b.toString();
+}
+
+export async function createJsonStorage({ dataDir }) {
+  const backupDir = path.join(dataDir, 'backups');
+  const files = {
+    products: createJsonFile(path.join(dataDir, 'products.json'), { defaultValue: [], backupDir }),
+    deals: createJsonFile(path.join(dataDir, 'today-deals.json'), { defaultValue: [], backupDir }),
+    analytics: createJsonFile(path.join(dataDir, 'analytics.json'), { defaultValue: emptyAnalytics(), backupDir }),
+    subscribers: createJsonFile(path.join(dataDir, 'subscribers.json'), { defaultValue: [], backupDir }),
+    broadcasts: createJsonFile(path.join(dataDir, 'broadcasts.json'), { defaultValue: [], backupDir }),
+    priceAlerts: createJsonFile(path.join(dataDir, 'price-alerts.json'), { defaultValue: [], backupDir }),
+    // { [productId]: [{ price, mrp, recordedAt }] }
+    priceHistory: createJsonFile(path.join(dataDir, 'price-history.json'), { defaultValue: {}, backupDir }),
+    channels: createJsonFile(path.join(dataDir, 'channels.json'), { defaultValue: [], backupDir }),
+    categories: createJsonFile(path.join(dataDir, 'categories.json'), { defaultValue: [], backupDir }),
+    // { [url]: { status, httpStatus, error, failures, checkedAt } }
+    linkChecks: createJsonFile(path.join(dataDir, 'link-checks.json'), { defaultValue: {}, backupDir }),
+    // { [chatId]: { shareToken, items: [{ productId, savedPrice, savedAt }] } }
+    wishlists: createJsonFile(path.join(dataDir, 'wishlists.json'), { defaultValue: {}, backupDir })
+  };
+
+  await files.analytics.ensure();
+  await files.deals.ensure();
+
+  // One-time move from the older users.json
+  const legacyUsers = createJsonFile(path.join(dataDir, 'users.json'), { defaultValue: null, backupDir });
+  const existingSubscribers = await files.subscribers.read();
+  const oldUsers = await legacyUsers.read();
+  if (existingSubscribers.length === 0 && Array.isArray(oldUsers) && oldUsers.length > 0) {
+    await files.subscribers.update(() => oldUsers.filter(user => user.chatid).map(upgradeUser));
+    console.log(`Moved ${oldUsers.length} users from users.json to subscribers.json`);
+  }
+
+  // analytics.json from before bucketing: count past events, and subscribers by their join date, once
+  if (!(await files.analytics.read()).buckets) {
+    const joined = await files.subscribers.read();
+    await files.analytics.update(raw => {
+      const data = upgradeAnalytics(raw);
+      joined.forEach(subscriber => addToBuckets(data.buckets, {
+        type: 'subscribe',
+        chatId: subscriber.chatId,
+        timestamp: subscriber.joinedAt
+      }));
+      return data;
+    });
+  }
+
+  const readAnalytics = async () => upgradeAnalytics(await files.analytics.read());
+
+  const products = {
+    list: () => files.products.read(),
+
+    async get(id) {
+      const all = await files.products.read();
+      return all.find(p => sameId(p.id, id)) || null;
+    },
+
+    async create(product) {
+      const newProduct = { id: Date.now(), ...product };
+      await files.products.update(all => {
+        // Date.now() can repeat when two products are added in the same millisecond
+        while (all.some(p => sameId(p.id, newProduct.id))) newProduct.id += 1;
+        all.push(newProduct);
+        return all;
+      });
+      return newProduct;
+    },
+
+    async update(id, changes) {
+      let updated = null;
+      await files.products.update(all => {
+        const index = all.findIndex(p => sameId(p.id, id));
+        if (index !== -1) {
+          updated = { ...all[index], ...changes, id: all[index].id };
+          all[index] = updated;
+        }
+        return all;
+      });
+      return updated;
+    },
+
+    // Everything but the id and the view/click counters comes from `product`; fields it leaves out are dropped
+    async replace(id, product) {
+      let replaced = null;
+      await files.products.update(all => {
+        const index = all.findIndex(p => sameId(p.id, id));
+        if (index !== -1) {
+          const { id: storedId, views = 0, clicks = 0 } = all[index];
+          replaced = { ...product, id: storedId, views, clicks };
+          all[index] = replaced;
+        }
+        return all;
+      });
+      return replaced;
+    },
+
+    async incrementClicks(id) {
+      await files.products.update(all => all.map(p =>
+        sameId(p.id, id) ? { ...p, clicks: (p.clicks || 0) + 1 } : p
+      ));
+    },
+
+    async remove(id) {
+      let removed = false;
+      await files.products.update(all => {
+        const remaining = all.filter(p => !sameId(p.id, id));
+        removed = remaining.length !== all.length;
+        return remaining;
+      });
+      return removed;
+    }
+  };
+
+  const deals = {
+    list: () => files.deals.read(),
+    replaceAll: (newDeals) => files.deals.update(() => newDeals)
+  };
+
+  const analytics = {
+    // event: { type, chatId, productId, query, status, data, timestamp }
+    async recordEvent(event) {
+      const entry = { ...event, timestamp: event.timestamp || new Date() };
+      await files.analytics.update(raw => {
+        const data = upgradeAnalytics(raw);
+        data.events.push(entry);
+        addToBuckets(data.buckets, entry);
+        if (entry.type === 'product_view') {
+          data.productViews[entry.productId] = (data.productViews[entry.productId] || 0) + 1;
+        }
+        return data;
+      });
+    },
+
+    // Events of one type (or all), optionally limited to a time range
+    async listEvents({ type, since, until } = {}) {
+      const { events } = await readAnalytics();
+      return events.filter(event =>
+        (!type || event.type === type) &&
+        (!since || new Date(event.timestamp) >= since) &&
+        (!until || new Date(event.timestamp) < until)
+      );
+    },
+
+    // { queries, traffic, productViews } as served by /api/analytics
+    async summary() {
+      const data = await readAnalytics();
+      const queries = data.events
+        .filter(event => event.type === 'query')
+        .map(({ chatId, query, timestamp, status }) => ({ chatId, query, timestamp, status }));
+      // Raw events are pruned, so the all-time total comes from the daily buckets
+      const traffic = Object.values(data.buckets.day).reduce((sum, bucket) => sum + (bucket.queries || 0), 0);
+      return { queries, traffic, productViews: data.productViews };
+    },
+
+    // [{ bucket, metric, value }] for buckets starting in [from, to)
+    async timeseries({ granularity, from, to }) {
+      const data = await readAnalytics();
+      const first = bucketStart(from, granularity);
+      const rows = [];
+      for (const [start, bucket] of Object.entries(data.buckets[granularity])) {
+        if (start < first || new Date(start) >= to) continue;
+        for (const metric of METRICS) {
+          if (bucket[metric]) rows.push({ bucket: start, metric, value: bucket[metric] });
+        }
+      }
+      return rows;
+    },
+
+    // Drop raw events, and hourly buckets, from before `before`; daily buckets are kept.
+    // Resolves with the number of events removed.
+    async pruneEvents(before) {
+      let removed = 0;
+      const cutoff = bucketStart(before, 'hour');
+      await files.analytics.update(raw => {
+        const data = upgradeAnalytics(raw);
+        const kept = data.events.filter(event => new Date(event.timestamp) >= before);
+        removed = data.events.length - kept.length;
+        data.events = kept;
+        for (const start of Object.keys(data.buckets.hour)) {
+          if (start < cutoff) delete data.buckets.hour[start];
+        }
+        return data;
+      });
+      return removed;
+    }
+  };
+
+  const isActive = (subscriber) => !subscriber.blocked && !subscriber.optedOut;
+
+  const subscribers = {
+    // activeOnly leaves out blocked and opted-out chats; dailyDealsOnly keeps chats that asked for the daily deals
+    async list({ activeOnly = false, dailyDealsOnly = false } = {}) {
+      const all = await files.subscribers.read();
+      return all.filter(subscriber =>
+        (!activeOnly || isActive(subscriber)) && (!dailyDealsOnly || subscriber.dailyDeals === true));
+    },
+
+    async get(chatId) {
+      const all = await files.subscribers.read();
+      return all.find(subscriber => sameId(subscriber.chatId, chatId)) || null;
+    },
+
+    // Insert or refresh a subscriber's profile and last-seen time.
+    // Profile fields left undefined keep their stored value; resubscribe clears blocked/opted-out.
+    async upsert(profile, { resubscribe = false } = {}) {
+      const now = new Date().toISOString();
+      const fields = {};
+      for (const field of ['firstName', 'lastName', 'username', 'languageCode']) {
+        if (profile[field] !== undefined) fields[field] = String(profile[field]);
+      }
+
+      let result;
+      await files.subscribers.update(all => {
+        const index = all.findIndex(subscriber => sameId(subscriber.chatId, profile.chatId));
+        if (index === -1) {
+          const subscriber = {
+            chatId: String(profile.chatId),
+            firstName: '',
+            lastName: '',
+            username: '',
+            languageCode: '',
+            ...fields,
+            joinedAt: profile.joinedAt ? new Date(profile.joinedAt).toISOString() : now,
+            lastSeenAt: now,
+            blocked: false,
+            optedOut: false,
+            dailyDeals: false,
+            updatedAt: now,
+            syncedAt: null
+          };
+          all.push(subscriber);
+          result = { subscriber, created: true };
+        } else {
+          const subscriber = { ...all[index], ...fields, lastSeenAt: now, updatedAt: now };
+          if (resubscribe) {
+            subscriber.blocked = false;
+            subscriber.optedOut = false;
+          }
+          all[index] = subscriber;
+          result = { subscriber, created: false };
+        }
+        return all;
+      });
+      return result;
+    },
+
+    // Refresh the profile and last-seen time of an existing subscriber; resolves with null for unknown chats
+    async touch(profile) {
+      const now = new Date().toISOString();
+      let touched = null;
+      await files.subscribers.update(all => {
+        const index = all.findIndex(subscriber => sameId(subscriber.chatId, profile.chatId));
+        if (index !== -1) {
+          touched = { ...all[index], lastSeenAt: now, updatedAt: now };
+          for (const field of ['firstName', 'lastName', 'username', 'languageCode']) {
+            if (profile[field] !== undefined) touched[field] = String(profile[field]);
+          }
+          all[index] = touched;
+        }
+        return all;
+      });
+      return touched;
+    },
+
+    // Change delivery flags: { blocked, optedOut, dailyDeals }
+    async update(chatId, changes) {
+      let updated = null;
+      await files.subscribers.update(all => {
+        const index = all.findIndex(subscriber => sameId(subscriber.chatId, chatId));
+        if (index !== -1) {
+          updated = { ...all[index], updatedAt: new Date().toISOString() };
+          if (changes.blocked !== undefined) updated.blocked = Boolean(changes.blocked);
+          if (changes.optedOut !== undefined) updated.optedOut = Boolean(changes.optedOut);
+          if (changes.dailyDeals !== undefined) updated.dailyDeals = Boolean(changes.dailyDeals);
+          all[index] = updated;
+        }
+        return all;
+      });
+      return updated;
+    },
+
+    // Subscribers changed since they were last pushed to the external sheet
+    async listUnsynced() {
+      const all = await files.subscribers.read();
+      return all.filter(subscriber => !subscriber.syncedAt || subscriber.updatedAt > subscriber.syncedAt);
+    },
+
+    async markSynced(chatIds, syncedAt = new Date()) {
+      const ids = new Set(chatIds.map(String));
+      await files.subscribers.update(all => all.map(subscriber =>
+        ids.has(subscriber.chatId) ? { ...subscriber, syncedAt: new Date(syncedAt).toISOString() } : subscriber
+      ));
+    }
+  };
+
+  const broadcasts = {
+    // message: { text, image, link }; one pending delivery per chat id
+    async create({ message, chatIds }) {
+      let job;
+      await files.broadcasts.update(all => {
+        const now = new Date().toISOString();
+        job = {
+          id: all.reduce((max, existing) => Math.max(max, existing.id), 0) + 1,
+          message,
+          status: 'queued',
+          createdAt: now,
+          startedAt: null,
+          finishedAt: null,
+          deliveries: chatIds.map(chatId => ({ chatId: String(chatId), status: 'pending', attempts: 0, error: null, updatedAt: now }))
+        };
+        all.push(job);
+        return all;
+      });
+      return summarizeBroadcast(job);
+    },
+
+    // Summary plus the most recent failed deliveries
+    async get(id) {
+      const all = await files.broadcasts.read();
+      const job = all.find(existing => sameId(existing.id, id));
+      if (!job) return null;
+      const errors = job.deliveries
+        .filter(delivery => delivery.status === 'failed' || delivery.status === 'blocked')
+        .slice(-BROADCAST_ERROR_LIMIT)
+        .map(({ chatId, status, error }) => ({ chatId, status, error }));
+      return { ...summarizeBroadcast(job), errors };
+    },
+
+    // Newest first
+    async list({ limit = 20 } = {}) {
+      const all = await files.broadcasts.read();
+      return all.slice(-limit).reverse().map(summarizeBroadcast);
+    },
+
+    // Oldest job that still has work to do, so an interrupted one resumes first
+    async nextUnfinished() {
+      const all = await files.broadcasts.read();
+      const job = all.find(existing => !FINISHED_BROADCAST_STATUSES.includes(existing.status));
+      return job ? summarizeBroadcast(job) : null;
+    },
+
+    async pendingChatIds(id, limit) {
+      const all = await files.broadcasts.read();
+      const job = all.find(existing => sameId(existing.id, id));
+      if (!job) return [];
+      return job.deliveries
+        .filter(delivery => delivery.status === 'pending')
+        .slice(0, limit)
+        .map(delivery => delivery.chatId);
+    },
+
+    // results: [{ chatId, status, attempts, error }]
+    async recordDeliveries(id, results) {
+      const byChatId = new Map(results.map(result => [String(result.chatId), result]));
+      const now = new Date().toISOString();
+      await files.broadcasts.update(all => {
+        const job = all.find(existing => sameId(existing.id, id));
+        if (job) {
+          job.deliveries = job.deliveries.map(delivery => {
+            const result = byChatId.get(delivery.chatId);
+            if (!result) return delivery;
+            return { ...delivery, status: result.status, attempts: result.attempts, error: result.error || null, updatedAt: now };
+          });
+        }
+        return all;
+      });
+    },
+
+    async setStatus(id, status) {
+      const now = new Date().toISOString();
+      await files.broadcasts.update(all => {
+        const job = all.find(existing => sameId(existing.id, id));
+        if (job) {
+          job.status = status;
+          if (status === 'running' && !job.startedAt) job.startedAt = now;
+          if (FINISHED_BROADCAST_STATUSES.includes(status)) job.finishedAt = now;
+        }
+        return all;
+      });
+    }
+  };
+
+  const isAlert = (chatId, productId) => (alert) =>
+    sameId(alert.chatId, chatId) && sameId(alert.productId, productId);
+
+  const priceAlerts = {
+    async listForChat(chatId) {
+      const all = await files.priceAlerts.read();
+      return all.filter(alert => sameId(alert.chatId, chatId));
+    },
+
+    async listForProduct(productId) {
+      const all = await files.priceAlerts.read();
+      return all.filter(alert => sameId(alert.productId, productId));
+    },
+
+    // One watch per chat and product; setting it again replaces the target and base price
+    async upsert({ chatId, productId, targetPrice = null, basePrice }) {
+      const alert = {
+        chatId: String(chatId),
+        productId: String(productId),
+        targetPrice,
+        basePrice,
+        createdAt: new Date().toISOString(),
+        notifiedAt: null
+      };
+      await files.priceAlerts.update(all => [...all.filter(existing => !isAlert(chatId, productId)(existing)), alert]);
+      return alert;
+    },
+
+    async remove(chatId, productId) {
+      let removed = false;
+      await files.priceAlerts.update(all => {
+        const remaining = all.filter(alert => !isAlert(chatId, productId)(alert));
+        removed = remaining.length !== all.length;
+        return remaining;
+      });
+      return removed;
+    },
+
+    // The watcher has been told about `price`; only a lower one will alert them again
+    async markNotified(chatId, productId, price) {
+      await files.priceAlerts.update(all => all.map(alert =>
+        isAlert(chatId, productId)(alert) ? { ...alert, basePrice: price, notifiedAt: new Date().toISOString() } : alert
+      ));
+    }
+  };
+
+  const priceHistory = {
+    async record(productId, { price, mrp = null, recordedAt = new Date() }) {
+      const entry = {
+        price: Number(price),
+        mrp: mrp === null ? null : Number(mrp),
+        recordedAt: new Date(recordedAt).toISOString()
+      };
+      await files.priceHistory.update(all => {
+        const key = String(productId);
+        all[key] = [...(all[key] || []), entry];
+        return all;
+      });
+      return entry;
+    },
+
+    // Oldest first, optionally only entries recorded at or after `since`
+    async list(productId, { since } = {}) {
+      const all = await files.priceHistory.read();
+      return (all[String(productId)] || [])
+        .filter(entry => !since || new Date(entry.recordedAt) >= since)
+        .sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+    }
+  };
+
+  const channels = {
+    list: () => files.channels.read(),
+
+    async get(chatId) {
+      const all = await files.channels.read();
+      return all.find(channel => sameId(channel.chatId, chatId)) || null;
+    },
+
+    // Add a channel or refresh its title, username and posting rights; autoPost and dailyDeals are kept
+    async upsert({ chatId, title = '', username = '', canPost = true }) {
+      const now = new Date().toISOString();
+      let saved;
+      await files.channels.update(all => {
+        const index = all.findIndex(channel => sameId(channel.chatId, chatId));
+        const existing = index === -1 ? { autoPost: false, dailyDeals: false, addedAt: now } : all[index];
+        saved = {
+          chatId: String(chatId),
+          title,
+          username,
+          canPost,
+          autoPost: existing.autoPost,
+          dailyDeals: Boolean(existing.dailyDeals),
+          addedAt: existing.addedAt,
+          updatedAt: now
+        };
+        if (index === -1) all.push(saved);
+        else all[index] = saved;
+        return all;
+      });
+      return saved;
+    },
+
+    // changes: { autoPost, canPost, dailyDeals }; resolves with the channel, or null when it is unknown
+    async update(chatId, changes) {
+      let updated = null;
+      await files.channels.update(all => all.map(channel => {
+        if (!sameId(channel.chatId, chatId)) return channel;
+        updated = { ...channel, updatedAt: new Date().toISOString() };
+        for (const field of ['autoPost', 'canPost', 'dailyDeals']) {
+          if (changes[field] !== undefined) updated[field] = Boolean(changes[field]);
+        }
+        return updated;
+      }));
+      return updated;
+    },
+
+    async remove(chatId) {
+      let removed = false;
+      await files.channels.update(all => {
+        const remaining = all.filter(channel => !sameId(channel.chatId, chatId));
+        removed = remaining.length !== all.length;
+        return remaining;
+      });
+      return removed;
+    }
+  };
+
+  const categories = {
+    list: () => files.categories.read(),
+
+    async get(id) {
+      const all = await files.categories.read();
+      return all.find(category => category.id === String(id)) || null;
+    },
+
+    // category: { id, name, parentId }; the id is chosen by the caller (see uniqueCategoryId)
+    async create({ id, name, parentId = null }) {
+      const category = { id: String(id), name, parentId, createdAt: new Date().toISOString() };
+      await files.categories.update(all => [...all, category]);
+      return category;
+    },
+
+    // changes: { name, parentId }; resolves with the category, or null when it is unknown
+    async update(id, changes) {
+      let updated = null;
+      await files.categories.update(all => all.map(category => {
+        if (category.id !== String(id)) return category;
+        updated = { ...category };
+        if (changes.name !== undefined) updated.name = changes.name;
+        if (changes.parentId !== undefined) updated.parentId = changes.parentId;
+        return updated;
+      }));
+      return updated;
+    },
+
+    // Sub-categories move up to the removed category's parent
+    async remove(id) {
+      let removed = null;
+      await files.categories.update(all => {
+        removed = all.find(category => category.id === String(id)) || null;
+        if (!removed) return all;
+        return all
+          .filter(category => category !== removed)
+          .map(category => (category.parentId === removed.id ? { ...category, parentId: removed.parentId } : category));
+      });
+      return Boolean(removed);
+    }
+  };
+
+  // Checks saved before Telegram rejections were tracked have no such fields
+  const toLinkCheck = (url, check) => ({ url, telegramError: null, telegramRejectedAt: null, ...check });
+
+  const linkChecks = {
+    async list() {
+      const all = await files.linkChecks.read();
+      return Object.entries(all).map(([url, check]) => toLinkCheck(url, check));
+    },
+
+    async get(url) {
+      const all = await files.linkChecks.read();
+      return all[url] ? toLinkCheck(url, all[url]) : null;
+    },
+
+    // Save the latest result for a URL; failures counts the checks in a row that were not ok
+    async record(url, { status, httpStatus = null, error = null, checkedAt = new Date() }) {
+      let saved;
+      await files.linkChecks.update(all => {
+        const { failures: previousFailures = 0, telegramError = null, telegramRejectedAt = null } = all[url] || {};
+        const failures = status === 'ok' ? 0 : previousFailures + 1;
+        all[url] = { status, httpStatus, error, failures, checkedAt: new Date(checkedAt).toISOString() };
+        // A Telegram rejection outlasts HTTP checks (see rejectImage)
+        Object.assign(all[url], { telegramError, telegramRejectedAt });
+        saved = toLinkCheck(url, all[url]);
+        return all;
+      });
+      return saved;
+    },
+
+    // Telegram would not take the URL as a photo. record() leaves this alone, so it lasts as long as the URL;
+    // a URL not checked yet starts out broken.
+    async rejectImage(url, error) {
+      let saved;
+      await files.linkChecks.update(all => {
+        const now = new Date().toISOString();
+        const check = all[url] || { status: 'broken', httpStatus: null, error, failures: 1, checkedAt: now };
+        all[url] = { ...check, telegramError: error, telegramRejectedAt: now };
+        saved = toLinkCheck(url, all[url]);
+        return all;
+      });
+      return saved;
+    },
+
+    // Forget URLs no longer in the catalog; resolves with how many were removed
+    async prune(keepUrls) {
+      const keep = new Set(keepUrls);
+      let removed = 0;
+      await files.linkChecks.update(all => {
+        for (const url of Object.keys(all)) {
+          if (keep.has(url)) continue;
+          delete all[url];
+          removed++;
+        }
+        return all;
+      });
+      return removed;
+    }
+  };
+
+  const wishlists = {
+    // Newest first
+    async listForChat(chatId) {
+      const all = await files.wishlists.read();
+      const items = all[String(chatId)] ? all[String(chatId)].items : [];
+      return items
+        .map(item => ({ chatId: String(chatId), ...item }))
+        .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    },
+
+    // Saving a product twice keeps the price it was first saved at
+    async add({ chatId, productId, savedPrice }) {
+      let result;
+      await files.wishlists.update(all => {
+        const list = all[String(chatId)] || { shareToken: null, items: [] };
+        const existing = list.items.find(item => sameId(item.productId, productId));
+        if (existing) {
+          result = { item: { chatId: String(chatId), ...existing }, created: false };
+          return all;
+        }
+        const item = { productId: String(productId), savedPrice, savedAt: new Date().toISOString() };
+        list.items.push(item);
+        all[String(chatId)] = list;
+        result = { item: { chatId: String(chatId), ...item }, created: true };
+        return all;
+      });
+      return result;
+    },
+
+    async remove(chatId, productId) {
+      let removed = false;
+      await files.wishlists.update(all => {
+        const list = all[String(chatId)];
+        if (!list) return all;
+        const remaining = list.items.filter(item => !sameId(item.productId, productId));
+        removed = remaining.length !== list.items.length;
+        list.items = remaining;
+        return all;
+      });
+      return removed;
+    },
+
+    // The chat's share token; the file is only written when the token is first made
+    async shareToken(chatId) {
+      const current = (await files.wishlists.read())[String(chatId)];
+      if (current && current.shareToken) return current.shareToken;
+
+      let token;
+      await files.wishlists.update(all => {
+        const list = all[String(chatId)] || { shareToken: null, items: [] };
+        if (!list.shareToken) list.shareToken = crypto.randomBytes(12).toString('base64url');
+        all[String(chatId)] = list;
+        token = list.shareToken;
+        return all;
+      });
+      return token;
+    },
+
+    async chatIdForToken(token) {
+      const all = await files.wishlists.read();
+      const entry = Object.entries(all).find(([, list]) => list.shareToken && list.shareToken === token);
+      return entry ? entry[0] : null;
+    }
+  };
+
+  return {
+    driver: 'json',
+    products,
+    deals,
+    analytics,
+    subscribers,
+    broadcasts,
+    priceAlerts,
+    priceHistory,
+    channels,
+    categories,
+    linkChecks,
+    wishlists,
+    close: async () => {}
+  };
+}
@@ -0,0 +1,51 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Applies the numbered .sql files in ./migrations that have not been run yet, each in its own transaction
+
+const migrationsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+// Arbitrary key so two instances starting together do not migrate at the same time
+const MIGRATION_LOCK_KEY = 727001;
+
+export async function runMigrations(pool) {
+  const client = await pool.connect();
+  const newlyApplied = [];
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name TEXT PRIMARY KEY,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    const { rows } = await client.query('SELECT name FROM schema_migrations');
+    const applied = new Set(rows.map(row => row.name));
+    const files = (await fs.readdir(migrationsDir)).filter(file => file.endsWith('.sql')).sort();
+
+    for (const file of files) {
+      if (applied.has(file)) continue;
+
+      const sql = await fs.readFile(path.join(migrationsDir, file), 'utf8');
+      try {
+        await client.query('BEGIN');
+        await client.query(sql);
+        await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${file} failed: ${error.message}`);
+      }
+      newlyApplied.push(file);
+      console.log(`Applied migration ${file}`);
+    }
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+
+  return newlyApplied;
+}
@@ -0,0 +1,53 @@
+-- Products, today's deals, analytics and registered users
+
+CREATE TABLE products (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  description TEXT NOT NULL DEFAULT '',
+  price NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  mrp NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  rating NUMERIC(3, 1) NOT NULL DEFAULT 0,
+  image TEXT,
+  buy_link TEXT,
+  keywords TEXT[] NOT NULL DEFAULT '{}',
+  views INTEGER NOT NULL DEFAULT 0,
+  clicks INTEGER NOT NULL DEFAULT 0,
+  -- Any other attributes sent by the admin UI
+  extra JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Deals are stored as posted by the admin, in display order
+CREATE TABLE today_deals (
+  position INTEGER PRIMARY KEY,
+  data JSONB NOT NULL
+);
+
+CREATE TABLE analytics_events (
+  id BIGSERIAL PRIMARY KEY,
+  type TEXT NOT NULL,
+  chat_id TEXT,
+  product_id TEXT,
+  query TEXT,
+  status TEXT,
+  data JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX analytics_events_type_created_at_idx ON analytics_events (type, created_at);
+
+-- Running totals, so imported counts without timestamps are kept too
+CREATE TABLE product_views (
+  product_id TEXT PRIMARY KEY,
+  views INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE users (
+  chat_id TEXT PRIMARY KEY,
+  first_name TEXT NOT NULL DEFAULT '',
+  last_name TEXT NOT NULL DEFAULT '',
+  user_name TEXT NOT NULL DEFAULT '',
+  user_login TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
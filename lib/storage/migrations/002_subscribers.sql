@@ -0,0 +1,18 @@
+-- Registered users become subscribers with profile, activity and delivery status
+
+ALTER TABLE users RENAME TO subscribers;
+ALTER TABLE subscribers RENAME COLUMN created_at TO joined_at;
+ALTER TABLE subscribers RENAME COLUMN user_name TO username;
+ALTER TABLE subscribers DROP COLUMN user_login;
+
+ALTER TABLE subscribers
+  ADD COLUMN language_code TEXT NOT NULL DEFAULT '',
+  ADD COLUMN last_seen_at TIMESTAMPTZ,
+  ADD COLUMN blocked BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN opted_out BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- Last time the row was pushed to the external sheet, if sync is enabled
+  ADD COLUMN synced_at TIMESTAMPTZ;
+
+-- Existing rows were already written to the sheet when they registered
+UPDATE subscribers SET last_seen_at = joined_at, synced_at = NOW();
@@ -0,0 +1,23 @@
+-- Broadcast jobs and the per-subscriber delivery state that lets them resume after a restart
+
+CREATE TABLE broadcasts (
+  id BIGSERIAL PRIMARY KEY,
+  -- { text, image, link } as entered on the notification page
+  message JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ
+);
+
+CREATE TABLE broadcast_deliveries (
+  broadcast_id BIGINT NOT NULL REFERENCES broadcasts (id) ON DELETE CASCADE,
+  chat_id TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (broadcast_id, chat_id)
+);
+
+CREATE INDEX broadcast_deliveries_pending_idx ON broadcast_deliveries (broadcast_id) WHERE status = 'pending';
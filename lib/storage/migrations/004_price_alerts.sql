@@ -0,0 +1,15 @@
+-- Price-drop watches, one per subscriber and product
+
+CREATE TABLE price_alerts (
+  chat_id TEXT NOT NULL,
+  product_id TEXT NOT NULL,
+  -- NULL means any drop below base_price
+  target_price NUMERIC(12, 2),
+  -- Price when the watch was set, lowered to each price the watcher has been told about
+  base_price NUMERIC(12, 2) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  notified_at TIMESTAMPTZ,
+  PRIMARY KEY (chat_id, product_id)
+);
+
+CREATE INDEX price_alerts_product_id_idx ON price_alerts (product_id);
@@ -0,0 +1,11 @@
+-- Every price/MRP a product has had, recorded when it is created or changed
+
+CREATE TABLE price_history (
+  id BIGSERIAL PRIMARY KEY,
+  product_id TEXT NOT NULL,
+  price NUMERIC(12, 2) NOT NULL,
+  mrp NUMERIC(12, 2),
+  recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX price_history_product_id_recorded_at_idx ON price_history (product_id, recorded_at);
@@ -0,0 +1,46 @@
+-- Hourly and daily analytics counters (see lib/analytics.js), filled in as events are recorded
+
+CREATE TABLE analytics_buckets (
+  granularity TEXT NOT NULL,
+  bucket_start TIMESTAMPTZ NOT NULL,
+  metric TEXT NOT NULL,
+  value INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (granularity, bucket_start, metric)
+);
+
+-- Chats seen in each bucket, so uniqueUsers counts a chat once
+CREATE TABLE analytics_bucket_users (
+  granularity TEXT NOT NULL,
+  bucket_start TIMESTAMPTZ NOT NULL,
+  chat_id TEXT NOT NULL,
+  PRIMARY KEY (granularity, bucket_start, chat_id)
+);
+
+-- Count the events recorded so far, and subscribers by their join date
+CREATE TEMPORARY TABLE past_events ON COMMIT DROP AS
+  SELECT type, chat_id, created_at FROM analytics_events
+  UNION ALL
+  SELECT 'subscribe', chat_id, joined_at FROM subscribers;
+
+INSERT INTO analytics_buckets (granularity, bucket_start, metric, value)
+SELECT g.granularity, date_trunc(g.granularity, e.created_at AT TIME ZONE 'UTC') AT TIME ZONE 'UTC', m.metric, COUNT(*)
+FROM past_events e
+CROSS JOIN (VALUES ('hour'), ('day')) AS g (granularity)
+JOIN (VALUES
+  ('query', 'queries'),
+  ('product_view', 'productViews'),
+  ('click', 'clicks'),
+  ('subscribe', 'newSubscribers')
+) AS m (type, metric) ON m.type = e.type
+GROUP BY 1, 2, 3;
+
+INSERT INTO analytics_bucket_users (granularity, bucket_start, chat_id)
+SELECT DISTINCT g.granularity, date_trunc(g.granularity, e.created_at AT TIME ZONE 'UTC') AT TIME ZONE 'UTC', e.chat_id
+FROM past_events e
+CROSS JOIN (VALUES ('hour'), ('day')) AS g (granularity)
+WHERE e.chat_id IS NOT NULL;
+
+INSERT INTO analytics_buckets (granularity, bucket_start, metric, value)
+SELECT granularity, bucket_start, 'uniqueUsers', COUNT(*)
+FROM analytics_bucket_users
+GROUP BY 1, 2;
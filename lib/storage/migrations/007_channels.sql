@@ -0,0 +1,13 @@
+-- Channels the bot has been made an admin of, for posting deals
+
+CREATE TABLE channels (
+  chat_id TEXT PRIMARY KEY,
+  title TEXT NOT NULL DEFAULT '',
+  username TEXT NOT NULL DEFAULT '',
+  -- Whether the bot's admin rights include posting messages
+  can_post BOOLEAN NOT NULL DEFAULT TRUE,
+  -- Post deals there as they are added to today's deals
+  auto_post BOOLEAN NOT NULL DEFAULT FALSE,
+  added_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,7 @@
+-- Opt-ins for the daily deals post (see lib/daily-deals.js)
+
+ALTER TABLE subscribers
+  ADD COLUMN daily_deals BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE channels
+  ADD COLUMN daily_deals BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,11 @@
+-- Category tree for products and deals (see lib/categories.js).
+-- Products keep their category id in products.extra like other admin-defined attributes.
+
+CREATE TABLE categories (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  parent_id TEXT REFERENCES categories (id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX categories_parent_id_idx ON categories (parent_id);
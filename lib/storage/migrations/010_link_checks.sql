@@ -0,0 +1,12 @@
+-- Latest result of the catalog link checker (see lib/link-health.js) for each image and buy link URL
+
+CREATE TABLE link_checks (
+  url TEXT PRIMARY KEY,
+  -- ok, broken or unreachable
+  status TEXT NOT NULL,
+  http_status INTEGER,
+  error TEXT,
+  -- Checks in a row that were not ok
+  failures INTEGER NOT NULL DEFAULT 0,
+  checked_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
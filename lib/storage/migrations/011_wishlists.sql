@@ -0,0 +1,17 @@
+-- Products bot users saved with ❤️ Save, and the links they share their wishlist with
+
+CREATE TABLE wishlist_items (
+  chat_id TEXT NOT NULL,
+  product_id TEXT NOT NULL,
+  -- Price when the product was saved, shown next to today's price
+  saved_price NUMERIC(12, 2) NOT NULL,
+  saved_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (chat_id, product_id)
+);
+
+-- One unguessable token per chat for its /wishlist/<token> page
+CREATE TABLE wishlist_shares (
+  chat_id TEXT PRIMARY KEY,
+  token TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
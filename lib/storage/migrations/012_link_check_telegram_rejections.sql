@@ -0,0 +1,6 @@
+-- Telegram refusing an image URL as a photo, kept apart from the HTTP checks so a later ok check does not
+-- clear it: the image stays off cards until the product gets another URL
+
+ALTER TABLE link_checks
+  ADD COLUMN telegram_error TEXT,
+  ADD COLUMN telegram_rejected_at TIMESTAMPTZ;
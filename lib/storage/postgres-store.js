@@ -0,0 +1,871 @@
+import crypto from 'crypto';
+import pg from 'pg';
+import { runMigrations } from './migrate.js';
+import { GRANULARITIES, bucketStart, eventMetrics } from '../analytics.js';
+
+// PostgreSQL storage. Rows are mapped back to the same object shapes the JSON files use.
+
+const { Pool, types } = pg;
+
+// Return NUMERIC and BIGINT columns as JS numbers; prices and ids stay well within range
+types.setTypeParser(types.builtins.NUMERIC, value => parseFloat(value));
+types.setTypeParser(types.builtins.INT8, value => parseInt(value, 10));
+
+const PRODUCT_COLUMNS = {
+  name: 'name',
+  description: 'description',
+  price: 'price',
+  mrp: 'mrp',
+  rating: 'rating',
+  image: 'image',
+  buyLink: 'buy_link',
+  keywords: 'keywords',
+  views: 'views',
+  clicks: 'clicks'
+};
+
+function rowToProduct(row) {
+  return {
+    ...row.extra,
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    price: row.price,
+    mrp: row.mrp,
+    rating: row.rating,
+    image: row.image,
+    buyLink: row.buy_link,
+    keywords: row.keywords,
+    views: row.views,
+    clicks: row.clicks
+  };
+}
+
+// Split a product object into known columns and everything else (kept in `extra`)
+function productToColumns(product) {
+  const columns = {};
+  const extra = {};
+  for (const [key, value] of Object.entries(product)) {
+    if (key === 'id') continue;
+    if (PRODUCT_COLUMNS[key]) {
+      columns[PRODUCT_COLUMNS[key]] = key === 'keywords' && !Array.isArray(value) ? [] : value;
+    } else {
+      extra[key] = value;
+    }
+  }
+  return { columns, extra };
+}
+
+function rowToEvent(row) {
+  const event = { type: row.type, timestamp: row.created_at };
+  if (row.chat_id !== null) event.chatId = row.chat_id;
+  if (row.product_id !== null) event.productId = row.product_id;
+  if (row.query !== null) event.query = row.query;
+  if (row.status !== null) event.status = row.status;
+  if (Object.keys(row.data).length > 0) event.data = row.data;
+  return event;
+}
+
+const toISO = (date) => (date ? new Date(date).toISOString() : null);
+
+function rowToSubscriber(row) {
+  return {
+    chatId: row.chat_id,
+    firstName: row.first_name,
+    lastName: row.last_name,
+    username: row.username,
+    languageCode: row.language_code,
+    joinedAt: toISO(row.joined_at),
+    lastSeenAt: toISO(row.last_seen_at),
+    blocked: row.blocked,
+    optedOut: row.opted_out,
+    dailyDeals: row.daily_deals,
+    updatedAt: toISO(row.updated_at),
+    syncedAt: toISO(row.synced_at)
+  };
+}
+
+function rowToPriceAlert(row) {
+  return {
+    chatId: row.chat_id,
+    productId: row.product_id,
+    targetPrice: row.target_price,
+    basePrice: row.base_price,
+    createdAt: toISO(row.created_at),
+    notifiedAt: toISO(row.notified_at)
+  };
+}
+
+function rowToChannel(row) {
+  return {
+    chatId: row.chat_id,
+    title: row.title,
+    username: row.username,
+    canPost: row.can_post,
+    autoPost: row.auto_post,
+    dailyDeals: row.daily_deals,
+    addedAt: toISO(row.added_at),
+    updatedAt: toISO(row.updated_at)
+  };
+}
+
+function rowToCategory(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    parentId: row.parent_id,
+    createdAt: toISO(row.created_at)
+  };
+}
+
+function rowToLinkCheck(row) {
+  return {
+    url: row.url,
+    status: row.status,
+    httpStatus: row.http_status,
+    error: row.error,
+    failures: row.failures,
+    checkedAt: toISO(row.checked_at),
+    telegramError: row.telegram_error,
+    telegramRejectedAt: toISO(row.telegram_rejected_at)
+  };
+}
+
+function rowToWishlistItem(row) {
+  return {
+    chatId: row.chat_id,
+    productId: row.product_id,
+    savedPrice: row.saved_price,
+    savedAt: toISO(row.saved_at)
+  };
+}
+
+const BROADCAST_ERROR_LIMIT = 50;
+
+function rowToBroadcast(row) {
+  return {
+    id: row.id,
+    message: row.message,
+    status: row.status,
+    createdAt: toISO(row.created_at),
+    startedAt: toISO(row.started_at),
+    finishedAt: toISO(row.finished_at),
+    total: row.total,
+    sent: row.sent,
+    failed: row.failed,
+    blocked: row.blocked,
+    pending: row.pending
+  };
+}
+
+// Broadcast rows with their delivery counts; callers append WHERE/ORDER BY clauses
+const BROADCAST_SUMMARY_SQL = `
+  SELECT b.*,
+         COUNT(d.chat_id)::int AS total,
+         (COUNT(*) FILTER (WHERE d.status = 'sent'))::int AS sent,
+         (COUNT(*) FILTER (WHERE d.status = 'failed'))::int AS failed,
+         (COUNT(*) FILTER (WHERE d.status = 'blocked'))::int AS blocked,
+         (COUNT(*) FILTER (WHERE d.status = 'pending'))::int AS pending
+  FROM broadcasts b
+  LEFT JOIN broadcast_deliveries d ON d.broadcast_id = b.id`;
+
+export function createPool({ databaseUrl, ssl }) {
+  return new Pool({
+    connectionString: databaseUrl,
+    ssl: ssl ? { rejectUnauthorized: false } : undefined
+  });
+}
+
+export async function createPostgresStorage({ databaseUrl, ssl }) {
+  if (!databaseUrl) {
+    throw new Error('DATABASE_URL is required when STORAGE_DRIVER=postgres');
+  }
+
+  const pool = createPool({ databaseUrl, ssl });
+  pool.on('error', error => console.error('Unexpected PostgreSQL error:', error));
+  await runMigrations(pool);
+
+  // Run fn inside a transaction on a dedicated client
+  async function transaction(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  const products = {
+    async list() {
+      const { rows } = await pool.query('SELECT * FROM products ORDER BY id');
+      return rows.map(rowToProduct);
+    },
+
+    async get(id) {
+      const { rows } = await pool.query('SELECT * FROM products WHERE id::text = $1', [id.toString()]);
+      return rows[0] ? rowToProduct(rows[0]) : null;
+    },
+
+    // Keeps product.id when given (imports), otherwise the id comes from the sequence
+    async create(product) {
+      const { columns, extra } = productToColumns(product);
+      if (product.id !== undefined) columns.id = product.id;
+      const names = [...Object.keys(columns), 'extra'];
+      const values = [...Object.values(columns), extra];
+      const placeholders = values.map((_, i) => `$${i + 1}`);
+      const { rows } = await pool.query(
+        `INSERT INTO products (${names.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+        values
+      );
+      return rowToProduct(rows[0]);
+    },
+
+    async update(id, changes) {
+      const { columns, extra } = productToColumns(changes);
+      const assignments = Object.keys(columns).map((name, i) => `${name} = $${i + 2}`);
+      const values = [id.toString(), ...Object.values(columns), extra];
+      assignments.push(`extra = extra || $${values.length}`, 'updated_at = NOW()');
+
+      const { rows } = await pool.query(
+        `UPDATE products SET ${assignments.join(', ')} WHERE id::text = $1 RETURNING *`,
+        values
+      );
+      return rows[0] ? rowToProduct(rows[0]) : null;
+    },
+
+    // Everything but the id and the view/click counters comes from `product`; fields it leaves out are dropped,
+    // and their columns go back to the defaults an insert would give them
+    async replace(id, product) {
+      const { columns, extra } = productToColumns(product);
+      const names = Object.values(PRODUCT_COLUMNS).filter(name => name !== 'views' && name !== 'clicks');
+      const values = [id.toString()];
+      const assignments = names.map(name => {
+        if (columns[name] === undefined || columns[name] === null) return `${name} = DEFAULT`;
+        values.push(columns[name]);
+        return `${name} = $${values.length}`;
+      });
+      values.push(extra);
+      assignments.push(`extra = $${values.length}`, 'updated_at = NOW()');
+
+      const { rows } = await pool.query(
+        `UPDATE products SET ${assignments.join(', ')} WHERE id::text = $1 RETURNING *`,
+        values
+      );
+      return rows[0] ? rowToProduct(rows[0]) : null;
+    },
+
+    async incrementClicks(id) {
+      await pool.query('UPDATE products SET clicks = clicks + 1 WHERE id::text = $1', [id.toString()]);
+    },
+
+    async remove(id) {
+      const { rowCount } = await pool.query('DELETE FROM products WHERE id::text = $1', [id.toString()]);
+      return rowCount > 0;
+    }
+  };
+
+  const deals = {
+    async list() {
+      const { rows } = await pool.query('SELECT data FROM today_deals ORDER BY position');
+      return rows.map(row => row.data);
+    },
+
+    // Resolves with the stored deals, like the JSON backend
+    replaceAll(newDeals) {
+      return transaction(async (client) => {
+        await client.query('DELETE FROM today_deals');
+        for (const [position, deal] of newDeals.entries()) {
+          await client.query('INSERT INTO today_deals (position, data) VALUES ($1, $2)', [position, deal]);
+        }
+        const { rows } = await client.query('SELECT data FROM today_deals ORDER BY position');
+        return rows.map(row => row.data);
+      });
+    }
+  };
+
+  // Add an event to its hour and day counters; a chat adds to uniqueUsers the first time it is seen in a bucket
+  async function addToBuckets(client, event) {
+    const increment = (granularity, start, metric) => client.query(
+      `INSERT INTO analytics_buckets (granularity, bucket_start, metric, value) VALUES ($1, $2, $3, 1)
+       ON CONFLICT (granularity, bucket_start, metric) DO UPDATE SET value = analytics_buckets.value + 1`,
+      [granularity, start, metric]
+    );
+
+    for (const granularity of GRANULARITIES) {
+      const start = bucketStart(event.timestamp, granularity);
+      for (const metric of eventMetrics(event)) {
+        await increment(granularity, start, metric);
+      }
+      if (event.chatId === undefined || event.chatId === null) continue;
+      const { rowCount } = await client.query(
+        `INSERT INTO analytics_bucket_users (granularity, bucket_start, chat_id) VALUES ($1, $2, $3)
+         ON CONFLICT DO NOTHING`,
+        [granularity, start, event.chatId.toString()]
+      );
+      if (rowCount === 1) await increment(granularity, start, 'uniqueUsers');
+    }
+  }
+
+  const analytics = {
+    // event: { type, chatId, productId, query, status, data, timestamp }
+    recordEvent({ type, chatId, productId, query, status, data = {}, timestamp = new Date() }) {
+      return transaction(async (client) => {
+        await client.query(
+          `INSERT INTO analytics_events (type, chat_id, product_id, query, status, data, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [
+            type,
+            chatId === undefined || chatId === null ? null : chatId.toString(),
+            productId === undefined || productId === null ? null : productId.toString(),
+            query || null,
+            status || null,
+            data,
+            timestamp
+          ]
+        );
+        if (type === 'product_view') {
+          await client.query(
+            `INSERT INTO product_views (product_id, views) VALUES ($1, 1)
+             ON CONFLICT (product_id) DO UPDATE SET views = product_views.views + 1`,
+            [productId.toString()]
+          );
+        }
+        await addToBuckets(client, { type, chatId, data, timestamp });
+      });
+    },
+
+    // Events of one type (or all), optionally limited to a time range
+    async listEvents({ type, since, until } = {}) {
+      const { rows } = await pool.query(
+        `SELECT * FROM analytics_events
+         WHERE ($1::text IS NULL OR type = $1)
+           AND ($2::timestamptz IS NULL OR created_at >= $2)
+           AND ($3::timestamptz IS NULL OR created_at < $3)
+         ORDER BY created_at, id`,
+        [type || null, since || null, until || null]
+      );
+      return rows.map(rowToEvent);
+    },
+
+    // { queries, traffic, productViews } as served by /api/analytics
+    async summary() {
+      const { rows: queryRows } = await pool.query(
+        `SELECT chat_id, query, status, created_at FROM analytics_events
+         WHERE type = 'query' ORDER BY created_at, id`
+      );
+      const { rows: viewRows } = await pool.query('SELECT product_id, views FROM product_views');
+      // Raw events are pruned, so the all-time total comes from the daily buckets
+      const { rows: totalRows } = await pool.query(
+        `SELECT COALESCE(SUM(value), 0)::int AS total FROM analytics_buckets
+         WHERE granularity = 'day' AND metric = 'queries'`
+      );
+
+      return {
+        queries: queryRows.map(row => ({
+          chatId: row.chat_id,
+          query: row.query,
+          timestamp: row.created_at,
+          status: row.status
+        })),
+        traffic: totalRows[0].total,
+        productViews: Object.fromEntries(viewRows.map(row => [row.product_id, row.views]))
+      };
+    },
+
+    // [{ bucket, metric, value }] for buckets starting in [from, to)
+    async timeseries({ granularity, from, to }) {
+      const { rows } = await pool.query(
+        `SELECT bucket_start, metric, value FROM analytics_buckets
+         WHERE granularity = $1 AND bucket_start >= $2 AND bucket_start < $3
+         ORDER BY bucket_start`,
+        [granularity, bucketStart(from, granularity), to]
+      );
+      return rows.map(row => ({ bucket: row.bucket_start, metric: row.metric, value: row.value }));
+    },
+
+    // Drop raw events, and hourly buckets, from before `before`; daily buckets are kept.
+    // Resolves with the number of events removed.
+    async pruneEvents(before) {
+      return transaction(async (client) => {
+        const { rowCount } = await client.query('DELETE FROM analytics_events WHERE created_at < $1', [before]);
+        const cutoff = bucketStart(before, 'hour');
+        await client.query(`DELETE FROM analytics_buckets WHERE granularity = 'hour' AND bucket_start < $1`, [cutoff]);
+        await client.query(`DELETE FROM analytics_bucket_users WHERE granularity = 'hour' AND bucket_start < $1`, [cutoff]);
+        return rowCount;
+      });
+    }
+  };
+
+  const subscribers = {
+    // activeOnly leaves out blocked and opted-out chats; dailyDealsOnly keeps chats that asked for the daily deals
+    async list({ activeOnly = false, dailyDealsOnly = false } = {}) {
+      const { rows } = await pool.query(
+        `SELECT * FROM subscribers
+         WHERE (NOT $1 OR (NOT blocked AND NOT opted_out))
+           AND (NOT $2 OR daily_deals)
+         ORDER BY joined_at, chat_id`,
+        [activeOnly, dailyDealsOnly]
+      );
+      return rows.map(rowToSubscriber);
+    },
+
+    async get(chatId) {
+      const { rows } = await pool.query('SELECT * FROM subscribers WHERE chat_id = $1', [chatId.toString()]);
+      return rows[0] ? rowToSubscriber(rows[0]) : null;
+    },
+
+    // Insert or refresh a subscriber's profile and last-seen time.
+    // Profile fields left undefined keep their stored value; resubscribe clears blocked/opted-out.
+    async upsert(profile, { resubscribe = false } = {}) {
+      const value = (field) => (profile[field] === undefined ? null : String(profile[field]));
+      const { rows } = await pool.query(
+        `INSERT INTO subscribers
+           (chat_id, first_name, last_name, username, language_code, joined_at, last_seen_at, updated_at)
+         VALUES ($1, COALESCE($2, ''), COALESCE($3, ''), COALESCE($4, ''), COALESCE($5, ''),
+                 COALESCE($6::timestamptz, NOW()), NOW(), NOW())
+         ON CONFLICT (chat_id) DO UPDATE SET
+           first_name = COALESCE($2, subscribers.first_name),
+           last_name = COALESCE($3, subscribers.last_name),
+           username = COALESCE($4, subscribers.username),
+           language_code = COALESCE($5, subscribers.language_code),
+           blocked = subscribers.blocked AND NOT $7,
+           opted_out = subscribers.opted_out AND NOT $7,
+           last_seen_at = NOW(),
+           updated_at = NOW()
+         RETURNING *, (xmax = 0) AS created`,
+        [
+          profile.chatId.toString(),
+          value('firstName'),
+          value('lastName'),
+          value('username'),
+          value('languageCode'),
+          profile.joinedAt || null,
+          resubscribe
+        ]
+      );
+      return { subscriber: rowToSubscriber(rows[0]), created: rows[0].created };
+    },
+
+    // Refresh the profile and last-seen time of an existing subscriber; resolves with null for unknown chats
+    async touch(profile) {
+      const value = (field) => (profile[field] === undefined ? null : String(profile[field]));
+      const { rows } = await pool.query(
+        `UPDATE subscribers SET
+           first_name = COALESCE($2, first_name),
+           last_name = COALESCE($3, last_name),
+           username = COALESCE($4, username),
+           language_code = COALESCE($5, language_code),
+           last_seen_at = NOW(),
+           updated_at = NOW()
+         WHERE chat_id = $1 RETURNING *`,
+        [profile.chatId.toString(), value('firstName'), value('lastName'), value('username'), value('languageCode')]
+      );
+      return rows[0] ? rowToSubscriber(rows[0]) : null;
+    },
+
+    // Change delivery flags: { blocked, optedOut, dailyDeals }
+    async update(chatId, changes) {
+      const { rows } = await pool.query(
+        `UPDATE subscribers SET
+           blocked = COALESCE($2, blocked),
+           opted_out = COALESCE($3, opted_out),
+           daily_deals = COALESCE($4, daily_deals),
+           updated_at = NOW()
+         WHERE chat_id = $1 RETURNING *`,
+        [
+          chatId.toString(),
+          changes.blocked === undefined ? null : changes.blocked,
+          changes.optedOut === undefined ? null : changes.optedOut,
+          changes.dailyDeals === undefined ? null : changes.dailyDeals
+        ]
+      );
+      return rows[0] ? rowToSubscriber(rows[0]) : null;
+    },
+
+    // Subscribers changed since they were last pushed to the external sheet
+    async listUnsynced() {
+      const { rows } = await pool.query(
+        'SELECT * FROM subscribers WHERE synced_at IS NULL OR updated_at > synced_at ORDER BY joined_at'
+      );
+      return rows.map(rowToSubscriber);
+    },
+
+    async markSynced(chatIds, syncedAt = new Date()) {
+      await pool.query(
+        'UPDATE subscribers SET synced_at = $2 WHERE chat_id = ANY($1::text[])',
+        [chatIds.map(String), syncedAt]
+      );
+    }
+  };
+
+  const broadcasts = {
+    // message: { text, image, link }; one pending delivery per chat id
+    create({ message, chatIds }) {
+      return transaction(async (client) => {
+        const { rows } = await client.query('INSERT INTO broadcasts (message) VALUES ($1) RETURNING id', [message]);
+        const id = rows[0].id;
+        await client.query(
+          'INSERT INTO broadcast_deliveries (broadcast_id, chat_id) SELECT $1, unnest($2::text[])',
+          [id, chatIds.map(String)]
+        );
+        const { rows: summary } = await client.query(`${BROADCAST_SUMMARY_SQL} WHERE b.id = $1 GROUP BY b.id`, [id]);
+        return rowToBroadcast(summary[0]);
+      });
+    },
+
+    // Summary plus the most recent failed deliveries
+    async get(id) {
+      const { rows } = await pool.query(`${BROADCAST_SUMMARY_SQL} WHERE b.id::text = $1 GROUP BY b.id`, [id.toString()]);
+      if (!rows[0]) return null;
+      const { rows: errorRows } = await pool.query(
+        `SELECT chat_id, status, error FROM broadcast_deliveries
+         WHERE broadcast_id = $1 AND status IN ('failed', 'blocked')
+         ORDER BY updated_at DESC LIMIT $2`,
+        [rows[0].id, BROADCAST_ERROR_LIMIT]
+      );
+      return {
+        ...rowToBroadcast(rows[0]),
+        errors: errorRows.reverse().map(row => ({ chatId: row.chat_id, status: row.status, error: row.error }))
+      };
+    },
+
+    // Newest first
+    async list({ limit = 20 } = {}) {
+      const { rows } = await pool.query(`${BROADCAST_SUMMARY_SQL} GROUP BY b.id ORDER BY b.id DESC LIMIT $1`, [limit]);
+      return rows.map(rowToBroadcast);
+    },
+
+    // Oldest job that still has work to do, so an interrupted one resumes first
+    async nextUnfinished() {
+      const { rows } = await pool.query(
+        `${BROADCAST_SUMMARY_SQL} WHERE b.status NOT IN ('completed', 'failed') GROUP BY b.id ORDER BY b.id LIMIT 1`
+      );
+      return rows[0] ? rowToBroadcast(rows[0]) : null;
+    },
+
+    async pendingChatIds(id, limit) {
+      const { rows } = await pool.query(
+        `SELECT chat_id FROM broadcast_deliveries
+         WHERE broadcast_id = $1 AND status = 'pending' ORDER BY chat_id LIMIT $2`,
+        [id, limit]
+      );
+      return rows.map(row => row.chat_id);
+    },
+
+    // results: [{ chatId, status, attempts, error }]
+    async recordDeliveries(id, results) {
+      await pool.query(
+        `UPDATE broadcast_deliveries d
+         SET status = r.status, attempts = r.attempts, error = r.error, updated_at = NOW()
+         FROM unnest($2::text[], $3::text[], $4::int[], $5::text[]) AS r (chat_id, status, attempts, error)
+         WHERE d.broadcast_id = $1 AND d.chat_id = r.chat_id`,
+        [
+          id,
+          results.map(result => String(result.chatId)),
+          results.map(result => result.status),
+          results.map(result => result.attempts),
+          results.map(result => result.error || null)
+        ]
+      );
+    },
+
+    async setStatus(id, status) {
+      await pool.query(
+        `UPDATE broadcasts SET
+           status = $2,
+           started_at = CASE WHEN $2 = 'running' THEN COALESCE(started_at, NOW()) ELSE started_at END,
+           finished_at = CASE WHEN $2 IN ('completed', 'failed') THEN NOW() ELSE finished_at END
+         WHERE id = $1`,
+        [id, status]
+      );
+    }
+  };
+
+  const priceAlerts = {
+    async listForChat(chatId) {
+      const { rows } = await pool.query(
+        'SELECT * FROM price_alerts WHERE chat_id = $1 ORDER BY created_at',
+        [chatId.toString()]
+      );
+      return rows.map(rowToPriceAlert);
+    },
+
+    async listForProduct(productId) {
+      const { rows } = await pool.query(
+        'SELECT * FROM price_alerts WHERE product_id = $1 ORDER BY created_at',
+        [productId.toString()]
+      );
+      return rows.map(rowToPriceAlert);
+    },
+
+    // One watch per chat and product; setting it again replaces the target and base price
+    async upsert({ chatId, productId, targetPrice = null, basePrice }) {
+      const { rows } = await pool.query(
+        `INSERT INTO price_alerts (chat_id, product_id, target_price, base_price) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (chat_id, product_id) DO UPDATE SET
+           target_price = EXCLUDED.target_price,
+           base_price = EXCLUDED.base_price,
+           created_at = NOW(),
+           notified_at = NULL
+         RETURNING *`,
+        [chatId.toString(), productId.toString(), targetPrice, basePrice]
+      );
+      return rowToPriceAlert(rows[0]);
+    },
+
+    async remove(chatId, productId) {
+      const { rowCount } = await pool.query(
+        'DELETE FROM price_alerts WHERE chat_id = $1 AND product_id = $2',
+        [chatId.toString(), productId.toString()]
+      );
+      return rowCount > 0;
+    },
+
+    // The watcher has been told about `price`; only a lower one will alert them again
+    async markNotified(chatId, productId, price) {
+      await pool.query(
+        'UPDATE price_alerts SET base_price = $3, notified_at = NOW() WHERE chat_id = $1 AND product_id = $2',
+        [chatId.toString(), productId.toString(), price]
+      );
+    }
+  };
+
+  const priceHistory = {
+    async record(productId, { price, mrp = null, recordedAt = new Date() }) {
+      const { rows } = await pool.query(
+        `INSERT INTO price_history (product_id, price, mrp, recorded_at) VALUES ($1, $2, $3, $4)
+         RETURNING price, mrp, recorded_at`,
+        [productId.toString(), price, mrp, recordedAt]
+      );
+      return { price: rows[0].price, mrp: rows[0].mrp, recordedAt: toISO(rows[0].recorded_at) };
+    },
+
+    // Oldest first, optionally only entries recorded at or after `since`
+    async list(productId, { since } = {}) {
+      const { rows } = await pool.query(
+        `SELECT price, mrp, recorded_at FROM price_history
+         WHERE product_id = $1 AND ($2::timestamptz IS NULL OR recorded_at >= $2)
+         ORDER BY recorded_at, id`,
+        [productId.toString(), since || null]
+      );
+      return rows.map(row => ({ price: row.price, mrp: row.mrp, recordedAt: toISO(row.recorded_at) }));
+    }
+  };
+
+  const channels = {
+    async list() {
+      const { rows } = await pool.query('SELECT * FROM channels ORDER BY added_at, chat_id');
+      return rows.map(rowToChannel);
+    },
+
+    async get(chatId) {
+      const { rows } = await pool.query('SELECT * FROM channels WHERE chat_id = $1', [chatId.toString()]);
+      return rows[0] ? rowToChannel(rows[0]) : null;
+    },
+
+    // Add a channel or refresh its title, username and posting rights; auto_post and daily_deals are kept
+    async upsert({ chatId, title = '', username = '', canPost = true }) {
+      const { rows } = await pool.query(
+        `INSERT INTO channels (chat_id, title, username, can_post) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (chat_id) DO UPDATE SET
+           title = EXCLUDED.title,
+           username = EXCLUDED.username,
+           can_post = EXCLUDED.can_post,
+           updated_at = NOW()
+         RETURNING *`,
+        [chatId.toString(), title, username, canPost]
+      );
+      return rowToChannel(rows[0]);
+    },
+
+    // changes: { autoPost, canPost, dailyDeals }; resolves with the channel, or null when it is unknown
+    async update(chatId, { autoPost, canPost, dailyDeals } = {}) {
+      const flag = (value) => (value === undefined ? null : Boolean(value));
+      const { rows } = await pool.query(
+        `UPDATE channels SET
+           auto_post = COALESCE($2, auto_post),
+           can_post = COALESCE($3, can_post),
+           daily_deals = COALESCE($4, daily_deals),
+           updated_at = NOW()
+         WHERE chat_id = $1
+         RETURNING *`,
+        [chatId.toString(), flag(autoPost), flag(canPost), flag(dailyDeals)]
+      );
+      return rows[0] ? rowToChannel(rows[0]) : null;
+    },
+
+    async remove(chatId) {
+      const { rowCount } = await pool.query('DELETE FROM channels WHERE chat_id = $1', [chatId.toString()]);
+      return rowCount > 0;
+    }
+  };
+
+  const categories = {
+    async list() {
+      const { rows } = await pool.query('SELECT * FROM categories ORDER BY name, id');
+      return rows.map(rowToCategory);
+    },
+
+    async get(id) {
+      const { rows } = await pool.query('SELECT * FROM categories WHERE id = $1', [String(id)]);
+      return rows[0] ? rowToCategory(rows[0]) : null;
+    },
+
+    // category: { id, name, parentId }; the id is chosen by the caller (see uniqueCategoryId)
+    async create({ id, name, parentId = null }) {
+      const { rows } = await pool.query(
+        'INSERT INTO categories (id, name, parent_id) VALUES ($1, $2, $3) RETURNING *',
+        [String(id), name, parentId]
+      );
+      return rowToCategory(rows[0]);
+    },
+
+    // changes: { name, parentId }; resolves with the category, or null when it is unknown
+    async update(id, changes) {
+      const { rows } = await pool.query(
+        `UPDATE categories SET
+           name = COALESCE($2, name),
+           parent_id = CASE WHEN $3 THEN $4 ELSE parent_id END
+         WHERE id = $1
+         RETURNING *`,
+        [String(id), changes.name ?? null, changes.parentId !== undefined, changes.parentId ?? null]
+      );
+      return rows[0] ? rowToCategory(rows[0]) : null;
+    },
+
+    // Sub-categories move up to the removed category's parent
+    remove(id) {
+      return transaction(async (client) => {
+        const { rows } = await client.query('SELECT parent_id FROM categories WHERE id = $1', [String(id)]);
+        if (rows.length === 0) return false;
+        await client.query('UPDATE categories SET parent_id = $2 WHERE parent_id = $1', [String(id), rows[0].parent_id]);
+        await client.query('DELETE FROM categories WHERE id = $1', [String(id)]);
+        return true;
+      });
+    }
+  };
+
+  const linkChecks = {
+    async list() {
+      const { rows } = await pool.query('SELECT * FROM link_checks ORDER BY url');
+      return rows.map(rowToLinkCheck);
+    },
+
+    async get(url) {
+      const { rows } = await pool.query('SELECT * FROM link_checks WHERE url = $1', [url]);
+      return rows[0] ? rowToLinkCheck(rows[0]) : null;
+    },
+
+    // Save the latest result for a URL; failures counts the checks in a row that were not ok
+    async record(url, { status, httpStatus = null, error = null, checkedAt = new Date() }) {
+      const { rows } = await pool.query(
+        `INSERT INTO link_checks (url, status, http_status, error, failures, checked_at)
+         VALUES ($1, $2, $3, $4, CASE WHEN $2 = 'ok' THEN 0 ELSE 1 END, $5)
+         ON CONFLICT (url) DO UPDATE SET
+           status = EXCLUDED.status,
+           http_status = EXCLUDED.http_status,
+           error = EXCLUDED.error,
+           failures = CASE WHEN EXCLUDED.status = 'ok' THEN 0 ELSE link_checks.failures + 1 END,
+           checked_at = EXCLUDED.checked_at
+         RETURNING *`,
+        [url, status, httpStatus, error, checkedAt]
+      );
+      return rowToLinkCheck(rows[0]);
+    },
+
+    // Telegram would not take the URL as a photo. record() leaves this alone, so it lasts as long as the URL;
+    // a URL not checked yet starts out broken.
+    async rejectImage(url, error) {
+      const { rows } = await pool.query(
+        `INSERT INTO link_checks (url, status, error, failures, telegram_error, telegram_rejected_at)
+         VALUES ($1, 'broken', $2, 1, $2, NOW())
+         ON CONFLICT (url) DO UPDATE SET
+           telegram_error = EXCLUDED.telegram_error,
+           telegram_rejected_at = EXCLUDED.telegram_rejected_at
+         RETURNING *`,
+        [url, error]
+      );
+      return rowToLinkCheck(rows[0]);
+    },
+
+    // Forget URLs no longer in the catalog; resolves with how many were removed
+    async prune(keepUrls) {
+      const { rowCount } = await pool.query('DELETE FROM link_checks WHERE NOT (url = ANY($1::text[]))', [keepUrls]);
+      return rowCount;
+    }
+  };
+
+  const wishlists = {
+    // Newest first
+    async listForChat(chatId) {
+      const { rows } = await pool.query(
+        'SELECT * FROM wishlist_items WHERE chat_id = $1 ORDER BY saved_at DESC',
+        [chatId.toString()]
+      );
+      return rows.map(rowToWishlistItem);
+    },
+
+    // Saving a product twice keeps the price it was first saved at
+    async add({ chatId, productId, savedPrice }) {
+      const { rows } = await pool.query(
+        `INSERT INTO wishlist_items (chat_id, product_id, saved_price) VALUES ($1, $2, $3)
+         ON CONFLICT (chat_id, product_id) DO NOTHING
+         RETURNING *`,
+        [chatId.toString(), productId.toString(), savedPrice]
+      );
+      if (rows.length > 0) return { item: rowToWishlistItem(rows[0]), created: true };
+      const existing = await pool.query(
+        'SELECT * FROM wishlist_items WHERE chat_id = $1 AND product_id = $2',
+        [chatId.toString(), productId.toString()]
+      );
+      return { item: rowToWishlistItem(existing.rows[0]), created: false };
+    },
+
+    async remove(chatId, productId) {
+      const { rowCount } = await pool.query(
+        'DELETE FROM wishlist_items WHERE chat_id = $1 AND product_id = $2',
+        [chatId.toString(), productId.toString()]
+      );
+      return rowCount > 0;
+    },
+
+    // The chat's share token, made on first use
+    async shareToken(chatId) {
+      await pool.query(
+        'INSERT INTO wishlist_shares (chat_id, token) VALUES ($1, $2) ON CONFLICT (chat_id) DO NOTHING',
+        [chatId.toString(), crypto.randomBytes(12).toString('base64url')]
+      );
+      const { rows } = await pool.query('SELECT token FROM wishlist_shares WHERE chat_id = $1', [chatId.toString()]);
+      return rows[0].token;
+    },
+
+    async chatIdForToken(token) {
+      const { rows } = await pool.query('SELECT chat_id FROM wishlist_shares WHERE token = $1', [String(token)]);
+      return rows.length > 0 ? rows[0].chat_id : null;
+    }
+  };
+
+  return {
+    driver: 'postgres',
+    pool,
+    transaction,
+    products,
+    deals,
+    analytics,
+    subscribers,
+    broadcasts,
+    priceAlerts,
+    priceHistory,
+    channels,
+    categories,
+    linkChecks,
+    wishlists,
+    close: () => pool.end()
+  };
+}
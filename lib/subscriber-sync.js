@@ -0,0 +1,104 @@
+import axios from 'axios';
+
+// Optional export of the subscriber store to a sheet-like HTTP endpoint (Stein / sheet.best style):
+// new subscribers are POSTed as rows, changed ones are PUT with a { condition, set } body keyed on chatid.
+// Enabled by setting SUBSCRIBER_SYNC_URL; runs every SUBSCRIBER_SYNC_INTERVAL_MINUTES (default 60).
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+// YYYY-MM-DD HH:MM:SS in UTC, the format the sheet has always used
+function sheetTimestamp(iso) {
+  return iso ? iso.replace('T', ' ').slice(0, 19) : '';
+}
+
+function subscriberStatus(subscriber) {
+  if (subscriber.blocked) return 'blocked';
+  if (subscriber.optedOut) return 'opted out';
+  return 'active';
+}
+
+export function subscriberToRow(subscriber) {
+  return {
+    chatid: subscriber.chatId,
+    firstName: subscriber.firstName,
+    lastName: subscriber.lastName,
+    userName: subscriber.username,
+    languageCode: subscriber.languageCode,
+    timestamp: sheetTimestamp(subscriber.joinedAt),
+    lastSeen: sheetTimestamp(subscriber.lastSeenAt),
+    status: subscriberStatus(subscriber)
+  };
+}
+
+export function createSubscriberSync({
+  storage,
+  url = process.env.SUBSCRIBER_SYNC_URL,
+  intervalMinutes = Number(process.env.SUBSCRIBER_SYNC_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES
+}) {
+  let running = null;
+  let timer = null;
+
+  async function push() {
+    const startedAt = new Date();
+    const pending = await storage.subscribers.listUnsynced();
+    const added = pending.filter(subscriber => !subscriber.syncedAt);
+    const changed = pending.filter(subscriber => subscriber.syncedAt);
+    const synced = [];
+    const errors = [];
+
+    if (added.length > 0) {
+      try {
+        await axios.post(url, added.map(subscriberToRow));
+        synced.push(...added.map(subscriber => subscriber.chatId));
+      } catch (error) {
+        errors.push({ chatIds: added.map(subscriber => subscriber.chatId), error: error.message });
+      }
+    }
+
+    for (const subscriber of changed) {
+      try {
+        await axios.put(url, { condition: { chatid: subscriber.chatId }, set: subscriberToRow(subscriber) });
+        synced.push(subscriber.chatId);
+      } catch (error) {
+        errors.push({ chatIds: [subscriber.chatId], error: error.message });
+      }
+    }
+
+    if (synced.length > 0) {
+      await storage.subscribers.markSynced(synced, startedAt);
+    }
+    return { added: added.length, updated: changed.length, synced: synced.length, errors };
+  }
+
+  // Push pending changes now; overlapping calls share the same run
+  function syncNow() {
+    if (!url) {
+      return Promise.reject(new Error('SUBSCRIBER_SYNC_URL is not set'));
+    }
+    if (!running) {
+      running = push().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  function start() {
+    if (!url || timer) return;
+    timer = setInterval(() => {
+      syncNow()
+        .then(result => {
+          if (result.errors.length > 0) console.error('Subscriber sync errors:', result.errors);
+        })
+        .catch(error => console.error('Subscriber sync failed:', error.message));
+    }, intervalMinutes * 60 * 1000);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { enabled: Boolean(url), syncNow, start, stop };
+}
@@ -0,0 +1,9 @@
+// Telegram's parse_mode: 'HTML' rejects the whole message (or a whole page of inline results) on a stray
+// & or <, so catalog text goes through this before it is put into a caption. &quot; keeps href="" intact.
+export function escapeTelegramHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
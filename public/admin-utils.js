@@ -0,0 +1,11 @@
+// Helpers shared by the admin pages in this folder
+
+// Text made safe for innerHTML, including inside quoted attributes (value="...", src="...")
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,12 @@
+import { hashPassword } from '../lib/auth.js';
+
+// Usage: npm run hash-password -- <password>
+// Prints a value for the ADMIN_PASSWORD_HASH environment variable.
+const password = process.argv[2];
+
+if (!password) {
+  console.error('Usage: npm run hash-password -- <password>');
+  process.exit(1);
+}
+
+console.log(hashPassword(password));
@@ -0,0 +1,280 @@
+import fs from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import dotenv from 'dotenv';
+import { storageConfigFromEnv } from '../lib/storage/index.js';
+import { createPostgresStorage } from '../lib/storage/postgres-store.js';
+import { GRANULARITIES, emptyBuckets, addToBuckets } from '../lib/analytics.js';
+
+// Usage: npm run db:import -- [--force] [--users-from=<sheet url>]
+// One-time copy of the JSON storage in DATA_DIR into DATABASE_URL: products, today's deals, analytics, subscribers,
+// price history and alerts, channels, categories, link checks, wishlists and broadcasts.
+// --force               empty every table but subscribers first (subscribers are merged by chat id)
+// --users-from=<url>    also import users registered in the old Stein/Google Sheet
+dotenv.config();
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const usersFromArg = args.find(arg => arg.startsWith('--users-from='));
+const usersFrom = usersFromArg ? usersFromArg.slice('--users-from='.length) : null;
+
+async function readJsonFile(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+}
+
+// The sheet stores "YYYY-MM-DD HH:MM:SS" in UTC
+function sheetDate(timestamp) {
+  const date = new Date(`${String(timestamp).replace(' ', 'T')}Z`);
+  return timestamp && !Number.isNaN(date.getTime()) ? date : undefined;
+}
+
+const config = storageConfigFromEnv();
+const storage = await createPostgresStorage(config);
+const { pool } = storage;
+
+try {
+  const { rows } = await pool.query('SELECT COUNT(*) AS count FROM products');
+  if (rows[0].count > 0 && !force) {
+    throw new Error('The products table is not empty; re-run with --force to replace its contents');
+  }
+  if (force) {
+    await pool.query(
+      `TRUNCATE products, today_deals, analytics_events, product_views, analytics_buckets, analytics_bucket_users,
+         price_history, price_alerts, channels, categories, link_checks, wishlist_items, wishlist_shares,
+         broadcasts, broadcast_deliveries
+       RESTART IDENTITY`
+    );
+  }
+
+  const products = await readJsonFile(path.join(config.dataDir, 'products.json'), []);
+  for (const product of products) {
+    await storage.products.create(product);
+  }
+  // Continue the id sequence after the imported ids
+  await pool.query(`SELECT setval(pg_get_serial_sequence('products', 'id'), GREATEST(MAX(id), 1)) FROM products`);
+  console.log(`Imported ${products.length} products`);
+
+  const deals = await readJsonFile(path.join(config.dataDir, 'today-deals.json'), []);
+  await storage.deals.replaceAll(deals);
+  console.log(`Imported ${deals.length} deals`);
+
+  const analytics = await readJsonFile(path.join(config.dataDir, 'analytics.json'), { events: [], productViews: {} });
+  // Older analytics.json files only have queries; newer ones keep every event
+  const events = analytics.events || (analytics.queries || []).map(entry => ({ type: 'query', ...entry }));
+  for (const entry of events) {
+    // Inserted directly so product views are not counted twice; the totals are copied below
+    await pool.query(
+      `INSERT INTO analytics_events (type, chat_id, product_id, query, status, data, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        entry.type,
+        entry.chatId === undefined ? null : String(entry.chatId),
+        entry.productId === undefined ? null : String(entry.productId),
+        entry.query || null,
+        entry.status || null,
+        entry.data || {},
+        entry.timestamp ? new Date(entry.timestamp) : new Date()
+      ]
+    );
+  }
+  for (const [productId, views] of Object.entries(analytics.productViews || {})) {
+    await pool.query('INSERT INTO product_views (product_id, views) VALUES ($1, $2)', [productId, views]);
+  }
+  console.log(`Imported ${events.length} analytics events and views for ${Object.keys(analytics.productViews || {}).length} products`);
+
+  // Chart counters. analytics.json keeps them by hour and day (the daily ones outlive pruned events);
+  // files written before it did get them rebuilt from their events the way the bot counts them
+  let buckets = analytics.buckets;
+  if (!buckets) {
+    buckets = emptyBuckets();
+    events.forEach(event => addToBuckets(buckets, event));
+  }
+  let bucketCount = 0;
+  for (const granularity of GRANULARITIES) {
+    for (const [start, { chatIds = [], ...counts }] of Object.entries(buckets[granularity] || {})) {
+      for (const [metric, value] of Object.entries(counts)) {
+        await pool.query(
+          `INSERT INTO analytics_buckets (granularity, bucket_start, metric, value) VALUES ($1, $2, $3, $4)
+           ON CONFLICT (granularity, bucket_start, metric) DO UPDATE SET value = EXCLUDED.value`,
+          [granularity, start, metric, value]
+        );
+      }
+      for (const chatId of chatIds) {
+        await pool.query(
+          'INSERT INTO analytics_bucket_users (granularity, bucket_start, chat_id) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+          [granularity, start, String(chatId)]
+        );
+      }
+      bucketCount++;
+    }
+  }
+  console.log(`Imported ${bucketCount} hourly and daily analytics buckets`);
+
+  const subscribers = await readJsonFile(path.join(config.dataDir, 'subscribers.json'), []);
+  for (const subscriber of subscribers) {
+    await storage.subscribers.upsert(subscriber);
+    await storage.subscribers.update(subscriber.chatId, {
+      blocked: subscriber.blocked,
+      optedOut: subscriber.optedOut,
+      dailyDeals: subscriber.dailyDeals
+    });
+  }
+  console.log(`Imported ${subscribers.length} subscribers`);
+
+  const priceHistory = await readJsonFile(path.join(config.dataDir, 'price-history.json'), {});
+  let priceCount = 0;
+  for (const [productId, entries] of Object.entries(priceHistory)) {
+    for (const entry of entries) {
+      await storage.priceHistory.record(productId, entry);
+      priceCount++;
+    }
+  }
+  console.log(`Imported ${priceCount} recorded prices for ${Object.keys(priceHistory).length} products`);
+
+  // The remaining tables are copied as they are, timestamps included, rather than through the storage methods
+  const date = (value) => (value ? new Date(value) : null);
+
+  const priceAlerts = await readJsonFile(path.join(config.dataDir, 'price-alerts.json'), []);
+  for (const alert of priceAlerts) {
+    await pool.query(
+      `INSERT INTO price_alerts (chat_id, product_id, target_price, base_price, created_at, notified_at)
+       VALUES ($1, $2, $3, $4, COALESCE($5, NOW()), $6) ON CONFLICT DO NOTHING`,
+      [
+        String(alert.chatId),
+        String(alert.productId),
+        alert.targetPrice ?? null,
+        alert.basePrice,
+        date(alert.createdAt),
+        date(alert.notifiedAt)
+      ]
+    );
+  }
+  console.log(`Imported ${priceAlerts.length} price alerts`);
+
+  const channels = await readJsonFile(path.join(config.dataDir, 'channels.json'), []);
+  for (const channel of channels) {
+    await pool.query(
+      `INSERT INTO channels (chat_id, title, username, can_post, auto_post, daily_deals, added_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, NOW()), COALESCE($8, NOW())) ON CONFLICT DO NOTHING`,
+      [
+        String(channel.chatId),
+        channel.title || '',
+        channel.username || '',
+        channel.canPost !== false,
+        Boolean(channel.autoPost),
+        Boolean(channel.dailyDeals),
+        date(channel.addedAt),
+        date(channel.updatedAt)
+      ]
+    );
+  }
+  console.log(`Imported ${channels.length} channels`);
+
+  // Parents are set once every category exists, whatever order the file lists them in
+  const categories = await readJsonFile(path.join(config.dataDir, 'categories.json'), []);
+  for (const category of categories) {
+    await pool.query(
+      'INSERT INTO categories (id, name, created_at) VALUES ($1, $2, COALESCE($3, NOW())) ON CONFLICT DO NOTHING',
+      [String(category.id), category.name, date(category.createdAt)]
+    );
+  }
+  for (const category of categories.filter(c => c.parentId)) {
+    await pool.query('UPDATE categories SET parent_id = $2 WHERE id = $1', [String(category.id), String(category.parentId)]);
+  }
+  console.log(`Imported ${categories.length} categories`);
+
+  const linkChecks = await readJsonFile(path.join(config.dataDir, 'link-checks.json'), {});
+  for (const [url, check] of Object.entries(linkChecks)) {
+    await pool.query(
+      `INSERT INTO link_checks (url, status, http_status, error, failures, checked_at, telegram_error, telegram_rejected_at)
+       VALUES ($1, $2, $3, $4, $5, COALESCE($6, NOW()), $7, $8) ON CONFLICT DO NOTHING`,
+      [
+        url,
+        check.status,
+        check.httpStatus ?? null,
+        check.error ?? null,
+        check.failures || 0,
+        date(check.checkedAt),
+        check.telegramError ?? null,
+        date(check.telegramRejectedAt)
+      ]
+    );
+  }
+  console.log(`Imported ${Object.keys(linkChecks).length} link checks`);
+
+  const wishlists = await readJsonFile(path.join(config.dataDir, 'wishlists.json'), {});
+  let wishlistItemCount = 0;
+  for (const [chatId, list] of Object.entries(wishlists)) {
+    for (const item of list.items || []) {
+      await pool.query(
+        `INSERT INTO wishlist_items (chat_id, product_id, saved_price, saved_at)
+         VALUES ($1, $2, $3, COALESCE($4, NOW())) ON CONFLICT DO NOTHING`,
+        [chatId, String(item.productId), item.savedPrice, date(item.savedAt)]
+      );
+      wishlistItemCount++;
+    }
+    // Links already shared keep working
+    if (list.shareToken) {
+      await pool.query(
+        'INSERT INTO wishlist_shares (chat_id, token) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+        [chatId, list.shareToken]
+      );
+    }
+  }
+  console.log(`Imported ${wishlistItemCount} wishlist items from ${Object.keys(wishlists).length} chats`);
+
+  // Unfinished broadcasts carry on from their pending deliveries once the bot runs on PostgreSQL
+  const broadcasts = await readJsonFile(path.join(config.dataDir, 'broadcasts.json'), []);
+  for (const job of broadcasts) {
+    await pool.query(
+      `INSERT INTO broadcasts (id, message, status, created_at, started_at, finished_at)
+       VALUES ($1, $2, $3, COALESCE($4, NOW()), $5, $6)`,
+      [job.id, job.message, job.status, date(job.createdAt), date(job.startedAt), date(job.finishedAt)]
+    );
+    for (const delivery of job.deliveries || []) {
+      await pool.query(
+        `INSERT INTO broadcast_deliveries (broadcast_id, chat_id, status, attempts, error, updated_at)
+         VALUES ($1, $2, $3, $4, $5, COALESCE($6, NOW()))`,
+        [
+          job.id,
+          String(delivery.chatId),
+          delivery.status,
+          delivery.attempts || 0,
+          delivery.error ?? null,
+          date(delivery.updatedAt)
+        ]
+      );
+    }
+  }
+  await pool.query(`SELECT setval(pg_get_serial_sequence('broadcasts', 'id'), GREATEST(MAX(id), 1)) FROM broadcasts`);
+  console.log(`Imported ${broadcasts.length} broadcasts`);
+
+  if (usersFrom) {
+    const response = await axios.get(usersFrom);
+    const users = Array.isArray(response.data) ? response.data : [];
+    const importedIds = [];
+    for (const user of users.filter(u => u.chatid)) {
+      const { created } = await storage.subscribers.upsert({
+        chatId: String(user.chatid),
+        firstName: user.firstName || '',
+        lastName: user.lastName || '',
+        username: user.userName || '',
+        joinedAt: sheetDate(user.timestamp)
+      });
+      if (created) importedIds.push(String(user.chatid));
+    }
+    // These rows came from the sheet, so there is nothing to push back
+    await storage.subscribers.markSynced(importedIds);
+    console.log(`Imported ${importedIds.length} of ${users.length} users from the sheet`);
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  await storage.close();
+}
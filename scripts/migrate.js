@@ -0,0 +1,25 @@
+import dotenv from 'dotenv';
+import { storageConfigFromEnv } from '../lib/storage/index.js';
+import { createPool } from '../lib/storage/postgres-store.js';
+import { runMigrations } from '../lib/storage/migrate.js';
+
+// Usage: npm run db:migrate
+// Applies pending schema migrations to DATABASE_URL.
+dotenv.config();
+
+const config = storageConfigFromEnv();
+if (!config.databaseUrl) {
+  console.error('DATABASE_URL is not set');
+  process.exit(1);
+}
+
+const pool = createPool(config);
+try {
+  const applied = await runMigrations(pool);
+  console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
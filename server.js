@@ -1,12 +1,35 @@
 import express from 'express';
 import TelegramBot from 'node-telegram-bot-api';
-import fs from 'fs/promises';
 import path from 'path';
+import os from 'os';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import axios from 'axios';
-import pg from 'pg'; // Import pg as default
-const { Client } = pg; // Destructure Client from pg
+import { createAdminAuth } from './lib/auth.js';
+import { createStorage } from './lib/storage/index.js';
+import { createSubscriberSync } from './lib/subscriber-sync.js';
+import { createBroadcaster } from './lib/broadcaster.js';
+import { createPriceAlerts, suggestedTargets } from './lib/price-alerts.js';
+import { summarizePriceHistory } from './lib/price-history.js';
+import { validateProduct, queryProducts, productsToCsv, productFromCsvRecord, isListed } from './lib/products.js';
+import { parseCsvRecords } from './lib/csv.js';
+import { parseTimeseriesRange, buildTimeseries } from './lib/analytics.js';
+import { buildSearchReport } from './lib/search-report.js';
+import { buildFunnels, DEFAULT_SESSION_GAP_MINUTES } from './lib/funnels.js';
+import { findProducts } from './lib/search.js';
+import { describeQuery } from './lib/query-parser.js';
+import { commandPattern, isForThisBot, isPrivateChat, isAddressedToBot, stripBotMention } from './lib/group-chat.js';
+import { createChannelPoster, addedDeals } from './lib/channel-posts.js';
+import { createDailyDealsScheduler, isDealActive, dealWindowError, DAILY_DEALS_FORMATS } from './lib/daily-deals.js';
+import {
+  uniqueCategoryId, childCategories, categoryPath, categoryLabel, filterByCategory, validateCategory
+} from './lib/categories.js';
+import { STORES, storeName, productOffers } from './lib/offers.js';
+import { createAffiliateLinks } from './lib/affiliate-links.js';
+import { createCatalogHealthChecker, catalogLinks, isImageError, LINK_STATUSES } from './lib/link-health.js';
+import { escapeTelegramHtml } from './lib/telegram-html.js';
+import { escapeHtml } from './lib/html.js';
+import { createCallbackRouter, encodeCallbackData, CALLBACK_DATA_LIMIT } from './lib/callback-router.js';
 
 dotenv.config();
 
@@ -16,6 +39,38 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN);
 
+// Who the bot is, for spotting mentions and replies in groups. The id is the first part of the token;
+// the username comes from BOT_USERNAME or, failing that, getMe.
+const botIdentity = {
+  id: Number(String(process.env.TELEGRAM_BOT_TOKEN || '').split(':')[0]) || null,
+  username: process.env.BOT_USERNAME || null
+};
+if (!botIdentity.username) {
+  bot.getMe()
+    .then(me => {
+      botIdentity.id = me.id;
+      botIdentity.username = me.username;
+    })
+    .catch(err => console.error('Error fetching the bot username:', err.message));
+}
+
+// Register a /command handler; "/command@OtherBot" in a group is left to the other bot.
+// The handler gets the message and whatever follows the command ('' when nothing does).
+function onCommand(name, handler) {
+  bot.onText(commandPattern(name), (msg, match) => {
+    if (!isForThisBot(match[1], botIdentity.username)) return;
+    return handler(msg, (match[2] || '').trim());
+  });
+}
+
+// Commands about a user's own subscription or alerts only make sense in a private chat
+function replyPrivateOnly(msg, what) {
+  const mention = botIdentity.username ? ` @${botIdentity.username}` : '';
+  return bot.sendMessage(msg.chat.id, `${what} in a private chat with me${mention}.`, {
+    reply_to_message_id: msg.message_id
+  });
+}
+
 // Webhook URL (replace with your Render URL)
 const webhookUrl = `${process.env.RENDER_EXTERNAL_URL}/webhook`;
 
@@ -24,7 +79,134 @@ bot.setWebHook(webhookUrl)
   .then(() => console.log('Webhook set successfully'))
   .catch(err => console.error('Error setting webhook:', err));
 
+app.set('trust proxy', 1); // Render terminates TLS in front of us
+
+// Bulk product imports can be much larger than the default 100kb body limit
+const IMPORT_BODY_LIMIT = '5mb';
+app.use(
+  '/api/products/import',
+  express.json({ limit: IMPORT_BODY_LIMIT }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_BODY_LIMIT })
+);
 app.use(express.json());
+
+// Admin authentication
+const adminAuth = createAdminAuth();
+const { requireAdmin } = adminAuth;
+
+// Only allow redirects back into this site after login
+function safeRedirectTarget(target) {
+  return typeof target === 'string' && target.startsWith('/') && !target.startsWith('//') ? target : '/admin';
+}
+
+app.get('/admin/login', (req, res) => {
+  const nextUrl = safeRedirectTarget(req.query.next);
+  if (adminAuth.getSession(req)) {
+    return res.redirect(nextUrl);
+  }
+
+  res.send(`
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Admin Login</title>
+      <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
+      <style>
+        body {
+          font-family: 'Segoe UI', Arial, sans-serif;
+          background: #023047;
+          min-height: 100vh;
+          display: flex;
+          justify-content: center;
+          align-items: center;
+        }
+
+        .login-card {
+          background: white;
+          padding: 2rem;
+          border-radius: 15px;
+          box-shadow: 0 8px 25px rgba(0, 0, 0, 0.2);
+          width: 90%;
+          max-width: 400px;
+        }
+
+        .login-card h2 {
+          color: #023047;
+          font-weight: 600;
+          margin-bottom: 1.5rem;
+        }
+
+        .login-error {
+          color: #dc3545;
+          margin-top: 0.75rem;
+          font-size: 0.9rem;
+        }
+      </style>
+    </head>
+    <body>
+      <form class="login-card" id="loginForm">
+        <h2>Admin Login</h2>
+        <input type="password" class="form-control mb-3" id="password" placeholder="PIN or password" autocomplete="current-password" autofocus required>
+        <button type="submit" class="btn btn-primary w-100">Log In</button>
+        <div id="loginError" class="login-error"></div>
+      </form>
+
+      <script>
+        document.getElementById('loginForm').addEventListener('submit', async (e) => {
+          e.preventDefault();
+          const loginError = document.getElementById('loginError');
+          loginError.textContent = '';
+
+          try {
+            const response = await fetch('/admin/login', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ password: document.getElementById('password').value })
+            });
+            const result = await response.json();
+
+            if (result.success) {
+              window.location.href = ${JSON.stringify(nextUrl).replace(/</g, '\\u003c')};
+            } else {
+              loginError.textContent = result.message;
+            }
+          } catch (error) {
+            loginError.textContent = 'Login failed. Please try again.';
+          }
+        });
+      </script>
+    </body>
+    </html>
+  `);
+});
+
+app.post('/admin/login', (req, res) => {
+  const result = adminAuth.login(req, res);
+  res.status(result.status).json({ success: result.success, message: result.message });
+});
+
+app.post('/admin/logout', (req, res) => {
+  adminAuth.logout(req, res);
+  res.json({ success: true, message: 'Logged out' });
+});
+
+// Everything under /admin needs a session, as do the user tools and all API calls
+// except the public catalog reads used by the product pages
+const PUBLIC_API_READS = ['/products', '/today-deals', '/categories'];
+
+app.use([
+  '/admin', '/admin-notify.html', '/admin-products.html', '/admin-offers.html', '/admin-categories.html',
+  '/admin-affiliate-links.html', '/admin-search-report.html', '/admin-funnels.html', '/admin-channels.html',
+  '/admin-daily-deals.html', '/user-profile', '/send-chatid', '/test'
+], requireAdmin);
+app.use('/api', (req, res, next) => {
+  const isPublicRead = req.method === 'GET' && PUBLIC_API_READS.some(route => req.path === route);
+  if (isPublicRead) return next();
+  return requireAdmin(req, res, next);
+});
+
 app.use(express.static('public'));
 
 // Webhook endpoint
@@ -34,6 +216,29 @@ app.post('/webhook', (req, res) => {
 });
 
 // Root endpoint for UptimeRobot
+// CPU and memory use of this process for the server status page (index.html), which is hosted
+// elsewhere and so needs CORS. CPU is averaged over the time since the previous request.
+let lastCpuSample = { usage: process.cpuUsage(), time: process.hrtime.bigint() };
+
+app.get('/status', (req, res) => {
+  const time = process.hrtime.bigint();
+  const usage = process.cpuUsage(lastCpuSample.usage);
+  const elapsedMicros = Number(time - lastCpuSample.time) / 1000;
+  lastCpuSample = { usage: process.cpuUsage(), time };
+
+  const cpuPercent = elapsedMicros > 0 ? ((usage.user + usage.system) / elapsedMicros / os.cpus().length) * 100 : 0;
+  const { rss } = process.memoryUsage();
+
+  res.set('Access-Control-Allow-Origin', '*');
+  res.json({
+    status: 'ok',
+    uptimeSeconds: Math.round(process.uptime()),
+    cpuPercent: Math.min(100, Math.round(cpuPercent * 10) / 10),
+    memoryPercent: Math.round((rss / os.totalmem()) * 1000) / 10,
+    memoryBytes: rss
+  });
+});
+
 app.get('/', (req, res) => {
   // Get current UTC time
   const now = new Date();
@@ -257,213 +462,247 @@ app.get('/', (req, res) => {
 });
 
 
-// Define file paths
-const productsFile = path.join(__dirname, 'products.json');
-const analyticsFile = path.join(__dirname, 'analytics.json');
-// Define file path for today's deals
-const todayDealsFile = path.join(__dirname, 'today-deals.json');
-
-// Initialize analytics data
-async function initializeAnalytics() {
-  try {
-    await fs.access(analyticsFile);
-  } catch {
-    await fs.writeFile(analyticsFile, JSON.stringify({ queries: [], traffic: 0, productViews: {} }));
-  }
-}
+// Storage backend: JSON files for local development or PostgreSQL (see lib/storage)
+const storage = await createStorage();
+console.log(`Using ${storage.driver} storage`);
 
-initializeAnalytics();
+// Track user queries and traffic; resultCount is null when the search itself failed
+async function trackQuery(chatId, query, resultCount) {
+  let status = 'Success';
+  if (resultCount === null) status = 'Error';
+  else if (resultCount === 0) status = 'No results';
 
-async function readProducts() {
   try {
-    const data = await fs.readFile(productsFile, 'utf8');
-    return JSON.parse(data);
+    await storage.analytics.recordEvent({ type: 'query', chatId, query, status, data: { resultCount } });
   } catch (error) {
-    console.error('Error reading products:', error);
-    return [];
+    console.error('Error tracking query:', error);
   }
 }
 
-async function writeProducts(products) {
+// Track product views
+async function trackProductView(productId, chatId) {
   try {
-    await fs.writeFile(productsFile, JSON.stringify(products, null, 2));
+    await storage.analytics.recordEvent({ type: 'product_view', productId, chatId });
   } catch (error) {
-    console.error('Error writing products:', error);
+    console.error('Error tracking product view:', error);
   }
 }
 
-async function readAnalytics() {
-  try {
-    const data = await fs.readFile(analyticsFile, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('Error reading analytics:', error);
-    return { queries: [], traffic: 0, productViews: {} };
-  }
-}
+// Order Now links go through /go/:productId so clicks are counted before the shopper reaches the store
+const CLICK_SOURCES = ['search', 'today', 'broadcast', 'product_page', 'alert', 'inline', 'channel', 'daily', 'wishlist'];
 
-async function writeAnalytics(analytics) {
-  try {
-    await fs.writeFile(analyticsFile, JSON.stringify(analytics, null, 2));
-  } catch (error) {
-    console.error('Error writing analytics:', error);
-  }
+// Absolute /go link for bot buttons; chatId is optional (e.g. web visitors).
+// store picks one of the product's store offers (see lib/offers.js) instead of its buyLink.
+function trackedLink(productId, source, chatId, store) {
+  const params = new URLSearchParams({ src: source });
+  if (chatId && /^-?\d+$/.test(String(chatId))) params.set('c', chatId);
+  if (store) params.set('store', store);
+  return `${process.env.RENDER_EXTERNAL_URL || ''}/go/${encodeURIComponent(productId)}?${params}`;
 }
 
-// Track user queries and traffic
-async function trackQuery(chatId, query) {
-  const analytics = await readAnalytics();
-  analytics.queries.push({ chatId, query, timestamp: new Date(), status: 'Success' }); // Change status to 'Success'
-  analytics.traffic += 1;
-  await writeAnalytics(analytics);
+// Affiliate link for a product (or its offer from `store`), falling back to today's deals for ids that only exist there.
+// Disabled products have no link, so old buttons for them lead nowhere.
+async function findBuyLink(productId, store) {
+  const product = await storage.products.get(productId);
+  if (product && !isListed(product)) return null;
+  const offer = product && store ? productOffers(product).find(o => o.store === store) : null;
+  if (offer) return offer.link;
+  if (product && product.buyLink) return product.buyLink;
+  const deals = await storage.deals.list();
+  const deal = deals.find(d => d.id !== undefined && d.id.toString() === productId);
+  return deal ? deal.buyLink : null;
 }
 
-// Track product views
-async function trackProductView(productId) {
-  const analytics = await readAnalytics();
-  if (!analytics.productViews[productId]) {
-    analytics.productViews[productId] = 0;
+// Which products a page of search results listed, for the search -> view -> click funnels
+async function trackResultsShown(chatId, query, products, page) {
+  try {
+    await storage.analytics.recordEvent({
+      type: 'results_shown',
+      chatId,
+      query,
+      data: { page, productIds: products.map(product => product.id) }
+    });
+  } catch (error) {
+    console.error('Error tracking search results:', error);
   }
-  analytics.productViews[productId] += 1;
-  await writeAnalytics(analytics);
 }
 
-// Initialize today's deals data
-async function initializeTodayDeals() {
+// Counted in the newSubscribers analytics series
+async function trackNewSubscriber(chatId) {
   try {
-    await fs.access(todayDealsFile);
-  } catch {
-    // If the file doesn't exist, create it with an empty array
-    await fs.writeFile(todayDealsFile, JSON.stringify([]));
+    await storage.analytics.recordEvent({ type: 'subscribe', chatId });
+  } catch (error) {
+    console.error('Error tracking new subscriber:', error);
   }
 }
 
-initializeTodayDeals();
+// Raw events are only needed for recent activity; the daily counters they add to are kept for good
+const ANALYTICS_EVENT_RETENTION_DAYS = Number(process.env.ANALYTICS_EVENT_RETENTION_DAYS) || 90;
 
-// Function to read today's deals
-async function readTodayDeals() {
+async function pruneAnalytics() {
   try {
-    const data = await fs.readFile(todayDealsFile, 'utf8');
-    return JSON.parse(data);
+    const before = new Date(Date.now() - ANALYTICS_EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const removed = await storage.analytics.pruneEvents(before);
+    if (removed > 0) console.log(`Pruned ${removed} analytics events older than ${ANALYTICS_EVENT_RETENTION_DAYS} days`);
   } catch (error) {
-    console.error('Error reading today deals:', error);
-    return [];
+    console.error('Error pruning analytics events:', error);
   }
 }
 
-// Function to write today's deals
-async function writeTodayDeals(deals) {
+pruneAnalytics();
+setInterval(pruneAnalytics, 24 * 60 * 60 * 1000).unref();
+
+async function trackClick(productId, chatId, source, store) {
   try {
-    await fs.writeFile(todayDealsFile, JSON.stringify(deals, null, 2));
+    await storage.analytics.recordEvent({ type: 'click', productId, chatId, data: store ? { source, store } : { source } });
+    await storage.products.incrementClicks(productId);
   } catch (error) {
-    console.error('Error writing today deals:', error);
+    console.error('Error tracking click:', error);
   }
 }
-// Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
 
-// Constants
-const SHEET_URL = 'https://api.steinhq.com/v1/storages/67b5f4dac088333365771865/Sheet1';
-const DEFAULT_USER_LOGIN = 'Kpavan63';
-
-// Function to get current UTC timestamp in YYYY-MM-DD HH:MM:SS format
-function getUTCTimestamp() {
-    const now = new Date();
-    const year = now.getUTCFullYear();
-    const month = String(now.getUTCMonth() + 1).padStart(2, '0');
-    const day = String(now.getUTCDate()).padStart(2, '0');
-    const hours = String(now.getUTCHours()).padStart(2, '0');
-    const minutes = String(now.getUTCMinutes()).padStart(2, '0');
-    const seconds = String(now.getUTCSeconds()).padStart(2, '0');
-    
-    return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+// Buy links are given our affiliate tag (AFFILIATE_TAGS) when products and deals are saved
+const affiliateLinks = createAffiliateLinks();
+
+// Watchers are told when an admin lowers a product's price (see updateProduct)
+const priceAlerts = createPriceAlerts({
+  bot,
+  storage,
+  orderLink: (productId, chatId) => trackedLink(productId, 'alert', chatId)
+});
+
+// The catalog as shoppers see it
+async function listedProducts() {
+  const products = await storage.products.list();
+  return products.filter(isListed);
 }
 
+// Deals copied from products before they had a category go by the product's current one
+async function withDealCategories(deals) {
+  const products = await storage.products.list();
+  const productCategories = new Map(products.map(product => [String(product.id), product.category]));
+  return deals.map(deal => {
+    const category = deal.category || productCategories.get(String(deal.id));
+    return category ? { ...deal, category } : deal;
+  });
+}
 
-// Function to send data to Google Sheets
-async function sendDataToSheet(data) {
-    try {
-        const response = await axios.post(SHEET_URL, data);
-        console.log('Data sent to Google Sheet:', response.data);
-        return response.data;
-    } catch (error) {
-        console.error('Error sending data to Google Sheet:', error);
-        throw new Error('Failed to send data to Google Sheet');
-    }
+// Today's deals that are live at `now`; deals outside their startsAt/endsAt window are kept but not shown
+async function activeDeals(now = new Date()) {
+  const deals = await storage.deals.list();
+  return deals.filter(deal => isDealActive(deal, now));
 }
 
-// Function to read users from sheet
-// Function to read users from sheet
-async function readUsers() {
-    try {
-        const response = await axios.get(SHEET_URL);
-        return response.data || [];
-    } catch (error) {
-        console.error('Error reading users:', error);
-        return [];
-    }
+function recordPrice(product) {
+  return storage.priceHistory.record(product.id, { price: product.price, mrp: product.mrp ?? null });
 }
 
+// Apply an admin edit to a product. Price/MRP changes are added to its price history,
+// and a price change alerts watchers in the background. replace: true stores `changes` as the whole product.
+async function updateProduct(id, changes, { replace = false } = {}) {
+  const before = await storage.products.get(id);
+  const updated = replace ? await storage.products.replace(id, changes) : await storage.products.update(id, changes);
+  if (!before || !updated) return updated;
+
+  if (Number(updated.price) !== Number(before.price) || Number(updated.mrp) !== Number(before.mrp)) {
+    // Products added before history was kept start theirs with the price being replaced
+    const history = await storage.priceHistory.list(updated.id);
+    if (history.length === 0) await recordPrice(before);
+    await recordPrice(updated);
+  }
 
+  if (Number(updated.price) !== Number(before.price)) {
+    priceAlerts.notifyWatchers(updated)
+      .then(count => count > 0 && console.log(`Sent ${count} price alerts for product ${updated.id}`))
+      .catch(error => console.error('Error sending price alerts:', error));
+  }
+  return updated;
+}
 
+// Middleware
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
 
-// Function to check if user exists
-async function checkUserExists(chatId) {
-    try {
-        const users = await readUsers();
-        return users.some(user => user.chatid === chatId);
-    } catch (error) {
-        console.error('Error checking user existence:', error);
-        return false;
-    }
+// Subscribers are kept in the storage backend; the sheet export is optional (see lib/subscriber-sync.js)
+const subscriberSync = createSubscriberSync({ storage });
+subscriberSync.start();
+
+// Notifications are sent by a background queue that resumes unfinished jobs after a restart
+const broadcaster = createBroadcaster({
+  bot,
+  storage,
+  dealSends: (chatId, message) => [
+    { send: () => bot.sendMessage(chatId, message.text) },
+    ...dealPosts(chatId, message.deals, { format: message.format, source: 'daily' })
+      .map(post => ({ messages: post.deals, send: post.send }))
+  ]
+});
+broadcaster.resume();
+
+// Telegram profile fields as stored on a subscriber
+function subscriberProfile(from, chatId) {
+  return {
+    chatId: chatId.toString(),
+    firstName: from.first_name || '',
+    lastName: from.last_name || '',
+    username: from.username || '',
+    languageCode: from.language_code || ''
+  };
 }
 
+// Refresh last-seen at most once per interval per chat rather than on every message.
+// Entries older than the interval no longer hold anything back, so they are swept out now and then.
+const SUBSCRIBER_ACTIVITY_INTERVAL_MS = 5 * 60 * 1000;
+const lastActivityWrites = new Map();
 
-// Function to write user data
-async function writeUserData(userData) {
-  if (!userData.chatid) {
-    throw new Error('Chat ID is required');
+setInterval(() => {
+  const now = Date.now();
+  for (const [chatId, writtenAt] of lastActivityWrites) {
+    if (now - writtenAt >= SUBSCRIBER_ACTIVITY_INTERVAL_MS) lastActivityWrites.delete(chatId);
   }
+}, SUBSCRIBER_ACTIVITY_INTERVAL_MS).unref();
+
+// Only chats that are already subscribers are refreshed; /start is the one to create new subscribers
+async function recordSubscriberActivity(chat, from) {
+  if (!from || chat.type !== 'private') return;
+  const chatId = chat.id.toString();
+  const now = Date.now();
+  if (now - (lastActivityWrites.get(chatId) || 0) < SUBSCRIBER_ACTIVITY_INTERVAL_MS) return;
+  lastActivityWrites.set(chatId, now);
 
   try {
-    const exists = await checkUserExists(userData.chatid);
-    if (exists) {
-      console.log(`User with chat ID ${userData.chatid} already exists`);
-      return false;
-    }
-
-    const data = [{
-      chatid: userData.chatid,
-      firstName: userData.firstName || '',
-      lastName: userData.lastName || '',
-      userName: userData.userName || '',
-      userLogin: DEFAULT_USER_LOGIN,
-      timestamp: getUTCTimestamp()
-    }];
-
-    await sendDataToSheet(data);
-    return true;
+    await storage.subscribers.touch(subscriberProfile(from, chatId));
   } catch (error) {
-    console.error('Error writing user data:', error);
-    throw error;
+    console.error('Error recording subscriber activity:', error);
+  }
+}
+
+// Add a subscriber by hand; accepts the old { chatid, userName } field names as well
+async function addSubscriber(data) {
+  const chatId = data.chatId || data.chatid;
+  if (!chatId) {
+    throw new Error('Chat ID is required');
   }
+
+  const result = await storage.subscribers.upsert({
+    chatId: chatId.toString(),
+    firstName: data.firstName,
+    lastName: data.lastName,
+    username: data.username || data.userName,
+    languageCode: data.languageCode
+  });
+  if (result.created) await trackNewSubscriber(chatId);
+  return result;
 }
 
-// API endpoint to send chat ID to Google Sheets
+// API endpoint to register a chat ID as a subscriber
 app.get('/send-chatid/:chatid', async (req, res) => {
-  const chatid = req.params.chatid;
   try {
-    // Include user login in the data
-    const userData = {
-      userLogin: 'Kpavan63', // Using the provided login
-      timestamp: getUTCTimestamp()
-    };
-    await writeUsers(chatid, userData);
-    res.json({ success: true, message: 'Chat ID sent to Google Sheet successfully!' });
+    await addSubscriber({ chatId: req.params.chatid });
+    res.json({ success: true, message: 'Chat ID saved successfully!' });
   } catch (error) {
-    console.error('Error sending chat ID to Google Sheet:', error);
-    res.status(500).json({ success: false, message: 'Failed to send chat ID to Google Sheet.' });
+    console.error('Error saving chat ID:', error);
+    res.status(500).json({ success: false, message: 'Failed to save chat ID.' });
   }
 });
 
@@ -471,10 +710,9 @@ app.get('/send-chatid/:chatid', async (req, res) => {
 // API endpoint to add new user
 app.post('/api/users', async (req, res) => {
   try {
-    const userData = req.body;
-    const result = await writeUserData(userData);
-    
-    if (result) {
+    const { created } = await addSubscriber(req.body);
+
+    if (created) {
       res.json({ 
         success: true, 
         message: 'User data added successfully' 
@@ -495,17 +733,15 @@ app.post('/api/users', async (req, res) => {
 });
 
 
-// API endpoint to get users (fixed to return JSON)
+// API endpoint to get users
 app.get('/api/users', async (req, res) => {
     try {
-        const users = await readUsers();
+        const users = await storage.subscribers.list();
         res.json({
             success: true,
             count: users.length,
-            users: users.map(user => ({
-                ...user,
-                image: 'https://img.freepik.com/premium-photo/beautiful-sunset-lake-with-textured-foreground_128937-74.jpg?size=626&ext=jpg'
-            }))
+            active: users.filter(user => !user.blocked && !user.optedOut).length,
+            users
         });
     } catch (error) {
         res.status(500).json({
@@ -516,6 +752,20 @@ app.get('/api/users', async (req, res) => {
     }
 });
 
+// Push new and changed subscribers to SUBSCRIBER_SYNC_URL now instead of waiting for the timer
+app.post('/api/subscribers/sync', async (req, res) => {
+  if (!subscriberSync.enabled) {
+    return res.status(400).json({ success: false, message: 'SUBSCRIBER_SYNC_URL is not configured' });
+  }
+
+  try {
+    const result = await subscriberSync.syncNow();
+    res.status(result.errors.length > 0 ? 207 : 200).json({ success: result.errors.length === 0, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Subscriber sync failed', error: error.message });
+  }
+});
+
 
 // Serve the user details page
 // Serve the user dashboard page
@@ -571,10 +821,21 @@ app.get('/admin/users/view', (req, res) => {
         <body>
             <div class="dashboard-container">
                 <h2 class="mb-4">User Management Dashboard</h2>
+                <p class="text-muted" id="userSummary"></p>
                 <div class="row" id="userCards"></div>
             </div>
 
             <script>
+                function formatDate(value) {
+                    return value ? new Date(value).toLocaleString() : 'N/A';
+                }
+
+                function statusBadge(user) {
+                    if (user.blocked) return '<span class="badge bg-danger">Blocked the bot</span>';
+                    if (user.optedOut) return '<span class="badge bg-secondary">Opted out</span>';
+                    return '<span class="badge bg-success">Active</span>';
+                }
+
                 async function loadUsers() {
                     try {
                         const response = await fetch('/api/users');
@@ -584,6 +845,8 @@ app.get('/admin/users/view', (req, res) => {
                         const data = await response.json();
                         
                         const userCards = document.getElementById('userCards');
+                        document.getElementById('userSummary').textContent =
+                            \`\${data.count} subscribers, \${data.active} active\`;
                         
                         if (!data.users || data.users.length === 0) {
                             userCards.innerHTML = \`
@@ -605,21 +868,28 @@ app.get('/admin/users/view', (req, res) => {
                                         </h5>
                                     </div>
                                     <div class="card-body">
+                                        <div class="user-detail">
+                                            \${statusBadge(user)}
+                                        </div>
                                         <div class="user-detail">
                                             <i class="fas fa-at me-2"></i>
-                                            \${user.userName || 'No username'}
+                                            \${user.username || 'No username'}
                                         </div>
                                         <div class="user-detail">
                                             <i class="fas fa-id-badge me-2"></i>
-                                            Chat ID: \${user.chatid}
+                                            Chat ID: \${user.chatId}
                                         </div>
                                         <div class="user-detail">
-                                            <i class="fas fa-user-tag me-2"></i>
-                                            Login: \${user.userLogin || 'Kpavan63'}
+                                            <i class="fas fa-language me-2"></i>
+                                            Language: \${user.languageCode || 'N/A'}
                                         </div>
                                         <div class="user-detail">
                                             <i class="fas fa-clock me-2"></i>
-                                            Added: \${user.timestamp || 'N/A'}
+                                            Joined: \${formatDate(user.joinedAt)}
+                                        </div>
+                                        <div class="user-detail">
+                                            <i class="fas fa-eye me-2"></i>
+                                            Last seen: \${formatDate(user.lastSeenAt)}
                                         </div>
                                     </div>
                                 </div>
@@ -649,18 +919,17 @@ app.get('/admin/users/view', (req, res) => {
 // Add test endpoint to verify data format
 app.get('/test/format', async (req, res) => {
     try {
-        const timestamp = getUTCTimestamp();
-        const users = await readUsers();
+        const users = await storage.subscribers.list();
         res.json({
-            timestamp,
-            userLogin: DEFAULT_USER_LOGIN,
+            timestamp: new Date().toISOString(),
+            storage: storage.driver,
             sampleUser: users[0] || null,
             totalUsers: users.length
         });
     } catch (error) {
         res.status(500).json({
             error: error.message,
-            timestamp: getUTCTimestamp()
+            timestamp: new Date().toISOString()
         });
     }
 });
@@ -683,7 +952,47 @@ app.get('/admin/notify', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'admin-notify.html'));
 });
 
-// Update the notification endpoint
+// Catalog manager: search, edit, enable/disable, delete and promote products
+app.get('/admin/products', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin-products.html'));
+});
+
+// A product's store offers: /admin/offers?product=<id>
+app.get('/admin/offers', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin-offers.html'));
+});
+
+// Affiliate tags per store, untagged links and the bulk re-tag
+app.get('/admin/affiliate-links', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin-affiliate-links.html'));
+});
+
+// Category tree: add, rename, move and delete categories
+app.get('/admin/categories', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin-categories.html'));
+});
+
+// Searches that found nothing or little, with actions to add keywords or start a product
+app.get('/admin/search-report', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin-search-report.html'));
+});
+
+// Which searches and products lead to Order Now clicks
+app.get('/admin/funnels', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin-funnels.html'));
+});
+
+// Channels the bot posts deals to
+app.get('/admin/channels', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin-channels.html'));
+});
+
+// Schedule and preview of the daily deals post
+app.get('/admin/daily-deals', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin-daily-deals.html'));
+});
+
+// Queue a notification for every active subscriber; it is sent in the background (see lib/broadcaster.js)
 app.post('/admin/send-notification', async (req, res) => {
   const { image, text, link } = req.body;
 
@@ -695,105 +1004,104 @@ app.post('/admin/send-notification', async (req, res) => {
   }
 
   try {
-    const users = await readUsers();
-    
-    if (!Array.isArray(users) || users.length === 0) {
+    // Product links in the text and the link field are counted through /go like the bot's own buttons
+    const products = await listedProducts();
+    const job = await broadcaster.enqueue({
+      text: text.replace(/https?:\/\/[^\s<>"]+/g, url => broadcastLink(url, products)),
+      image: image || null,
+      link: link ? broadcastLink(link, products) : null
+    });
+
+    if (!job) {
       return res.status(400).json({
         success: false,
         message: 'No users found to send notifications to'
       });
     }
 
-    const results = {
-      successful: 0,
-      failed: 0,
-      errors: []
-    };
+    res.status(202).json({
+      success: true,
+      message: `Notification queued for ${job.total} users`,
+      job
+    });
+  } catch (error) {
+    console.error('Error queueing notification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue notification',
+      error: error.message
+    });
+  }
+});
 
-    // Send notification to each user
-    for (const user of users) {
-      const chatId = user.chatid;
-      try {
-        if (typeof chatId !== 'string' && typeof chatId !== 'number') {
-          throw new Error(`Invalid chat ID format: ${chatId}`);
-        }
+// The /go link to send in place of a product URL in a broadcast: a listed product's buy link, one of its store
+// offers or its /product page on this site. Any other URL comes back unchanged, /go links included.
+function broadcastLink(url, products) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
 
-        if (image) {
-          // Send image with caption
-          await bot.sendPhoto(chatId, image, { caption: text });
-        } else {
-          // Send text message
-          await bot.sendMessage(chatId, text);
-        }
+  const ownHost = process.env.RENDER_EXTERNAL_URL ? new URL(process.env.RENDER_EXTERNAL_URL).host : null;
+  const productPage = parsed.pathname.match(/^\/product\/([^/]+)\/?$/);
+  if (productPage && parsed.host === ownHost) {
+    const product = products.find(p => p.id.toString() === decodeURIComponent(productPage[1]));
+    if (product) return trackedLink(product.id, 'broadcast');
+  }
 
-        // Send link if provided
-        if (link) {
-          await bot.sendMessage(chatId, `🔗 Link: ${link}`);
-        }
+  for (const product of products) {
+    if (product.buyLink === url) return trackedLink(product.id, 'broadcast');
+    const offer = productOffers(product).find(o => o.link === url);
+    if (offer) return trackedLink(product.id, 'broadcast', null, offer.store);
+  }
+  return url;
+}
 
-        results.successful++;
-      } catch (error) {
-        results.failed++;
-        results.errors.push({
-          chatId,
-          error: error.message
-        });
-        console.error(`Error sending notification to chat ID ${chatId}:`, error);
-      }
-    }
+// Recent broadcasts with their progress
+app.get('/admin/broadcasts', async (req, res) => {
+  try {
+    const jobs = await storage.broadcasts.list({ limit: Number(req.query.limit) || 20 });
+    res.json({ success: true, jobs });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch broadcasts', error: error.message });
+  }
+});
 
-    // Return detailed response
-    if (results.failed === 0) {
-      res.json({
-        success: true,
-        message: 'Notification sent to all users successfully!',
-        stats: results
-      });
-    } else {
-      res.status(207).json({
-        success: results.successful > 0,
-        message: `Notification sent with some failures: ${results.successful} successful, ${results.failed} failed`,
-        stats: results
-      });
+// One broadcast: sent/failed/blocked/pending counts and the latest failures
+app.get('/admin/broadcasts/:id', async (req, res) => {
+  try {
+    const job = await storage.broadcasts.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Broadcast not found' });
     }
+    res.json({ success: true, job });
   } catch (error) {
-    console.error('Error sending notifications:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to send notifications',
-      error: error.message
-    });
+    res.status(500).json({ success: false, message: 'Failed to fetch broadcast', error: error.message });
   }
 });
+
 // Telegram Bot Handlers
-bot.onText(/\/start/, async (msg) => {
-    let chatId = msg.chat.id;
+onCommand('start', async (msg) => {
+    const chatId = msg.chat.id.toString();
     const userName = msg.from.first_name;
 
-    try {
-        // Convert and validate chatId
-        if (typeof chatId === 'string' && chatId.startsWith('{')) {
-            chatId = JSON.parse(chatId);
-        }
-        chatId = chatId.toString(); // Convert to string for consistency
-
-        // Prepare user data
-        const userData = {
-            chatid: chatId,
-            firstName: msg.from.first_name || '',
-            lastName: msg.from.last_name || '',
-            userName: msg.from.username || '',
-            userLogin: DEFAULT_USER_LOGIN,
-            timestamp: getUTCTimestamp()
-        };
+    // Groups are not subscribers; explain how to search there instead
+    if (!isPrivateChat(msg.chat)) {
+        const mention = botIdentity.username ? `@${botIdentity.username} kettle` : 'my name and a product';
+        bot.sendMessage(chatId, `Hi! To find a product here, send /search kettle, mention me (${mention}) or reply to one of my messages.`);
+        return;
+    }
 
-        const users = await readUsers();
-        const userExists = users.some(user => user.chatid === chatId);
+    try {
+        // /start also brings back users who opted out or had blocked the bot
+        const { created } = await storage.subscribers.upsert(subscriberProfile(msg.from, chatId), { resubscribe: true });
+        lastActivityWrites.set(chatId, Date.now());
 
-        if (!userExists) {
-            // Add new user to sheet
-            await sendDataToSheet([userData]);
-            bot.sendMessage(chatId, `Welcome, ${userName}! Please enter a product name to search.`);
+        if (created) {
+            await trackNewSubscriber(chatId);
+            bot.sendMessage(chatId, `Welcome, ${userName}! Please enter a product name to search, or send /daily to get today's deals every day.`);
         } else {
             bot.sendMessage(chatId, `Welcome back, ${userName}! Please enter a product name to search.`);
         }
@@ -802,49 +1110,169 @@ bot.onText(/\/start/, async (msg) => {
     }
 });
 
-bot.onText(/\/today/, async (msg) => {
-  const chatId = msg.chat.id;
+onCommand('stop', async (msg) => {
+  const chatId = msg.chat.id.toString();
+  if (!isPrivateChat(msg.chat)) {
+    replyPrivateOnly(msg, 'Announcements can be turned off');
+    return;
+  }
 
   try {
-    const todayDeals = await readTodayDeals();
+    await storage.subscribers.update(chatId, { optedOut: true });
+    bot.sendMessage(chatId, 'You will no longer receive announcements. Send /start to subscribe again.');
+  } catch (error) {
+    console.error('Error handling /stop command:', error);
+  }
+});
 
-    if (todayDeals.length === 0) {
-      bot.sendMessage(chatId, 'No deals available for today.');
-      return;
+// Product and deal images and links are checked in the background (see lib/link-health.js)
+const catalogHealth = createCatalogHealthChecker({ storage });
+catalogHealth.start().catch(error => console.error('Error starting the catalog link checker:', error));
+
+// The image to put on a card, or null when there is none, the link checker found it broken or Telegram refused it
+async function usableImage(url) {
+  if (!url) return null;
+  const check = await storage.linkChecks.get(url);
+  return check && (check.status === 'broken' || check.telegramError) ? null : url;
+}
+
+// A photo card, or the same text as a message when the image is broken. An image Telegram cannot
+// fetch is recorded as rejected, so later cards skip it for as long as the product keeps that URL
+// (a URL that loads fine over HTTP can still be one Telegram will not take).
+async function sendCard(chatId, image, text, options) {
+  const photo = await usableImage(image);
+  if (photo) {
+    try {
+      return await bot.sendPhoto(chatId, photo, { caption: text, ...options });
+    } catch (error) {
+      if (!isImageError(error)) throw error;
+      console.error(`Telegram could not use image ${photo}, sending a text card: ${error.message}`);
+      await storage.linkChecks.rejectImage(photo, error.message);
     }
+  }
+  return bot.sendMessage(chatId, text, options);
+}
 
-    // Loop through each deal and send it as a separate message
-    for (const deal of todayDeals) {
-      const htmlMessage = `
+// One deal as a photo (or text) card with an Order Now button.
+// Channel posts are seen by many people, so their links carry no chat id.
+async function sendDealCard(chatId, deal, { source = 'today' } = {}) {
+  const htmlMessage = `
 <b>Deal:</b>
- <b>${deal.name}</b>
+ <b>${escapeTelegramHtml(deal.name)}</b>
 💰 Price: ₹${deal.price.toFixed(2)}
 💵 MRP: ₹${deal.mrp.toFixed(2)}
 ⭐ Rating: ${deal.rating} ⭐
 `;
 
-      // Create the inline keyboard with an "Order Now" button
-      const inlineKeyboard = {
-        inline_keyboard: [
-          [{ text: 'Order Now', url: deal.buyLink }] // Add the "Order Now" button
-        ]
-      };
+  // Create the inline keyboard with an "Order Now" button
+  const inlineKeyboard = {
+    inline_keyboard: [
+      [{ text: 'Order Now', url: trackedLink(deal.id, source, source === 'channel' ? null : chatId) }]
+    ]
+  };
 
-      // Send the deal details to the user
-      if (deal.image) {
-        // Send the deal image with a caption
-        await bot.sendPhoto(chatId, deal.image, {
-          caption: htmlMessage,
-          parse_mode: 'HTML',
-          reply_markup: inlineKeyboard
-        });
-      } else {
-        // If no image is available, send a text message
-        await bot.sendMessage(chatId, htmlMessage, {
-          parse_mode: 'HTML',
-          reply_markup: inlineKeyboard
-        });
-      }
+  await sendCard(chatId, deal.image, htmlMessage, { parse_mode: 'HTML', reply_markup: inlineKeyboard });
+}
+
+// Albums hold 2-10 photos and cannot have buttons, so album captions link to the deal instead
+const ALBUM_SIZE = 10;
+
+function dealAlbumCaption(deal, link) {
+  return `<b>${escapeTelegramHtml(deal.name)}</b>
+💰 ₹${deal.price.toFixed(2)} <s>₹${deal.mrp.toFixed(2)}</s>
+<a href="${escapeTelegramHtml(link)}">Order Now</a>`;
+}
+
+// One broken photo fails a whole album, so deals with broken images go as cards, and so does the whole
+// group when Telegram refuses one of the photos (the cards then find out which one it was)
+async function sendDealAlbum(chatId, deals, { source }) {
+  const linkChatId = source === 'channel' ? null : chatId;
+  const photos = [];
+  const cards = [];
+  for (const deal of deals) ((await usableImage(deal.image)) ? photos : cards).push(deal);
+
+  if (photos.length >= 2) {
+    try {
+      await bot.sendMediaGroup(chatId, photos.map(deal => ({
+        type: 'photo',
+        media: deal.image,
+        caption: dealAlbumCaption(deal, trackedLink(deal.id, source, linkChatId)),
+        parse_mode: 'HTML'
+      })));
+    } catch (error) {
+      if (!isImageError(error)) throw error;
+      cards.unshift(...photos);
+    }
+  } else {
+    cards.unshift(...photos);
+  }
+  for (const deal of cards) await sendDealCard(chatId, deal, { source });
+}
+
+// The messages that post `deals` to a chat, as [{ deals, send }] where deals is how many deals a message carries.
+// format 'cards' sends a card per deal; 'album' groups deals with images into albums and sends the rest as cards.
+function dealPosts(chatId, deals, { format = 'cards', source = 'today' } = {}) {
+  const card = (deal) => ({ deals: 1, send: () => sendDealCard(chatId, deal, { source }) });
+  if (format !== 'album') return deals.map(card);
+
+  const withImages = deals.filter(deal => deal.image);
+  const posts = [];
+  for (let i = 0; i < withImages.length; i += ALBUM_SIZE) {
+    const group = withImages.slice(i, i + ALBUM_SIZE);
+    if (group.length === 1) {
+      posts.push(card(group[0]));
+      continue;
+    }
+    posts.push({ deals: group.length, send: () => sendDealAlbum(chatId, group, { source }) });
+  }
+  return [...posts, ...deals.filter(deal => !deal.image).map(card)];
+}
+
+// Channels with auto-posting on get each deal as it is added to today's deals
+const channelPoster = createChannelPoster({ storage, dealPosts });
+
+function autoPostDeals(deals) {
+  channelPoster.postToChannels(deals.filter(deal => isDealActive(deal)))
+    .then(results => results.forEach(result =>
+      console.log(`Posted ${result.sent} of ${result.sent + result.failed} new deals to channel ${result.chatId}`)))
+    .catch(error => console.error('Error auto-posting deals to channels:', error));
+}
+
+// Channels register themselves when the bot is made an admin and drop out when it is removed or demoted
+bot.on('my_chat_member', async (update) => {
+  if (update.chat.type !== 'channel') return;
+  const member = update.new_chat_member;
+
+  try {
+    if (member.status === 'administrator') {
+      await storage.channels.upsert({
+        chatId: update.chat.id.toString(),
+        title: update.chat.title || '',
+        username: update.chat.username || '',
+        canPost: member.can_post_messages !== false
+      });
+    } else {
+      await storage.channels.remove(update.chat.id.toString());
+    }
+  } catch (error) {
+    console.error('Error recording channel membership:', error);
+  }
+});
+
+onCommand('today', async (msg) => {
+  const chatId = msg.chat.id;
+
+  try {
+    const todayDeals = await activeDeals();
+
+    if (todayDeals.length === 0) {
+      bot.sendMessage(chatId, 'No deals available for today.');
+      return;
+    }
+
+    // Loop through each deal and send it as a separate message
+    for (const deal of todayDeals) {
+      await sendDealCard(chatId, deal);
     }
   } catch (error) {
     console.error('Error fetching today deals:', error);
@@ -852,11 +1280,21 @@ bot.onText(/\/today/, async (msg) => {
   }
 });
 
-// API Route to serve today's deals
+// API Route to serve today's deals, optionally ?category= (including sub-categories, or none).
+// Deals outside their startsAt/endsAt window are only included for a signed-in admin.
 app.get('/api/today-deals', async (req, res) => {
   try {
-    const todayDeals = await readTodayDeals();
-    res.json(todayDeals);
+    const todayDeals = adminAuth.getSession(req) ? await storage.deals.list() : await activeDeals();
+    if (!req.query.category) {
+      return res.json(todayDeals);
+    }
+    const inCategory = filterByCategory(
+      await withDealCategories(todayDeals), await storage.categories.list(), String(req.query.category)
+    );
+    if (!inCategory) {
+      return res.status(400).json({ message: 'Unknown category' });
+    }
+    res.json(inCategory);
   } catch (error) {
     res.status(500).json({ message: 'Error fetching today deals', error: error.message });
   }
@@ -866,15 +1304,298 @@ app.get('/api/today-deals', async (req, res) => {
 app.post('/api/today-deals', async (req, res) => {
   try {
     const newDeals = req.body; // Expecting an array of deals
-    await writeTodayDeals(newDeals);
-    res.status(201).json({ success: true, message: 'Today deals updated successfully!' });
-  } catch (error) {
-    res.status(400).json({ success: false, message: 'Error updating today deals', error: error.message });
-  }
+    if (!Array.isArray(newDeals)) {
+      return res.status(400).json({ success: false, message: 'Expected an array of deals' });
+    }
+    const windowError = newDeals.map(dealWindowError).find(Boolean);
+    if (windowError) {
+      return res.status(400).json({ success: false, message: windowError });
+    }
+
+    // New deal links get our affiliate tag the same way product links do
+    const previousDeals = await storage.deals.list();
+    for (const [index, deal] of newDeals.entries()) {
+      const previous = previousDeals.find(other => other.id !== undefined && String(other.id) === String(deal.id));
+      const { product: linked, errors } = await affiliateLinks.prepareProduct(deal, previous);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: `${deal.name || 'A deal'}: ${errors[0].message}` });
+      }
+      newDeals[index] = linked;
+    }
+
+    await storage.deals.replaceAll(newDeals);
+    autoPostDeals(addedDeals(previousDeals, newDeals));
+    res.status(201).json({ success: true, message: 'Today deals updated successfully!' });
+  } catch (error) {
+    res.status(400).json({ success: false, message: 'Error updating today deals', error: error.message });
+  }
+});
+
+// What a promoted product brings into today's deals; catalog counters, offers and the enabled flag stay behind
+const DEAL_FIELDS = ['id', 'name', 'description', 'price', 'mrp', 'rating', 'image', 'buyLink', 'keywords', 'category'];
+
+// Add products to today's deals by id: { ids: [...] }. Products already in the list are skipped,
+// and disabled products are refused (they would otherwise be posted to channels).
+app.post('/api/today-deals/promote', async (req, res) => {
+  const ids = Array.isArray(req.body.ids) ? req.body.ids.map(String) : [];
+  if (ids.length === 0) {
+    return res.status(400).json({ success: false, message: 'ids must be a non-empty array of product ids' });
+  }
+
+  try {
+    const deals = await storage.deals.list();
+    const dealIds = new Set(deals.map(deal => String(deal.id)));
+    const added = [];
+    const addedProducts = [];
+    const missing = [];
+    const unlisted = [];
+
+    for (const id of ids) {
+      if (dealIds.has(id)) continue;
+      const product = await storage.products.get(id);
+      if (!product) {
+        missing.push(id);
+        continue;
+      }
+      if (!isListed(product)) {
+        unlisted.push(product.id);
+        continue;
+      }
+      const deal = Object.fromEntries(
+        DEAL_FIELDS.filter(field => product[field] !== undefined).map(field => [field, product[field]])
+      );
+      deals.push(deal);
+      dealIds.add(id);
+      added.push(product.id);
+      addedProducts.push(deal);
+    }
+
+    await storage.deals.replaceAll(deals);
+    autoPostDeals(addedProducts);
+    const skipped = unlisted.length > 0 ? `; ${unlisted.length} disabled products were left out` : '';
+    res.json({ success: true, message: `${added.length} products added to today's deals${skipped}`, added, missing, unlisted });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error promoting products', error: error.message });
+  }
+});
+
+// Channels the bot can post to
+app.get('/api/channels', async (req, res) => {
+  try {
+    res.json(await storage.channels.list());
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error fetching channels', error: error.message });
+  }
+});
+
+// Add a channel by @username or id: { chat }. The bot must already be an admin there.
+app.post('/api/channels', async (req, res) => {
+  const chat = String(req.body.chat || '').trim();
+  if (!chat) {
+    return res.status(400).json({ success: false, message: 'chat must be a channel @username or id' });
+  }
+
+  try {
+    let channel;
+    let member;
+    try {
+      channel = await bot.getChat(chat);
+      member = await bot.getChatMember(channel.id, botIdentity.id);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: `Telegram could not find that channel: ${error.message}` });
+    }
+
+    if (channel.type !== 'channel') {
+      return res.status(400).json({ success: false, message: `${chat} is a ${channel.type}, not a channel` });
+    }
+    if (member.status !== 'administrator') {
+      return res.status(400).json({ success: false, message: 'Make the bot an admin of the channel first' });
+    }
+
+    const saved = await storage.channels.upsert({
+      chatId: channel.id.toString(),
+      title: channel.title || '',
+      username: channel.username || '',
+      canPost: member.can_post_messages !== false
+    });
+    res.status(201).json({ success: true, message: `Added ${saved.title || saved.chatId}`, channel: saved });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error adding channel', error: error.message });
+  }
+});
+
+// Turn posting of new deals (autoPost) or of the daily deals (dailyDeals) on or off
+app.patch('/api/channels/:chatId', async (req, res) => {
+  const changes = {};
+  for (const field of ['autoPost', 'dailyDeals']) {
+    if (req.body[field] === undefined) continue;
+    if (typeof req.body[field] !== 'boolean') {
+      return res.status(400).json({ success: false, message: `${field} must be true or false` });
+    }
+    changes[field] = req.body[field];
+  }
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ success: false, message: 'Nothing to change; send autoPost or dailyDeals' });
+  }
+
+  try {
+    const channel = await storage.channels.update(req.params.chatId, changes);
+    if (!channel) {
+      return res.status(404).json({ success: false, message: 'Channel not found' });
+    }
+    const state = (on) => (on ? 'on' : 'off');
+    res.json({
+      success: true,
+      message: `Auto-posting ${state(channel.autoPost)}, daily deals ${state(channel.dailyDeals)}`,
+      channel
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error updating channel', error: error.message });
+  }
+});
+
+// Post all of today's deals to a channel now
+app.post('/api/channels/:chatId/post-deals', async (req, res) => {
+  try {
+    const channel = await storage.channels.get(req.params.chatId);
+    if (!channel) {
+      return res.status(404).json({ success: false, message: 'Channel not found' });
+    }
+    const deals = await activeDeals();
+    if (deals.length === 0) {
+      return res.status(400).json({ success: false, message: 'There are no deals today' });
+    }
+
+    const result = await channelPoster.postDeals(channel, deals);
+    res.status(result.sent > 0 ? 200 : 502).json({
+      success: result.sent > 0,
+      message: result.error
+        ? `Posted ${result.sent} of ${deals.length} deals; the bot can no longer post there (${result.error})`
+        : `Posted ${result.sent} of ${deals.length} deals`,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error posting deals', error: error.message });
+  }
+});
+
+app.delete('/api/channels/:chatId', async (req, res) => {
+  try {
+    const removed = await storage.channels.remove(req.params.chatId);
+    if (!removed) {
+      return res.status(404).json({ success: false, message: 'Channel not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error removing channel', error: error.message });
+  }
+});
+
+// The daily deals post (see lib/daily-deals.js)
+const DAILY_DEALS_FORMAT = DAILY_DEALS_FORMATS.includes(process.env.DAILY_DEALS_FORMAT) ? process.env.DAILY_DEALS_FORMAT : 'cards';
+
+// Who would get the daily deals at `at` and with which deals
+async function dailyDealsPlan(at = new Date()) {
+  const [deals, subscribers, channels] = await Promise.all([
+    activeDeals(at),
+    storage.subscribers.list({ activeOnly: true, dailyDealsOnly: true }),
+    storage.channels.list()
+  ]);
+  return {
+    at: at.toISOString(),
+    format: DAILY_DEALS_FORMAT,
+    deals,
+    subscribers: subscribers.length,
+    channels: channels.filter(channel => channel.dailyDeals && channel.canPost)
+  };
+}
+
+// Queue the live deals for opted-in subscribers and post them to daily-deals channels.
+// Resolves with the plan plus the broadcast job and channel results; nothing is sent when no deal is live.
+async function publishDailyDeals() {
+  const plan = await dailyDealsPlan();
+  if (plan.deals.length === 0) {
+    return { ...plan, job: null, channelResults: [] };
+  }
+
+  const job = await broadcaster.enqueue({
+    text: `🔥 Today's deals (${plan.deals.length}). Send /daily to stop getting them.`,
+    deals: plan.deals,
+    format: plan.format
+  }, { dailyDealsOnly: true });
+  const channelResults = await channelPoster.postToChannels(plan.deals, {
+    wants: channel => channel.dailyDeals,
+    format: plan.format
+  });
+  console.log(`Daily deals: ${plan.deals.length} deals queued for ${job ? job.total : 0} subscribers and ${channelResults.length} channels`);
+  return { ...plan, job, channelResults };
+}
+
+const dailyDealsScheduler = createDailyDealsScheduler({ publish: publishDailyDeals });
+dailyDealsScheduler.start();
+
+// Dry run: what the next daily post (or one at ?at=) would send, and to whom
+app.get('/api/daily-deals/preview', async (req, res) => {
+  const at = req.query.at ? new Date(req.query.at) : dailyDealsScheduler.nextRunAt() || new Date();
+  if (Number.isNaN(at.getTime())) {
+    return res.status(400).json({ success: false, message: 'at must be a date' });
+  }
+
+  try {
+    const plan = await dailyDealsPlan(at);
+    res.json({ enabled: dailyDealsScheduler.enabled, time: dailyDealsScheduler.time, nextRunAt: dailyDealsScheduler.nextRunAt(), ...plan });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error previewing the daily deals', error: error.message });
+  }
+});
+
+// Publish the daily deals now, whether or not a time is scheduled
+app.post('/api/daily-deals/publish', async (req, res) => {
+  try {
+    const result = await publishDailyDeals();
+    if (result.deals.length === 0) {
+      return res.status(400).json({ success: false, message: 'No deals are live right now' });
+    }
+    const posted = result.channelResults.filter(channel => channel.sent > 0).length;
+    res.json({
+      success: true,
+      message: `${result.deals.length} deals queued for ${result.job ? result.job.total : 0} subscribers and posted to ${posted} of ${result.channelResults.length} channels`,
+      job: result.job,
+      channelResults: result.channelResults
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error publishing the daily deals', error: error.message });
+  }
+});
+
+// /daily, /daily on, /daily off: whether this chat gets the daily deals post
+onCommand('daily', async (msg, args) => {
+  const chatId = msg.chat.id.toString();
+  if (!isPrivateChat(msg.chat)) {
+    replyPrivateOnly(msg, 'The daily deals can be turned on');
+    return;
+  }
+
+  try {
+    const subscriber = await storage.subscribers.get(chatId);
+    if (!subscriber || subscriber.optedOut) {
+      bot.sendMessage(chatId, 'Send /start to subscribe first, then /daily to get the deals every day.');
+      return;
+    }
+
+    const choice = args.toLowerCase();
+    const dailyDeals = choice === 'on' || choice === 'off' ? choice === 'on' : !subscriber.dailyDeals;
+    await storage.subscribers.update(chatId, { dailyDeals });
+    bot.sendMessage(chatId, dailyDeals
+      ? 'You will get today\'s deals every day. Send /daily again to stop.'
+      : 'You will no longer get the daily deals. Send /daily to turn them back on.');
+  } catch (error) {
+    console.error('Error handling /daily command:', error);
+  }
 });
 
 // telegram bot to help handler
-bot.onText(/\/help/, (msg) => {
+onCommand('help', (msg) => {
   const chatId = msg.chat.id;
   const helpMessage = `
     <b>Help Center</b>
@@ -886,139 +1607,1210 @@ bot.onText(/\/help/, (msg) => {
   bot.sendMessage(chatId, helpMessage, { parse_mode: 'HTML' });
 });
 
+// Search results are shown a page at a time; the query and page travel in callback_data
+const SEARCH_PAGE_SIZE = 5;
+
+// Cut a string down to maxBytes of UTF-8 without splitting a character
+function truncateToBytes(text, maxBytes) {
+  let result = '';
+  for (const char of text) {
+    if (Buffer.byteLength(result + char) > maxBytes) break;
+    result += char;
+  }
+  return result;
+}
+
+// Longest query that still fits in a page callback with a three digit page number
+const SEARCH_QUERY_BYTES = CALLBACK_DATA_LIMIT - Buffer.byteLength('page::999');
+
+// The products on one page of results, with the page clamped to the ones that exist
+function searchPage(products, page) {
+  const totalPages = Math.max(1, Math.ceil(products.length / SEARCH_PAGE_SIZE));
+  const currentPage = Math.min(Math.max(page, 1), totalPages);
+  const pageProducts = products.slice((currentPage - 1) * SEARCH_PAGE_SIZE, currentPage * SEARCH_PAGE_SIZE);
+  return { pageProducts, currentPage, totalPages };
+}
+
+function buildSearchKeyboard(query, products, page) {
+  const { pageProducts, currentPage, totalPages } = searchPage(products, page);
+
+  const keyboard = pageProducts.map(product => [
+    { text: product.name, callback_data: encodeCallbackData('p', product.id) }
+  ]);
+
+  if (totalPages > 1) {
+    const navigation = [];
+    if (currentPage > 1) {
+      navigation.push({ text: '◀ Prev', callback_data: encodeCallbackData('page', query, currentPage - 1) });
+    }
+    navigation.push({ text: `Page ${currentPage} of ${totalPages}`, callback_data: encodeCallbackData('noop') });
+    if (currentPage < totalPages) {
+      navigation.push({ text: 'Next ▶', callback_data: encodeCallbackData('page', query, currentPage + 1) });
+    }
+    keyboard.push(navigation);
+  }
+
+  return { inline_keyboard: keyboard };
+}
+
+// Search the catalog and answer with the first page of results.
+// In groups the answer is sent as a reply so it is clear whose search it was.
+async function replyWithSearchResults(msg, userInput) {
+  const chatId = msg.chat.id;
+  const options = isPrivateChat(msg.chat) ? {} : { reply_to_message_id: msg.message_id };
+
+  try {
+    // The same (possibly shortened) query is re-run when the user pages through results
+    const searchQuery = truncateToBytes(userInput.trim().replace(/\s+/g, ' '), SEARCH_QUERY_BYTES);
+    const products = await listedProducts();
+    const { query, products: matchedProducts } = findProducts(products, searchQuery);
+    const filterSummary = describeQuery(query);
+    await trackQuery(chatId, userInput, matchedProducts.length);
+
+    if (matchedProducts.length === 0) {
+      const hint = filterSummary ? ` (${filterSummary})` : '';
+      bot.sendMessage(chatId, `No products found${hint}. Please try a different search term.`, options);
+      return;
+    }
+
+    const title = filterSummary ? `Select a product (${filterSummary}):` : 'Select a product:';
+    bot.sendMessage(chatId, title, { ...options, reply_markup: buildSearchKeyboard(searchQuery, matchedProducts, 1) });
+    await trackResultsShown(chatId, searchQuery, searchPage(matchedProducts, 1).pageProducts, 1);
+  } catch (error) {
+    console.error('Error searching products:', error);
+    await trackQuery(chatId, userInput, null);
+    bot.sendMessage(chatId, 'An error occurred while searching for products. Please try again later.', options);
+  }
+}
+
 bot.on('message', async (msg) => {
   const chatId = msg.chat.id;
-  const userInput = msg.text;
 
-  if (userInput.startsWith('/')) return; // Ignore commands
+  // Stickers, photos, members joining and the like carry no text
+  if (typeof msg.text !== 'string') return;
+  if (msg.text.startsWith('/')) return; // Commands have their own handlers
+
+  // In groups only messages that mention the bot or reply to it are searches
+  if (!isAddressedToBot(msg, botIdentity)) return;
+  const userInput = stripBotMention(msg.text, botIdentity.username);
+  if (!userInput) return;
+
+  recordSubscriberActivity(msg.chat, msg.from);
+
+  if (isPrivateChat(msg.chat)) {
+    try {
+      // A reply to "Send the price you want to be alerted at"
+      if (await handleCustomAlertTarget(chatId, userInput)) return;
+    } catch (error) {
+      console.error('Error setting price alert:', error);
+      bot.sendMessage(chatId, 'An error occurred while setting your alert. Please try again later.');
+      return;
+    }
+  }
+
+  await replyWithSearchResults(msg, userInput);
+});
+
+// /search <term> works everywhere, and is the way to search in groups where the bot cannot see other messages
+onCommand('search', async (msg, term) => {
+  if (!term) {
+    bot.sendMessage(msg.chat.id, 'Tell me what to look for, e.g. /search air fryer', { reply_to_message_id: msg.message_id });
+    return;
+  }
+  recordSubscriberActivity(msg.chat, msg.from);
+  await replyWithSearchResults(msg, term);
+});
+
+// Swap the product buttons on an existing results message for another page
+async function showSearchPage({ message, answer }, query, page) {
+  const products = await listedProducts();
+  const { products: matchedProducts } = findProducts(products, query);
+
+  if (matchedProducts.length === 0) {
+    await answer({ text: 'These results are no longer available. Please search again.' });
+    return;
+  }
+
+  try {
+    await bot.editMessageReplyMarkup(buildSearchKeyboard(query, matchedProducts, page), {
+      chat_id: message.chat.id,
+      message_id: message.message_id
+    });
+  } catch (error) {
+    // Double taps ask for the page that is already shown
+    if (!String(error.message).includes('message is not modified')) throw error;
+    return;
+  }
+
+  const { pageProducts, currentPage } = searchPage(matchedProducts, page);
+  await trackResultsShown(message.chat.id, query, pageProducts, currentPage);
+}
+
+// /categories: browse the catalog on a keyboard instead of typing.
+// cat opens the top level and cat:<id> a category; catp:<id>:<n> lists page n of the products in a category
+// and its sub-categories. Categories without listed products are left out.
+
+// Listed products per category id, counting those in sub-categories too
+function categoryCounts(categories, products) {
+  const counts = new Map();
+  for (const product of products) {
+    for (const category of categoryPath(categories, product.category)) {
+      counts.set(category.id, (counts.get(category.id) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+const categoryButton = (category, count) => ({
+  text: `${category.name} (${count})`,
+  callback_data: encodeCallbackData('cat', category.id)
+});
+
+// { text, keyboard } for the top level (id null) or a category, or null for an unknown category.
+// A category without non-empty sub-categories goes straight to its products.
+async function buildCategoryMenu(id) {
+  const [categories, products] = await Promise.all([storage.categories.list(), listedProducts()]);
+  const counts = categoryCounts(categories, products);
+  const children = childCategories(categories, id).filter(child => counts.get(child.id));
+
+  if (!id) {
+    return {
+      text: children.length > 0 ? '📂 Pick a category:' : 'There are no categories yet. Send a product name to search instead.',
+      keyboard: children.map(child => [categoryButton(child, counts.get(child.id))])
+    };
+  }
+
+  const category = categories.find(other => other.id === id);
+  if (!category) return null;
+  if (children.length === 0) return buildCategoryProductPage(categories, products, category, 1);
+
+  const keyboard = children.map(child => [categoryButton(child, counts.get(child.id))]);
+  keyboard.push([{ text: `All in ${category.name} (${counts.get(category.id) || 0})`, callback_data: encodeCallbackData('catp', category.id, 1) }]);
+  keyboard.push([categoryBackButton(category)]);
+  return { text: `📂 ${categoryLabel(categories, category.id)}`, keyboard };
+}
+
+function categoryBackButton(category) {
+  return {
+    text: '⬅ Back',
+    callback_data: category.parentId ? encodeCallbackData('cat', category.parentId) : encodeCallbackData('cat')
+  };
+}
+
+function buildCategoryProductPage(categories, products, category, page) {
+  const inCategory = filterByCategory(products, categories, category.id);
+  const { pageProducts, currentPage, totalPages } = searchPage(inCategory, page);
+
+  const keyboard = pageProducts.map(product => [
+    { text: product.name, callback_data: encodeCallbackData('p', product.id) }
+  ]);
+  if (totalPages > 1) {
+    const navigation = [];
+    if (currentPage > 1) {
+      navigation.push({ text: '◀ Prev', callback_data: encodeCallbackData('catp', category.id, currentPage - 1) });
+    }
+    navigation.push({ text: `Page ${currentPage} of ${totalPages}`, callback_data: encodeCallbackData('noop') });
+    if (currentPage < totalPages) {
+      navigation.push({ text: 'Next ▶', callback_data: encodeCallbackData('catp', category.id, currentPage + 1) });
+    }
+    keyboard.push(navigation);
+  }
+
+  // Back to the sub-category list this page was opened from, if the category has one
+  const counts = categoryCounts(categories, products);
+  const hasSubcategories = childCategories(categories, category.id).some(child => counts.get(child.id));
+  keyboard.push([hasSubcategories
+    ? { text: '⬅ Back', callback_data: encodeCallbackData('cat', category.id) }
+    : categoryBackButton(category)]);
+
+  const text = inCategory.length > 0
+    ? `📂 ${categoryLabel(categories, category.id)}: pick a product`
+    : `📂 ${categoryLabel(categories, category.id)} has no products right now.`;
+  return { text, keyboard };
+}
+
+async function buildCategoryProductMenu(id, page) {
+  const [categories, products] = await Promise.all([storage.categories.list(), listedProducts()]);
+  const category = categories.find(other => other.id === id);
+  return category ? buildCategoryProductPage(categories, products, category, page) : null;
+}
+
+// Replace a category menu message with another menu
+async function showCategoryMenu({ message, answer }, menu) {
+  if (!menu) {
+    await answer({ text: 'This category no longer exists. Send /categories to start again.' });
+    return;
+  }
+  try {
+    await bot.editMessageText(menu.text, {
+      chat_id: message.chat.id,
+      message_id: message.message_id,
+      reply_markup: { inline_keyboard: menu.keyboard }
+    });
+  } catch (error) {
+    // Double taps ask for the menu that is already shown
+    if (!String(error.message).includes('message is not modified')) throw error;
+  }
+}
+
+onCommand('categories', async (msg) => {
+  const chatId = msg.chat.id;
+  const options = isPrivateChat(msg.chat) ? {} : { reply_to_message_id: msg.message_id };
+
+  try {
+    const { text, keyboard } = await buildCategoryMenu(null);
+    await bot.sendMessage(chatId, text, { ...options, reply_markup: { inline_keyboard: keyboard } });
+  } catch (error) {
+    console.error('Error listing categories:', error);
+    bot.sendMessage(chatId, 'An error occurred while loading the categories. Please try again later.', options);
+  }
+});
+
+// Store comparison lines for a product card, best offer first; empty for single-link products
+function offerComparison(offers) {
+  if (offers.length === 0) return '';
+  const lines = offers.map((offer, index) => {
+    const price = `₹${Number(offer.price).toFixed(2)}`;
+    if (offer.inStock === false) return `  ▫️ ${storeName(offer.store)}: <s>${price}</s> out of stock`;
+    return `  ${index === 0 ? '✅' : '▫️'} ${storeName(offer.store)}: ${price}`;
+  });
+  return `  <b>🛒 Compare stores:</b>\n${lines.join('\n')}\n`;
+}
+
+// HTML product card used for bot replies and inline results
+async function productCaption(product) {
+  return `
+  <b>🎧 ${escapeTelegramHtml(product.name)}</b>
+  
+  ${escapeTelegramHtml(product.description)}
+  
+  <b>💰 Price:</b> ₹${product.price.toFixed(2)}
+  <b>💵 MRP:</b> <s>₹${product.mrp.toFixed(2)}</s>
+  <b>⭐ Rating:</b> ${product.rating} ⭐
+${offerComparison(productOffers(product))}${priceHistoryLine(summarizePriceHistory(await storage.priceHistory.list(product.id), product.price))}`;
+}
+
+// View Product and Order Now rows; chatId is left off for messages that many people can press.
+// Products sold by several stores get one button per store instead of Order Now.
+function productLinkButtons(product, source, chatId) {
+  const viewUrl = `${process.env.RENDER_EXTERNAL_URL}/product/${product.id}${chatId ? `?c=${chatId}` : ''}`;
+  const offers = productOffers(product);
+  const orderButtons = offers.length > 0
+    ? offers.map(offer => [{
+      text: `🛒 ${storeName(offer.store)} ₹${Number(offer.price).toFixed(0)}${offer.inStock === false ? ' (out of stock)' : ''}`,
+      url: trackedLink(product.id, source, chatId, offer.store)
+    }])
+    : [[{ text: 'Order Now', url: trackedLink(product.id, source, chatId) }]];
+  return [[{ text: 'View Product', url: viewUrl }], ...orderButtons];
+}
+
+// Price alerts and wishlists are personal, so cards posted in groups leave out Alert me and Save
+async function sendProductDetails(chatId, productId, { privateChat = true } = {}) {
+  // Track product view
+  await trackProductView(productId, chatId);
+
+  // Disabled products are not shown, even from older search results
+  const products = await listedProducts();
+
+  // Find the selected product by ID
+  const product = products.find(p => p.id.toString() === productId);
+  if (!product) {
+    console.log(`Product not found for ID: ${productId}`); // Log if product is not found
+    bot.sendMessage(chatId, 'Product not found.');
+    return;
+  }
+
+  const htmlMessage = await productCaption(product);
+
+  // Create the inline keyboard with buttons
+  const inlineKeyboard = { inline_keyboard: productLinkButtons(product, 'search', chatId) };
+  if (privateChat) {
+    inlineKeyboard.inline_keyboard.push([
+      { text: '🔔 Alert me', callback_data: encodeCallbackData('alert', product.id) },
+      { text: '❤️ Save', callback_data: encodeCallbackData('save', product.id) }
+    ]);
+  }
+
+  // Send the product details to the user, as a text card when the image is missing or broken
+  await sendCard(chatId, product.image, htmlMessage, { parse_mode: 'HTML', reply_markup: inlineKeyboard });
+}
+
+// Chats asked for a custom alert price: chat id -> { productId, expiresAt }
+const ALERT_TARGET_TTL_MS = 10 * 60 * 1000;
+const pendingAlertTargets = new Map();
+
+function formatAlertTarget(alert) {
+  return alert.targetPrice === null ? 'any price drop' : `₹${Number(alert.targetPrice).toFixed(2)} or less`;
+}
+
+async function setPriceAlert(chatId, product, targetPrice) {
+  const alert = await storage.priceAlerts.upsert({
+    chatId,
+    productId: product.id,
+    targetPrice,
+    basePrice: Number(product.price)
+  });
+  await bot.sendMessage(
+    chatId,
+    `🔔 I'll let you know when ${product.name} drops to ${formatAlertTarget(alert)}. Use /alerts to see or remove your alerts.`
+  );
+}
+
+// Ask which price to watch for, with one-tap targets under the current price
+async function promptPriceAlert(chatId, product) {
+  const price = Number(product.price);
+  const keyboard = [[{ text: 'Any price drop', callback_data: encodeCallbackData('alert', product.id, 'any') }]];
+  for (const target of suggestedTargets(price)) {
+    keyboard.push([{ text: `Below ₹${target}`, callback_data: encodeCallbackData('alert', product.id, target) }]);
+  }
+  keyboard.push([{ text: '✏️ Choose a price', callback_data: encodeCallbackData('alert', product.id, 'custom') }]);
+
+  await bot.sendMessage(chatId, `${product.name} is ₹${price.toFixed(2)} now. When should I alert you?`, {
+    reply_markup: { inline_keyboard: keyboard }
+  });
+}
+
+// Returns true when the message was the custom price we asked for
+async function handleCustomAlertTarget(chatId, text) {
+  const pending = pendingAlertTargets.get(chatId.toString());
+  if (!pending) return false;
+  pendingAlertTargets.delete(chatId.toString());
+  if (Date.now() > pending.expiresAt) return false;
+
+  const target = parseFloat(text.replace(/[₹,\s]/g, '').replace(/^rs\.?/i, ''));
+  if (!Number.isFinite(target) || target <= 0) return false;
+
+  const product = await storage.products.get(pending.productId);
+  if (!product) return false;
+  await setPriceAlert(chatId, product, target);
+  return true;
+}
+
+// The /alerts message: one line and one remove button per watch
+async function buildAlertList(chatId) {
+  const alerts = await storage.priceAlerts.listForChat(chatId);
+  if (alerts.length === 0) {
+    return { text: 'You have no price alerts. Tap 🔔 Alert me on a product to add one.', keyboard: [] };
+  }
+
+  const lines = [];
+  const keyboard = [];
+  for (const alert of alerts) {
+    const product = await storage.products.get(alert.productId);
+    const name = product ? product.name : 'A product that is no longer listed';
+    const price = product ? ` (now ₹${Number(product.price).toFixed(2)})` : '';
+    lines.push(`• ${name}${price}: ${formatAlertTarget(alert)}`);
+    keyboard.push([{ text: `❌ Remove ${name}`.slice(0, 60), callback_data: encodeCallbackData('unalert', alert.productId) }]);
+  }
+  return { text: `🔔 Your price alerts:\n\n${lines.join('\n')}`, keyboard };
+}
+
+onCommand('alerts', async (msg) => {
+  const chatId = msg.chat.id;
+  if (!isPrivateChat(msg.chat)) {
+    replyPrivateOnly(msg, 'Price alerts are listed');
+    return;
+  }
+
+  try {
+    const { text, keyboard } = await buildAlertList(chatId);
+    await bot.sendMessage(chatId, text, { reply_markup: { inline_keyboard: keyboard } });
+  } catch (error) {
+    console.error('Error listing price alerts:', error);
+    bot.sendMessage(chatId, 'An error occurred while loading your alerts. Please try again later.');
+  }
+});
+
+// /wishlist: the products saved with ❤️ Save, a page at a time, with today's price against the price when saved.
+// wl:<n> shows page n and unsave:<productId>:<n> removes a product from page n.
+function wishlistShareUrl(token) {
+  return `${process.env.RENDER_EXTERNAL_URL}/wishlist/${token}`;
+}
+
+// "₹649.00 now, saved at ₹699.00 (📉 ₹50.00 less)"
+function wishlistPriceLine(price, savedPrice) {
+  const difference = Number(price) - Number(savedPrice);
+  let change = '';
+  if (difference < 0) change = ` (📉 ₹${(-difference).toFixed(2)} less)`;
+  if (difference > 0) change = ` (📈 ₹${difference.toFixed(2)} more)`;
+  return `₹${Number(price).toFixed(2)} now, saved at ₹${Number(savedPrice).toFixed(2)}${change}`;
+}
+
+// A chat's saved items, newest first, each with its listed product or null once it is gone from the catalog
+async function wishlistEntries(chatId) {
+  const [items, products] = await Promise.all([storage.wishlists.listForChat(chatId), listedProducts()]);
+  return items.map(item => ({ ...item, product: products.find(p => p.id.toString() === item.productId) || null }));
+}
+
+async function buildWishlist(chatId, page) {
+  const entries = await wishlistEntries(chatId);
+  if (entries.length === 0) {
+    return { text: 'Your wishlist is empty. Tap ❤️ Save on a product to keep it here.', keyboard: [] };
+  }
+
+  const { pageProducts: pageEntries, currentPage, totalPages } = searchPage(entries, page);
+  const lines = [];
+  const keyboard = [];
+  for (const entry of pageEntries) {
+    const remove = { text: '❌', callback_data: encodeCallbackData('unsave', entry.productId, currentPage) };
+    if (entry.product) {
+      lines.push(`• ${entry.product.name}\n  ${wishlistPriceLine(entry.product.price, entry.savedPrice)}`);
+      keyboard.push([{ text: entry.product.name, callback_data: encodeCallbackData('p', entry.product.id) }, remove]);
+    } else {
+      lines.push('• A product that is no longer listed');
+      keyboard.push([{ text: 'No longer listed', callback_data: encodeCallbackData('noop') }, remove]);
+    }
+  }
+
+  if (totalPages > 1) {
+    const navigation = [];
+    if (currentPage > 1) {
+      navigation.push({ text: '◀ Prev', callback_data: encodeCallbackData('wl', currentPage - 1) });
+    }
+    navigation.push({ text: `Page ${currentPage} of ${totalPages}`, callback_data: encodeCallbackData('noop') });
+    if (currentPage < totalPages) {
+      navigation.push({ text: 'Next ▶', callback_data: encodeCallbackData('wl', currentPage + 1) });
+    }
+    keyboard.push(navigation);
+  }
+
+  const shareUrl = wishlistShareUrl(await storage.wishlists.shareToken(chatId));
+  const shareParams = new URLSearchParams({ url: shareUrl, text: 'My wishlist' });
+  keyboard.push([{ text: '🔗 Share wishlist', url: `https://t.me/share/url?${shareParams}` }]);
+
+  return { text: `❤️ Your wishlist (${entries.length}):\n\n${lines.join('\n')}`, keyboard };
+}
+
+// Redraw the /wishlist message in place after paging or removing
+async function showWishlist({ chatId, message }, page) {
+  const { text, keyboard } = await buildWishlist(chatId, page);
+  await bot.editMessageText(text, {
+    chat_id: message.chat.id,
+    message_id: message.message_id,
+    reply_markup: { inline_keyboard: keyboard }
+  }).catch(() => {}); // the message may already show this state
+}
+
+onCommand('wishlist', async (msg) => {
+  const chatId = msg.chat.id;
+  if (!isPrivateChat(msg.chat)) {
+    replyPrivateOnly(msg, 'Your wishlist is shown');
+    return;
+  }
+
+  try {
+    const { text, keyboard } = await buildWishlist(chatId, 1);
+    await bot.sendMessage(chatId, text, { reply_markup: { inline_keyboard: keyboard } });
+  } catch (error) {
+    console.error('Error listing wishlist:', error);
+    bot.sendMessage(chatId, 'An error occurred while loading your wishlist. Please try again later.');
+  }
+});
+
+// One caption line about how today's price compares with the last 30 days, if there is anything to say
+function priceHistoryLine(summary) {
+  if (summary.isRecentLow) return `  <b>📉 Lowest price in ${summary.recent.days} days!</b>\n`;
+  if (summary.recent.lowest < summary.current) {
+    return `  <b>📊 ${summary.recent.days}-day low:</b> ₹${summary.recent.lowest.toFixed(2)}\n`;
+  }
+  return '';
+}
+
+// Inline keyboard actions
+const callbackRouter = createCallbackRouter(bot);
+
+callbackRouter
+  .on('noop', () => {})
+  .on('p', async ({ chatId, payload, message }) => {
+    await sendProductDetails(chatId, payload, { privateChat: !message || isPrivateChat(message.chat) });
+  })
+  .on('page', async (context) => {
+    // page:<query>:<n>; the query itself may contain colons
+    const separator = context.payload.lastIndexOf(':');
+    const query = context.payload.slice(0, separator);
+    const page = parseInt(context.payload.slice(separator + 1), 10) || 1;
+    await showSearchPage(context, query, page);
+  })
+  .on('cat', async (context) => {
+    await showCategoryMenu(context, await buildCategoryMenu(context.payload || null));
+  })
+  .on('catp', async (context) => {
+    const [id, page] = context.args;
+    await showCategoryMenu(context, await buildCategoryProductMenu(id, parseInt(page, 10) || 1));
+  })
+  .on('alert', async ({ chatId, args, message, answer }) => {
+    // alert:<productId> asks for a target; alert:<productId>:<any|custom|price> sets it
+    const [productId, target] = args;
+    if (message && !isPrivateChat(message.chat)) {
+      await answer({ text: 'Price alerts can be set in a private chat with me.', show_alert: true });
+      return;
+    }
+    const product = await storage.products.get(productId);
+    if (!product || !isListed(product)) {
+      await answer({ text: 'This product is no longer available.' });
+      return;
+    }
+
+    if (!target) {
+      await promptPriceAlert(chatId, product);
+    } else if (target === 'custom') {
+      pendingAlertTargets.set(chatId.toString(), { productId: product.id, expiresAt: Date.now() + ALERT_TARGET_TTL_MS });
+      await bot.sendMessage(chatId, 'Send the price (in ₹) you want to be alerted at, e.g. 499.');
+    } else if (target === 'any') {
+      await setPriceAlert(chatId, product, null);
+    } else {
+      const targetPrice = parseFloat(target);
+      if (!(targetPrice > 0)) return false;
+      await setPriceAlert(chatId, product, targetPrice);
+    }
+  })
+  .on('unalert', async ({ chatId, payload, message, answer }) => {
+    const removed = await storage.priceAlerts.remove(chatId, payload);
+    await answer({ text: removed ? 'Alert removed.' : 'That alert was already removed.' });
+
+    const { text, keyboard } = await buildAlertList(chatId);
+    await bot.editMessageText(text, {
+      chat_id: message.chat.id,
+      message_id: message.message_id,
+      reply_markup: { inline_keyboard: keyboard }
+    }).catch(() => {}); // the list may already show this state
+  })
+  .on('save', async ({ chatId, payload, message, answer }) => {
+    if (message && !isPrivateChat(message.chat)) {
+      await answer({ text: 'Products can be saved in a private chat with me.', show_alert: true });
+      return;
+    }
+    const product = await storage.products.get(payload);
+    if (!product || !isListed(product)) {
+      await answer({ text: 'This product is no longer available.' });
+      return;
+    }
+    const { created } = await storage.wishlists.add({ chatId, productId: product.id, savedPrice: Number(product.price) });
+    await answer({ text: created ? '❤️ Saved to your /wishlist.' : 'This product is already in your /wishlist.' });
+  })
+  .on('wl', async (context) => {
+    await showWishlist(context, parseInt(context.payload, 10) || 1);
+  })
+  .on('unsave', async (context) => {
+    const [productId, page] = context.args;
+    const removed = await storage.wishlists.remove(context.chatId, productId);
+    await context.answer({ text: removed ? 'Removed from your wishlist.' : 'That product was already removed.' });
+    await showWishlist(context, parseInt(page, 10) || 1);
+  })
+  .fallback(async ({ chatId, data, message }) => {
+    // Bare product ids on buttons sent before callback actions existed
+    if (!/^\d+$/.test(data)) return false;
+    await sendProductDetails(chatId, data, { privateChat: !message || isPrivateChat(message.chat) });
+  });
+
+bot.on('callback_query', (callbackQuery) => {
+  if (callbackQuery.message) recordSubscriberActivity(callbackQuery.message.chat, callbackQuery.from);
+  return callbackRouter.handle(callbackQuery);
+});
+
+// Inline mode: "@Indiaproduct_bot kettle" in any chat lists matching products to share there.
+// Telegram asks for further pages with the next_offset we hand back; results are the same
+// for everyone (links carry no chat id), so Telegram may cache them for all users.
+const INLINE_PAGE_SIZE = 20;
+const INLINE_CACHE_SECONDS = 300;
+
+// Photo results must be JPEGs. Amazon serves other formats under .jpg names, marked like ._SX300_FMwebp_.jpg
+function isJpegUrl(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    return false;
+  }
+  return /\.jpe?g$/i.test(pathname) && !/[._]FM(?!jpe?g_)[a-z]+_/i.test(pathname);
+}
+
+async function inlineResult(product) {
+  const caption = await productCaption(product);
+  const replyMarkup = { inline_keyboard: productLinkButtons(product, 'inline') };
+  const description = `₹${Number(product.price).toFixed(2)} · ⭐ ${product.rating}`;
+  const image = await usableImage(product.image);
+
+  // Telegram drops photo results it cannot fetch or that are not JPEGs; those products are shared as text,
+  // with the picture as the result's thumbnail when it still loads
+  if (image && isJpegUrl(image)) {
+    return {
+      type: 'photo',
+      id: String(product.id),
+      photo_url: product.image,
+      thumbnail_url: product.image,
+      title: product.name,
+      description,
+      caption,
+      parse_mode: 'HTML',
+      reply_markup: replyMarkup
+    };
+  }
+  return {
+    type: 'article',
+    id: String(product.id),
+    title: product.name,
+    description,
+    ...(image ? { thumbnail_url: image } : {}),
+    input_message_content: { message_text: caption, parse_mode: 'HTML' },
+    reply_markup: replyMarkup
+  };
+}
+
+bot.on('inline_query', async (inlineQuery) => {
+  const offset = Math.max(parseInt(inlineQuery.offset, 10) || 0, 0);
+
+  try {
+    const products = await listedProducts();
+    const text = truncateToBytes(inlineQuery.query.trim().replace(/\s+/g, ' '), SEARCH_QUERY_BYTES);
+    // Before anything is typed, offer the most clicked products
+    const matches = text
+      ? findProducts(products, text).products
+      : [...products].sort((a, b) => (b.clicks || 0) - (a.clicks || 0));
+
+    const page = matches.slice(offset, offset + INLINE_PAGE_SIZE);
+    const results = await Promise.all(page.map(inlineResult));
+    const nextOffset = offset + INLINE_PAGE_SIZE < matches.length ? String(offset + INLINE_PAGE_SIZE) : '';
+
+    await bot.answerInlineQuery(inlineQuery.id, results, {
+      cache_time: INLINE_CACHE_SECONDS,
+      is_personal: false,
+      next_offset: nextOffset
+    });
+  } catch (error) {
+    console.error('Error answering inline query:', error);
+  }
+});
+
+// Only sent when inline feedback is switched on for the bot in @BotFather (/setinlinefeedback)
+bot.on('chosen_inline_result', async (result) => {
+  try {
+    await storage.analytics.recordEvent({
+      type: 'inline_chosen',
+      chatId: result.from.id,
+      productId: result.result_id,
+      query: result.query
+    });
+  } catch (error) {
+    console.error('Error tracking inline result:', error);
+  }
+});
+
+// API Routes
+app.get('/api/analytics', async (req, res) => {
+  try {
+    const analytics = await storage.analytics.summary();
+    res.json(analytics);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching analytics', error: error.message });
+  }
+});
+
+// Searches that found nothing or little over a period: ?from=&to= (default the last 30 days),
+// below= (searches finding fewer products than this count, default 3) and limit= (default 50).
+// Each group also gets currentResults, what the same terms find in today's catalog.
+app.get('/api/analytics/search-report', async (req, res) => {
+  const range = parseTimeseriesRange({
+    from: req.query.from || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(),
+    to: req.query.to,
+    granularity: 'day'
+  });
+  if (range.error) {
+    return res.status(400).json({ success: false, message: range.error });
+  }
+  const below = req.query.below === undefined ? 3 : parseInt(req.query.below, 10);
+  const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit, 10);
+  if (!(below >= 1) || !(limit >= 1 && limit <= 500)) {
+    return res.status(400).json({ success: false, message: 'below must be 1 or more and limit between 1 and 500' });
+  }
+
+  try {
+    const events = await storage.analytics.listEvents({ type: 'query', since: range.from, until: range.to });
+    const report = buildSearchReport(events, { below, limit });
+    const products = await listedProducts();
+    const withCurrentResults = rows => rows.map(row => ({ ...row, currentResults: findProducts(products, row.terms).products.length }));
+
+    res.json({
+      from: range.from.toISOString(),
+      to: range.to.toISOString(),
+      below,
+      zeroResults: withCurrentResults(report.zeroResults),
+      lowResults: withCurrentResults(report.lowResults)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error building search report', error: error.message });
+  }
+});
+
+// Search -> results shown -> viewed -> clicked funnels over a period (see lib/funnels.js):
+// ?from=&to= (default the last 7 days), sessionMinutes= (default 30) and limit= (rows per table, default 50)
+app.get('/api/analytics/funnels', async (req, res) => {
+  const range = parseTimeseriesRange({
+    from: req.query.from || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(),
+    to: req.query.to,
+    granularity: 'day'
+  });
+  if (range.error) {
+    return res.status(400).json({ success: false, message: range.error });
+  }
+  const sessionMinutes = req.query.sessionMinutes === undefined ? DEFAULT_SESSION_GAP_MINUTES : Number(req.query.sessionMinutes);
+  const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit, 10);
+  if (!(sessionMinutes > 0) || !(limit >= 1 && limit <= 500)) {
+    return res.status(400).json({ success: false, message: 'sessionMinutes must be above 0 and limit between 1 and 500' });
+  }
+
+  try {
+    const events = await storage.analytics.listEvents({ since: range.from, until: range.to });
+    const funnels = buildFunnels(events, { sessionGapMinutes: sessionMinutes, limit });
+    const products = await storage.products.list();
+    const names = new Map(products.map(product => [String(product.id), product.name]));
+
+    res.json({
+      from: range.from.toISOString(),
+      to: range.to.toISOString(),
+      sessionMinutes,
+      ...funnels,
+      byProduct: funnels.byProduct.map(row => ({ ...row, name: names.get(row.productId) || null }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error building funnels', error: error.message });
+  }
+});
+
+// Hourly or daily counts for the dashboard charts: ?from=&to=&granularity=hour|day (see lib/analytics.js)
+app.get('/api/analytics/timeseries', async (req, res) => {
+  const range = parseTimeseriesRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ success: false, message: range.error });
+  }
+
+  try {
+    const rows = await storage.analytics.timeseries(range);
+    res.json(buildTimeseries(rows, range));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching analytics', error: error.message });
+  }
+});
+
+// Validation errors are reported per field: { message, errors: [{ field, message }] }
+function sendValidationErrors(res, errors) {
+  res.status(400).json({ message: 'Invalid product', errors });
+}
+
+// Ids a product's category may be
+async function knownCategoryIds() {
+  const categories = await storage.categories.list();
+  return new Set(categories.map(category => category.id));
+}
+
+async function createProduct(product) {
+  const created = await storage.products.create(product);
+  await recordPrice(created);
+  return created;
+}
+
+// Products list: ?q=&minPrice=&maxPrice=&minRating=&minDiscount=&category=&sort=&page=&limit=
+// Always an array; the number of matches before pagination is in X-Total-Count.
+// category includes sub-categories; category=none lists products without one.
+// Disabled products are only included for a signed-in admin.
+app.get('/api/products', async (req, res) => {
+  try {
+    const products = adminAuth.getSession(req) ? await storage.products.list() : await listedProducts();
+    const result = queryProducts(products, req.query, { categories: await storage.categories.list() });
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+    res.set('X-Total-Count', String(result.total));
+    res.json(result.products);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching products', error: error.message });
+  }
+});
 
-  await trackQuery(chatId, userInput);
+// Whole catalog as ?format=json (default) or ?format=csv
+app.get('/api/products/export', async (req, res) => {
+  try {
+    const products = await storage.products.list();
+    const date = new Date().toISOString().slice(0, 10);
+    if (req.query.format === 'csv') {
+      res.attachment(`products-${date}.csv`);
+      res.type('text/csv').send(productsToCsv(products));
+    } else {
+      res.attachment(`products-${date}.json`);
+      res.json(products);
+    }
+  } catch (error) {
+    res.status(500).json({ message: 'Error exporting products', error: error.message });
+  }
+});
+
+// Bulk import from a JSON array or a CSV file (Content-Type: text/csv) in the export format.
+// Rows whose id matches an existing product update it; other rows are added as new products.
+// Every row is reported: { row, status: 'created' | 'updated' | 'error', id, errors }, where row is the
+// line of the CSV file or the 1-based position in the JSON array.
+app.post('/api/products/import', async (req, res) => {
+  let records;
+  if (typeof req.body === 'string') {
+    records = parseCsvRecords(req.body).map(({ line, record }) => ({ row: line, record: productFromCsvRecord(record) }));
+  } else if (Array.isArray(req.body)) {
+    records = req.body.map((record, index) => ({ row: index + 1, record }));
+  } else {
+    return res.status(400).json({ message: 'Send a JSON array of products or a CSV file with Content-Type: text/csv' });
+  }
+
+  const results = [];
+  try {
+    const categoryIds = await knownCategoryIds();
+    for (const { row, record } of records) {
+      const id = record && record.id !== undefined && record.id !== '' ? String(record.id) : null;
+      const existing = id ? await storage.products.get(id) : null;
+      const validated = validateProduct(existing ? { ...existing, ...record } : record, { categoryIds });
+      const { product, errors } = validated.errors.length > 0
+        ? validated
+        : await affiliateLinks.prepareProduct(validated.product, existing);
+
+      if (errors.length > 0) {
+        results.push({ row, status: 'error', id, errors });
+      } else if (existing) {
+        await updateProduct(existing.id, product);
+        results.push({ row, status: 'updated', id: existing.id });
+      } else {
+        const created = await createProduct(product);
+        results.push({ row, status: 'created', id: created.id });
+      }
+    }
+  } catch (error) {
+    // Rows before the failure were saved; report them along with the error
+    return res.status(500).json({ message: 'Error importing products', error: error.message, results });
+  }
+
+  const count = (status) => results.filter(result => result.status === status).length;
+  const failed = count('error');
+  res.status(failed > 0 ? 207 : 200).json({
+    success: failed === 0,
+    created: count('created'),
+    updated: count('updated'),
+    failed,
+    results
+  });
+});
+
+app.get('/api/products/:id', async (req, res) => {
+  try {
+    const product = await storage.products.get(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    res.json(product);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching product', error: error.message });
+  }
+});
+
+app.post('/api/products', async (req, res) => {
+  try {
+    // ids are assigned by the storage backend
+    const validated = validateProduct(req.body, { categoryIds: await knownCategoryIds() });
+    const { product, errors } = validated.errors.length > 0 ? validated : await affiliateLinks.prepareProduct(validated.product);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+    const newProduct = await createProduct(product);
+    res.status(201).json(newProduct);
+  } catch (error) {
+    res.status(400).json({ message: 'Error creating product', error: error.message });
+  }
+});
+
+// Stores a product offer can be from (see lib/offers.js)
+app.get('/api/stores', (req, res) => {
+  res.json(Object.entries(STORES).map(([id, name]) => ({ id, name })));
+});
+
+// Buy and offer links of a product or deal, as [{ field, link }]
+function itemLinks(item) {
+  const links = item.buyLink ? [{ field: 'buyLink', link: item.buyLink }] : [];
+  (Array.isArray(item.offers) ? item.offers : []).forEach((offer, index) => {
+    if (offer.link) links.push({ field: `offers[${index}].link`, link: offer.link });
+  });
+  return links;
+}
+
+// Affiliate tag per store and the catalog and deal links that do not carry ours yet
+app.get('/api/affiliate-links', async (req, res) => {
+  try {
+    const items = [
+      ...(await storage.products.list()).map(item => ({ type: 'product', item })),
+      ...(await storage.deals.list()).map(item => ({ type: 'deal', item }))
+    ];
+    const untagged = items.flatMap(({ type, item }) => itemLinks(item)
+      .filter(({ link }) => affiliateLinks.missingTag(link))
+      .map(({ field, link }) => ({ type, id: item.id ?? null, name: item.name, field, link })));
+    res.json({ stores: affiliateLinks.config(), untagged });
+  } catch (error) {
+    res.status(500).json({ message: 'Error checking affiliate links', error: error.message });
+  }
+});
+
+// Expand, clean and re-tag every product and deal link, e.g. after AFFILIATE_TAGS changed.
+// { dryRun: true } only reports what would change. Links that cannot be tagged are left as they are.
+app.post('/api/affiliate-links/retag', async (req, res) => {
+  const dryRun = req.body.dryRun === true;
+  const changed = [];
+  const failed = [];
+
+  // Compare an item with its re-tagged copy and note the differences
+  function review(type, before, { product: after, errors }) {
+    const afterLinks = new Map(itemLinks(after).map(({ field, link }) => [field, link]));
+    const changes = itemLinks(before).filter(({ field, link }) => afterLinks.get(field) !== link);
+    changes.forEach(({ field, link }) => changed.push({
+      type, id: before.id ?? null, name: before.name, field, from: link, to: afterLinks.get(field)
+    }));
+    errors.forEach(({ field, message }) => failed.push({ type, id: before.id ?? null, name: before.name, field, message }));
+    return changes.length > 0;
+  }
+
+  try {
+    for (const product of await storage.products.list()) {
+      const retagged = await affiliateLinks.prepareProduct(product);
+      if (review('product', product, retagged) && !dryRun) {
+        const changes = { buyLink: retagged.product.buyLink };
+        if (Array.isArray(product.offers)) changes.offers = retagged.product.offers;
+        await storage.products.update(product.id, changes);
+      }
+    }
+
+    const deals = await storage.deals.list();
+    let dealsChanged = false;
+    const retaggedDeals = [];
+    for (const deal of deals) {
+      const retagged = await affiliateLinks.prepareProduct(deal);
+      if (review('deal', deal, retagged)) dealsChanged = true;
+      retaggedDeals.push(retagged.product);
+    }
+    if (dealsChanged && !dryRun) await storage.deals.replaceAll(retaggedDeals);
+  } catch (error) {
+    return res.status(500).json({ message: 'Error re-tagging links', error: error.message, changed, failed });
+  }
+
+  res.json({
+    success: failed.length === 0,
+    dryRun,
+    message: `${dryRun ? 'Would change' : 'Changed'} ${changed.length} links${failed.length > 0 ? `; ${failed.length} could not be tagged` : ''}`,
+    changed,
+    failed
+  });
+});
+
+// Latest check of every product and deal image and link (see lib/link-health.js).
+// ?status=ok|broken|unreachable|unchecked narrows the items; the summary always counts all of them.
+const CATALOG_HEALTH_STATUSES = [...LINK_STATUSES, 'unchecked'];
+
+app.get('/api/health/catalog', async (req, res) => {
+  const { status } = req.query;
+  if (status && !CATALOG_HEALTH_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, message: `status must be one of ${CATALOG_HEALTH_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const checks = new Map((await storage.linkChecks.list()).map(check => [check.url, check]));
+    const items = catalogLinks(await storage.products.list(), await storage.deals.list()).map(link => {
+      const check = checks.get(link.url);
+      // An image Telegram refused counts as broken whatever the HTTP check says
+      const rejected = Boolean(check && check.telegramError);
+      return {
+        ...link,
+        status: rejected ? 'broken' : check ? check.status : 'unchecked',
+        httpStatus: check ? check.httpStatus : null,
+        error: rejected ? `Telegram could not use it: ${check.telegramError}` : check ? check.error : null,
+        failures: check ? check.failures : 0,
+        checkedAt: check ? check.checkedAt : null,
+        telegramRejectedAt: check ? check.telegramRejectedAt : null
+      };
+    });
+
+    res.json({
+      enabled: catalogHealth.enabled,
+      intervalMinutes: catalogHealth.intervalMinutes,
+      running: catalogHealth.running(),
+      lastRun: catalogHealth.lastRun(),
+      summary: Object.fromEntries(CATALOG_HEALTH_STATUSES.map(key => [key, items.filter(item => item.status === key).length])),
+      items: status ? items.filter(item => item.status === status) : items
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error building the catalog health report', error: error.message });
+  }
+});
+
+// Check every link now rather than at the next scheduled run; the check carries on in the background
+app.post('/api/health/catalog/check', (req, res) => {
+  const alreadyRunning = catalogHealth.running();
+  if (!alreadyRunning) {
+    catalogHealth.runOnce()
+      .then(run => console.log(`Checked ${run.checked} catalog links: ${run.broken} broken, ${run.unreachable} unreachable`))
+      .catch(error => console.error('Error checking catalog links:', error));
+  }
+  res.status(202).json({
+    success: true,
+    message: alreadyRunning ? 'The catalog is already being checked' : 'Checking the catalog links; refresh in a few minutes'
+  });
+});
 
+app.get('/api/products/:id/price-history', async (req, res) => {
   try {
-    const products = await readProducts();
-    const matchedProducts = products.filter(product =>
-      product.keywords.some(keyword => keyword.toLowerCase().includes(userInput.toLowerCase()))
-    ).slice(0, 5);
-
-    if (matchedProducts.length === 0) {
-      bot.sendMessage(chatId, 'No products found. Please try a different search term.');
-      return;
+    const product = await storage.products.get(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
     }
-
-    const keyboard = matchedProducts.map(product => [{ text: product.name, callback_data: product.id.toString() }]);
-    bot.sendMessage(chatId, 'Select a product:', { reply_markup: { inline_keyboard: keyboard } });
+    const history = await storage.priceHistory.list(product.id);
+    res.json({ productId: product.id, history, summary: summarizePriceHistory(history, product.price) });
   } catch (error) {
-    console.error('Error searching products:', error);
-    bot.sendMessage(chatId, 'An error occurred while searching for products. Please try again later.');
+    res.status(500).json({ message: 'Error fetching price history', error: error.message });
   }
 });
 
-bot.on('callback_query', async (callbackQuery) => {
-  const chatId = callbackQuery.message.chat.id;
-  const productId = callbackQuery.data;
+// PUT takes a complete product, PATCH only the fields to change; views and clicks are kept either way.
+// A price change alerts anyone watching the product.
+async function saveProductEdit(req, res, { partial }) {
+  try {
+    const existing = await storage.products.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
 
-  console.log(`Product ID selected: ${productId}`); // Log the selected product ID
+    const validated = validateProduct(partial ? { ...existing, ...req.body } : req.body, {
+      categoryIds: await knownCategoryIds()
+    });
+    const { product, errors } = validated.errors.length > 0
+      ? validated
+      : await affiliateLinks.prepareProduct(validated.product, existing);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+    // PUT sends the whole product, so fields it leaves out are removed rather than kept
+    res.json(await updateProduct(existing.id, product, { replace: !partial }));
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating product', error: error.message });
+  }
+}
 
-  try {
-    // Track product view
-    await trackProductView(productId);
+app.put('/api/products/:id', (req, res) => saveProductEdit(req, res, { partial: false }));
+app.patch('/api/products/:id', (req, res) => saveProductEdit(req, res, { partial: true }));
 
-    // Read products from the JSON file
-    const products = await readProducts();
-    console.log(`All products: ${JSON.stringify(products)}`); // Log all products
+// Add one keyword, e.g. a search from the search report, so the product turns up for it
+app.post('/api/products/:id/keywords', async (req, res) => {
+  const keyword = typeof req.body.keyword === 'string' ? req.body.keyword.trim().replace(/\s+/g, ' ') : '';
+  if (!keyword) {
+    return res.status(400).json({ success: false, message: 'keyword is required' });
+  }
 
-    // Find the selected product by ID
-    const product = products.find(p => p.id.toString() === productId);
-    if (!product) {
-      console.log(`Product not found for ID: ${productId}`); // Log if product is not found
-      bot.sendMessage(chatId, 'Product not found.');
-      return;
+  try {
+    const existing = await storage.products.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
     }
 
-    console.log(`Product found: ${JSON.stringify(product)}`); // Log the found product
-
-    // Create the HTML message for the product
-    const htmlMessage = `
-  <b>🎧 ${product.name}</b>
-  
-  ${product.description}
-  
-  <b>💰 Price:</b> ₹${product.price.toFixed(2)}
-  <b>💵 MRP:</b> <s>₹${product.mrp.toFixed(2)}</s>
-  <b>⭐ Rating:</b> ${product.rating} ⭐
-`;
+    const keywords = Array.isArray(existing.keywords) ? existing.keywords : [];
+    if (keywords.some(k => String(k).toLowerCase() === keyword.toLowerCase())) {
+      return res.json({ success: true, message: `"${keyword}" is already a keyword of ${existing.name}`, product: existing });
+    }
 
-    // Create the inline keyboard with buttons
-    const inlineKeyboard = {
-      inline_keyboard: [
-        [{ text: 'View Product', url: `${process.env.RENDER_EXTERNAL_URL}/product/${product.id}` }],
-        [{ text: 'Order Now', url: product.buyLink }]
-      ]
-    };
+    const product = await updateProduct(existing.id, { keywords: [...keywords, keyword] });
+    res.json({ success: true, message: `Added "${keyword}" to ${product.name}`, product });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error adding keyword', error: error.message });
+  }
+});
 
-    // Send the product details to the user
-    if (product.image) {
-      // Send the product image with a caption
-      await bot.sendPhoto(chatId, product.image, {
-        caption: htmlMessage,
-        parse_mode: 'HTML',
-        reply_markup: inlineKeyboard
-      });
-    } else {
-      // If no image is available, send a text message
-      await bot.sendMessage(chatId, htmlMessage, {
-        parse_mode: 'HTML',
-        reply_markup: inlineKeyboard
-      });
+app.delete('/api/products/:id', async (req, res) => {
+  try {
+    const removed = await storage.products.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ message: 'Product not found' });
     }
+    res.status(204).end();
   } catch (error) {
-    console.error('Error in callback_query handler:', error); // Log the full error
-    bot.sendMessage(chatId, 'An error occurred while fetching product details. Please try again later.');
+    res.status(400).json({ message: 'Error deleting product', error: error.message });
   }
 });
 
-// API Routes
-app.get('/api/products', async (req, res) => {
+// The category tree as a flat list in tree order, each with its full label ("Electronics › Audio") and how many
+// products are in it or its sub-categories (listed products only, unless signed in as admin)
+app.get('/api/categories', async (req, res) => {
   try {
-    const products = await readProducts();
-    res.json(products);
+    const [categories, products] = await Promise.all([
+      storage.categories.list(),
+      adminAuth.getSession(req) ? storage.products.list() : listedProducts()
+    ]);
+    const counts = categoryCounts(categories, products);
+    res.json(categories
+      .map(category => ({
+        ...category,
+        label: categoryLabel(categories, category.id),
+        productCount: counts.get(category.id) || 0
+      }))
+      .sort((a, b) => a.label.localeCompare(b.label)));
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching products', error: error.message });
+    res.status(500).json({ message: 'Error fetching categories', error: error.message });
   }
 });
 
-app.get('/api/analytics', async (req, res) => {
+// { name, parentId }; the id is made from the name
+app.post('/api/categories', async (req, res) => {
   try {
-    const analytics = await readAnalytics();
-    res.json(analytics);
+    const categories = await storage.categories.list();
+    const { category, errors } = validateCategory(req.body, categories);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid category', errors });
+    }
+    const created = await storage.categories.create({ id: uniqueCategoryId(category.name, categories), ...category });
+    res.status(201).json(created);
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching analytics', error: error.message });
+    res.status(500).json({ message: 'Error creating category', error: error.message });
   }
 });
 
-app.post('/api/products', async (req, res) => {
+// Rename ({ name }) or move ({ parentId }, null for the top level) a category; its id stays the same
+app.patch('/api/categories/:id', async (req, res) => {
   try {
-    const products = await readProducts();
-    const newProduct = {
-      id: Date.now(),
-      ...req.body
-    };
-    products.push(newProduct);
-    await writeProducts(products);
-    res.status(201).json(newProduct);
+    const categories = await storage.categories.list();
+    const existing = categories.find(category => category.id === req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const { category, errors } = validateCategory({ ...existing, ...req.body }, categories, existing);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid category', errors });
+    }
+    res.json(await storage.categories.update(existing.id, category));
   } catch (error) {
-    res.status(400).json({ message: 'Error creating product', error: error.message });
+    res.status(500).json({ message: 'Error updating category', error: error.message });
   }
 });
 
-app.delete('/api/products/:id', async (req, res) => {
+// Products, deals and sub-categories of a removed category move up to its parent
+app.delete('/api/categories/:id', async (req, res) => {
   try {
-    let products = await readProducts();
-    products = products.filter(p => p.id.toString() !== req.params.id);
-    await writeProducts(products);
+    const category = await storage.categories.get(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const products = await storage.products.list();
+    for (const product of products.filter(product => product.category === category.id)) {
+      await storage.products.update(product.id, { category: category.parentId });
+    }
+    const deals = await storage.deals.list();
+    if (deals.some(deal => deal.category === category.id)) {
+      await storage.deals.replaceAll(deals.map(deal =>
+        (deal.category === category.id ? { ...deal, category: category.parentId } : deal)));
+    }
+
+    await storage.categories.remove(category.id);
     res.status(204).end();
   } catch (error) {
-    res.status(400).json({ message: 'Error deleting product', error: error.message });
+    res.status(500).json({ message: 'Error deleting category', error: error.message });
   }
 });
 
@@ -1246,10 +3038,7 @@ app.get('/user-profile', (req, res) => {
   res.send(chatIdInputPage);
 });
 
-// Serve Admin Panel HTML
-// Serve Admin Panel HTML with PIN Authentication
-// Serve Admin Panel HTML with PIN Authentication
-// Serve Admin Panel HTML with PIN Authentication
+// Serve Admin Panel HTML (access is checked by requireAdmin)
 app.get('/admin', (req, res) => {
   const adminHTML = `
     <!DOCTYPE html>
@@ -1321,44 +3110,6 @@ app.get('/admin', (req, res) => {
       margin-bottom: 1rem;
     }
 
-    /* PIN Popup Styles */
-    .pin-popup {
-      position: fixed;
-      top: 50%;
-      left: 50%;
-      transform: translate(-50%, -50%);
-      background: white;
-      padding: 2rem;
-      border-radius: 15px;
-      box-shadow: 0 8px 25px rgba(0, 0, 0, 0.2);
-      z-index: 1000;
-      width: 90%;
-      max-width: 400px;
-    }
-
-    .pin-input-container {
-      display: flex;
-      justify-content: center;
-      gap: 12px;
-      margin-bottom: 1.5rem;
-    }
-
-    .pin-input-container input {
-      width: 45px;
-      height: 45px;
-      text-align: center;
-      font-size: 1.2rem;
-      border: 2px solid var(--secondary-color);
-      border-radius: 8px;
-      background: #f8f9fa;
-    }
-
-    .pin-input-container input:focus {
-      outline: none;
-      border-color: var(--accent-color);
-      box-shadow: 0 0 0 2px rgba(255, 183, 3, 0.2);
-    }
-
     /* Button Styles */
     .btn-primary {
       background-color: var(--secondary-color);
@@ -1413,16 +3164,6 @@ app.get('/admin', (req, res) => {
       .table {
         font-size: 0.9rem;
       }
-
-      .pin-popup {
-        width: 95%;
-        padding: 1.5rem;
-      }
-
-      .pin-input-container input {
-        width: 40px;
-        height: 40px;
-      }
     }
 
     /* Dashboard Cards Animation */
@@ -1457,13 +3198,6 @@ app.get('/admin', (req, res) => {
       background-color: var(--succ) !important;
     }
 
-    /* Error Message Styles */
-    .pin-error {
-      color: #dc3545;
-      margin-top: 0.75rem;
-      font-size: 0.9rem;
-    }
-
     /* Action Buttons Container */
     .action-buttons {
       display: flex;
@@ -1477,31 +3211,19 @@ app.get('/admin', (req, res) => {
       min-width: 200px;
       margin-bottom: 10px;
     }
-    #adminFeatures {
-          display: none;
-        }
   </style>
 
       <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
       <script src="https://cdn.jsdelivr.net/npm/axios/dist/axios.min.js"></script>
+      <script src="/admin-utils.js"></script>
     </head>
     <body>
-      <!-- PIN Popup Card -->
-      <div class="pin-popup" id="pinPopup">
-        <h2>Enter PIN to Access Admin Panel</h2>
-        <div class="pin-input-container">
-          <input type="text" id="pin1" maxlength="1" oninput="moveToNext(1)" />
-          <input type="text" id="pin2" maxlength="1" oninput="moveToNext(2)" />
-          <input type="text" id="pin3" maxlength="1" oninput="moveToNext(3)" />
-          <input type="text" id="pin4" maxlength="1" oninput="moveToNext(4)" />
-        </div>
-        <button onclick="verifyPin()">Submit</button>
-        <div id="pinError" class="pin-error"></div>
-      </div>
-
-      <!-- Admin Features (hidden by default) -->
+      <!-- Admin Features -->
       <div class="container mt-5" id="adminFeatures">
-        <h1 class="mb-4" style="color:black;">Admin Dashboard</h1>
+        <div class="d-flex justify-content-between align-items-center mb-4">
+          <h1 class="mb-0" style="color:black;">Admin Dashboard</h1>
+          <button class="btn btn-outline-secondary" id="logoutBtn">Log Out</button>
+        </div>
 
         <!-- Dashboard Cards -->
         <div class="row mb-4">
@@ -1524,7 +3246,7 @@ app.get('/admin', (req, res) => {
           <div class="col-md-4">
             <div class="card">
               <div class="card-body">
-                <h5 class="card-title">Realtime Traffic</h5>
+                <h5 class="card-title">Total Searches</h5>
                 <p class="card-text" id="realtimeTraffic">0</p>
               </div>
             </div>
@@ -1572,10 +3294,46 @@ app.get('/admin', (req, res) => {
           </tbody>
         </table>
 
-        <!-- Realtime Traffic Chart -->
-        <h2 class="mt-4" style="color:black;">Realtime Traffic Chart</h2>
-        <canvas id="realtimeTrafficChart"></canvas>
-
+        <!-- Activity Charts -->
+        <h2 class="mt-4" style="color:black;">Activity</h2>
+        <div class="row g-2 align-items-end mb-3">
+          <div class="col-auto">
+            <div class="btn-group" role="group" id="rangePresets">
+              <button class="btn btn-outline-secondary active" data-hours="24">24 hours</button>
+              <button class="btn btn-outline-secondary" data-hours="168">7 days</button>
+              <button class="btn btn-outline-secondary" data-hours="720">30 days</button>
+              <button class="btn btn-outline-secondary" data-hours="2160">90 days</button>
+            </div>
+          </div>
+          <div class="col-auto">
+            <label for="rangeFrom" class="form-label mb-0">From</label>
+            <input type="date" id="rangeFrom" class="form-control">
+          </div>
+          <div class="col-auto">
+            <label for="rangeTo" class="form-label mb-0">To</label>
+            <input type="date" id="rangeTo" class="form-control">
+          </div>
+          <div class="col-auto">
+            <label for="granularity" class="form-label mb-0">Group by</label>
+            <select id="granularity" class="form-select">
+              <option value="">Auto</option>
+              <option value="hour">Hour</option>
+              <option value="day">Day</option>
+            </select>
+          </div>
+        </div>
+        <p class="text-danger" id="activityError"></p>
+        <div class="row mb-3" id="activityTotals"></div>
+        <canvas id="trafficChart"></canvas>
+        <canvas id="engagementChart" class="mt-4"></canvas>
+
+        <a href="/admin/products" class="btn btn-primary mt-4">Manage Products</a>
+        <a href="/admin/categories" class="btn btn-primary mt-4">Categories</a>
+        <a href="/admin/affiliate-links" class="btn btn-primary mt-4">Affiliate Links</a>
+        <a href="/admin/search-report" class="btn btn-primary mt-4">Search Report</a>
+        <a href="/admin/funnels" class="btn btn-primary mt-4">Conversion Funnels</a>
+        <a href="/admin/channels" class="btn btn-primary mt-4">Channels</a>
+        <a href="/admin/daily-deals" class="btn btn-primary mt-4">Daily Deals</a>
         <a href="/admin/add-product" class="btn btn-primary mt-4">Add Product</a>
         <a href="/user-profile" class="btn btn-secondary mt-4">View User Profile</a>
         <a href="/admin/notify" class="btn btn-primary mt-4">Send Notification to All Users</a>
@@ -1585,49 +3343,18 @@ app.get('/admin', (req, res) => {
       </div>
 
       <script>
-        const correctPin = '${process.env.ADMIN_PIN || '9722'}'; // Fetch PIN from environment variable or use default
-
-        // Check if the PIN has already been verified
-        const isPinVerified = localStorage.getItem('pinVerified') === 'true';
-
-        if (isPinVerified) {
-          // Hide the PIN popup and show the admin features
-          document.getElementById('pinPopup').style.display = 'none';
-          document.getElementById('adminFeatures').style.display = 'block';
-        }
-
-        // Function to move to the next input box
-        function moveToNext(currentInput) {
-          const nextInput = document.getElementById(\`pin\${currentInput + 1}\`);
-          if (nextInput && document.getElementById(\`pin\${currentInput}\`).value) {
-            nextInput.focus();
+        // Send the admin back to the login page when the session has expired
+        axios.interceptors.response.use(response => response, error => {
+          if (error.response && error.response.status === 401) {
+            window.location.href = '/admin/login?next=/admin';
           }
-        }
+          return Promise.reject(error);
+        });
 
-        // Function to verify the PIN
-        function verifyPin() {
-          const pin1 = document.getElementById('pin1').value;
-          const pin2 = document.getElementById('pin2').value;
-          const pin3 = document.getElementById('pin3').value;
-          const pin4 = document.getElementById('pin4').value;
-          const enteredPin = pin1 + pin2 + pin3 + pin4;
-
-          const pinError = document.getElementById('pinError');
-          const adminFeatures = document.getElementById('adminFeatures');
-          const pinPopup = document.getElementById('pinPopup');
-
-          if (enteredPin === correctPin) {
-            // Hide the PIN popup and show the admin features
-            pinPopup.style.display = 'none';
-            adminFeatures.style.display = 'block';
-
-            // Store the PIN verification state in local storage
-            localStorage.setItem('pinVerified', 'true');
-          } else {
-            // Show an error message
-            pinError.textContent = 'Invalid PIN. Please try again.';
-          }
-        }
+        document.getElementById('logoutBtn').addEventListener('click', async () => {
+          await axios.post('/admin/logout');
+          window.location.href = '/admin/login';
+        });
 
         let currentChatId = null;
 
@@ -1651,54 +3378,148 @@ app.get('/admin', (req, res) => {
             // Update realtime traffic
             document.getElementById('realtimeTraffic').textContent = analytics.traffic;
 
-            // Update query status table
+            // Update query status table; the search text is whatever users typed, so it is escaped
             const queryTable = document.getElementById('queryTable');
             queryTable.innerHTML = analytics.queries.map(query => \`
               <tr>
-                <td>\${query.chatId}</td>
-                <td>\${query.query}</td>
+                <td>\${escapeHtml(query.chatId)}</td>
+                <td>\${escapeHtml(query.query)}</td>
                 <td>\${new Date(query.timestamp).toLocaleString()}</td>
-                <td><span class="badge bg-success">\${query.status}</span></td>
-                <td><button class="btn btn-sm btn-primary" onclick="openChat(\${query.chatId})">Chat</button></td>
+                <td><span class="badge \${query.status === 'Success' ? 'bg-success' : query.status === 'No results' ? 'bg-warning text-dark' : 'bg-danger'}">\${escapeHtml(query.status)}</span></td>
+                <td><button class="btn btn-sm btn-primary" data-chat-id="\${escapeHtml(query.chatId)}">Chat</button></td>
               </tr>
             \`).join('');
+            queryTable.querySelectorAll('[data-chat-id]').forEach(button => {
+              button.addEventListener('click', () => openChat(button.dataset.chatId));
+            });
 
             // Update product views table
             const productViewsTable = document.getElementById('productViewsTable');
             productViewsTable.innerHTML = Object.entries(analytics.productViews).map(([id, views]) => \`
               <tr>
-                <td>\${id}</td>
-                <td><i class="fas fa-eye"></i> \${views}</td>
+                <td>\${escapeHtml(id)}</td>
+                <td><i class="fas fa-eye"></i> \${escapeHtml(views)}</td>
               </tr>
             \`).join('');
 
-            // Update realtime traffic chart
-            const ctx = document.getElementById('realtimeTrafficChart').getContext('2d');
-            const trafficChart = new Chart(ctx, {
-              type: 'line',
-              data: {
-                labels: analytics.queries.map((_, index) => \`Query \${index + 1}\`),
-                datasets: [{
-                  label: 'Traffic',
-                  data: analytics.queries.map(() => Math.floor(Math.random() * 100)), // Simulated traffic data
-                  borderColor: 'rgba(75, 192, 192, 1)',
-                  borderWidth: 1,
-                  fill: false
-                }]
-              },
-              options: {
-                scales: {
-                  y: {
-                    beginAtZero: true
-                  }
-                }
-              }
-            });
           } catch (error) {
             console.error('Error fetching analytics:', error);
           }
         }
 
+        // Activity charts from /api/analytics/timeseries. A preset covers the last N hours up to now;
+        // picking dates switches to that fixed range.
+        const SERIES = {
+          queries: { label: 'Searches', color: '#219ebc' },
+          uniqueUsers: { label: 'Unique users', color: '#023047' },
+          zeroResultSearches: { label: 'Searches with no results', color: '#d62828' },
+          productViews: { label: 'Product views', color: '#ffb703' },
+          clicks: { label: 'Order Now clicks', color: '#2a9d8f' },
+          newSubscribers: { label: 'New subscribers', color: '#8338ec' },
+          inlineShares: { label: 'Shared inline', color: '#fb8500' }
+        };
+        const TOTALS = ['queries', 'zeroResultSearches', 'productViews', 'clicks', 'newSubscribers', 'inlineShares'];
+
+        let presetHours = 24;
+        const charts = {};
+
+        function lineChart(canvasId, metrics) {
+          return new Chart(document.getElementById(canvasId).getContext('2d'), {
+            type: 'line',
+            data: {
+              labels: [],
+              datasets: metrics.map(metric => ({
+                metric,
+                label: SERIES[metric].label,
+                data: [],
+                borderColor: SERIES[metric].color,
+                backgroundColor: SERIES[metric].color,
+                borderWidth: 2,
+                tension: 0.2,
+                fill: false
+              }))
+            },
+            options: {
+              interaction: { mode: 'index', intersect: false },
+              scales: { y: { beginAtZero: true, ticks: { precision: 0 } } }
+            }
+          });
+        }
+
+        // Daily buckets are UTC days, so they are labelled in UTC to keep the dates right
+        function bucketLabel(start, granularity) {
+          const date = new Date(start);
+          return granularity === 'day'
+            ? date.toLocaleDateString([], { timeZone: 'UTC', month: 'short', day: 'numeric' })
+            : date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        }
+
+        function activityParams() {
+          const params = {};
+          const granularity = document.getElementById('granularity').value;
+          if (granularity) params.granularity = granularity;
+          if (presetHours) {
+            params.from = new Date(Date.now() - presetHours * 3600000).toISOString();
+          } else {
+            params.from = document.getElementById('rangeFrom').value;
+            const to = document.getElementById('rangeTo').value;
+            if (to) params.to = to;
+          }
+          return params;
+        }
+
+        async function fetchActivity() {
+          const params = activityParams();
+          if (!params.from) return;
+
+          try {
+            const { data } = await axios.get('/api/analytics/timeseries', { params });
+            document.getElementById('activityError').textContent = '';
+
+            if (!charts.traffic) {
+              charts.traffic = lineChart('trafficChart', ['queries', 'uniqueUsers', 'zeroResultSearches']);
+              charts.engagement = lineChart('engagementChart', ['productViews', 'clicks', 'newSubscribers', 'inlineShares']);
+            }
+            const labels = data.buckets.map(bucket => bucketLabel(bucket.start, data.granularity));
+            Object.values(charts).forEach(chart => {
+              chart.data.labels = labels;
+              chart.data.datasets.forEach(dataset => {
+                dataset.data = data.buckets.map(bucket => bucket[dataset.metric]);
+              });
+              chart.update();
+            });
+
+            document.getElementById('activityTotals').innerHTML = TOTALS.map(metric => \`
+              <div class="col">
+                <div class="card"><div class="card-body py-2">
+                  <h6 class="card-title mb-1">\${SERIES[metric].label}</h6>
+                  <p class="card-text mb-0">\${data.totals[metric].toLocaleString()}</p>
+                </div></div>
+              </div>
+            \`).join('');
+          } catch (error) {
+            const message = error.response && error.response.data && error.response.data.message;
+            document.getElementById('activityError').textContent = message || 'Could not load activity';
+          }
+        }
+
+        document.querySelectorAll('#rangePresets button').forEach(button => {
+          button.addEventListener('click', () => {
+            presetHours = Number(button.dataset.hours);
+            document.querySelectorAll('#rangePresets button').forEach(b => b.classList.toggle('active', b === button));
+            document.getElementById('rangeFrom').value = '';
+            document.getElementById('rangeTo').value = '';
+            fetchActivity();
+          });
+        });
+
+        ['rangeFrom', 'rangeTo'].forEach(id => document.getElementById(id).addEventListener('change', () => {
+          presetHours = null;
+          document.querySelectorAll('#rangePresets button').forEach(b => b.classList.remove('active'));
+          fetchActivity();
+        }));
+        document.getElementById('granularity').addEventListener('change', fetchActivity);
+
         // Open chat with a user
         function openChat(chatId) {
           currentChatId = chatId;
@@ -1714,7 +3535,7 @@ app.get('/admin', (req, res) => {
             const response = await axios.post('/api/send-message', { chatId: currentChatId, message });
             if (response.data.success) {
               const chatWindow = document.getElementById('chatWindow');
-              chatWindow.innerHTML += \`<div class="chat-message admin">\${message}</div>\`;
+              chatWindow.innerHTML += \`<div class="chat-message admin">\${escapeHtml(message)}</div>\`;
               document.getElementById('chatInput').value = '';
             }
           } catch (error) {
@@ -1722,9 +3543,11 @@ app.get('/admin', (req, res) => {
           }
         });
 
-        // Fetch analytics data every 5 seconds
+        // Fetch analytics data every 5 seconds, and the charts every minute
         fetchAnalytics();
         setInterval(fetchAnalytics, 5000);
+        fetchActivity();
+        setInterval(fetchActivity, 60000);
       </script>
     </body>
     </html>
@@ -1734,10 +3557,19 @@ app.get('/admin', (req, res) => {
 //today deals admin code
 app.get('/admin/today-deals', async (req, res) => {
   try {
-    const todayDeals = await readTodayDeals();
-    const analytics = await readAnalytics();
+    const todayDeals = await withDealCategories(await storage.deals.list());
+    const analytics = await storage.analytics.summary();
     const productViews = analytics.productViews;
-    const categories = [...new Set(todayDeals.map(deal => deal.category))];
+    const products = await storage.products.list();
+    const productClicks = Object.fromEntries(products.map(product => [product.id, product.clicks || 0]));
+    // A deal matches the filter for its own category and every category above it
+    const allCategories = await storage.categories.list();
+    const dealCategoryIds = (deal) => categoryPath(allCategories, deal.category).map(category => category.id);
+    const categoryIdsInUse = new Set(todayDeals.flatMap(dealCategoryIds));
+    const categories = allCategories
+      .filter(category => categoryIdsInUse.has(category.id))
+      .map(category => ({ id: category.id, label: categoryLabel(allCategories, category.id) }))
+      .sort((a, b) => a.label.localeCompare(b.label));
 
     let dealsHTML = `
       <!DOCTYPE html>
@@ -2031,9 +3863,9 @@ app.get('/admin/today-deals', async (req, res) => {
 
             deals.forEach(deal => {
               const title = deal.querySelector('.deal-title').textContent.toLowerCase();
-              const dealCategory = deal.dataset.category;
+              const dealCategories = deal.dataset.categories.split(' ');
 
-              if (title.includes(searchQuery) && (category === 'all' || dealCategory === category)) {
+              if (title.includes(searchQuery) && (category === 'all' || dealCategories.includes(category))) {
                 deal.style.display = 'block';
               } else {
                 deal.style.display = 'none';
@@ -2096,7 +3928,8 @@ app.get('/admin/today-deals', async (req, res) => {
           <input type="text" id="search" placeholder="Search deals..." onkeyup="filterDeals()">
           <select id="category" onchange="filterDeals()">
             <option value="all">All Categories</option>
-            ${categories.map(category => `<option value="${category}">${category}</option>`).join('')}
+            ${categories.map(category => `<option value="${category.id}">${category.label}</option>`).join('')}
+            ${todayDeals.some(deal => !deal.category) ? '<option value="none">Uncategorised</option>' : ''}
           </select>
           <select id="sort" onchange="sortDeals()">
             <option value="price-asc">Sort by Price: Low to High</option>
@@ -2118,11 +3951,11 @@ app.get('/admin/today-deals', async (req, res) => {
     } else {
       todayDeals.forEach((deal, index) => {
         const views = productViews[deal.id] || 0;
-        const clicks = (analytics.queries.filter(query => query.query.includes(deal.name)).length) || 0;
+        const clicks = productClicks[deal.id] || 0;
         const discountPercentage = Math.round(((deal.mrp - deal.price) / deal.mrp) * 100);
         
         dealsHTML += `
-          <div class="deal-card" data-id="${deal.id}" data-category="${deal.category}" style="animation-delay: ${index * 0.1}s" onclick="openModal('${deal.id}')">
+          <div class="deal-card" data-id="${deal.id}" data-categories="${dealCategoryIds(deal).join(' ') || 'none'}" style="animation-delay: ${index * 0.1}s" onclick="openModal('${deal.id}')">
             <div class="deal-image-container">
               <img src="${deal.image}" alt="${deal.name}" class="deal-image">
             </div>
@@ -2195,6 +4028,7 @@ app.get('/admin/add-product', (req, res) => {
       <meta name="viewport" content="width=device-width, initial-scale=1.0">
       <title>Add Product</title>
       <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
+      <script src="https://cdn.jsdelivr.net/npm/axios/dist/axios.min.js"></script>
       <style>
         body {
           font-family: Arial, sans-serif;
@@ -2265,24 +4099,38 @@ app.get('/admin/add-product', (req, res) => {
             <label for="image" class="form-label">Image URL:</label>
             <input type="url" class="form-control" id="image" name="image" required>
           </div>
-          <div class="mb-3">
-            <label for="productLink" class="form-label">Product Link:</label>
-            <input type="url" class="form-control" id="productLink" name="productLink" required>
-          </div>
           <div class="mb-3">
             <label for="buyLink" class="form-label">Buy Link:</label>
             <input type="url" class="form-control" id="buyLink" name="buyLink" required>
+            <div class="form-text">A store page or short link; our affiliate tag is added when the product is saved.</div>
           </div>
           <div class="mb-3">
             <label for="keywords" class="form-label">Keywords (comma-separated):</label>
             <input type="text" class="form-control" id="keywords" name="keywords" required>
           </div>
+          <div class="mb-3">
+            <label for="category" class="form-label">Category:</label>
+            <select class="form-select" id="category" name="category">
+              <option value="">None</option>
+            </select>
+          </div>
           <button type="submit" class="btn btn-primary">Add Product</button>
         </form>
         <a href="/admin" class="btn btn-secondary mt-3">Back to Dashboard</a>
       </div>
 
       <script>
+        // The search report links here with ?name=&keywords= to start a product from an unmet search
+        const prefill = new URLSearchParams(window.location.search);
+        ['name', 'keywords'].forEach(field => {
+          if (prefill.get(field)) document.getElementById(field).value = prefill.get(field);
+        });
+
+        axios.get('/api/categories').then(response => {
+          const select = document.getElementById('category');
+          response.data.forEach(category => select.add(new Option(category.label, category.id)));
+        });
+
         document.getElementById('addProductForm').addEventListener('submit', async (e) => {
           e.preventDefault();
           const formData = new FormData(e.target);
@@ -2294,7 +4142,8 @@ app.get('/admin/add-product', (req, res) => {
             alert('Product added successfully!');
             window.location.href = '/admin';
           } catch (error) {
-            alert('Error adding product');
+            const errors = error.response && error.response.data.errors;
+            alert(errors ? errors.map(e => e.message).join('\n') : 'Error adding product');
             console.error(error);
           }
         });
@@ -2305,23 +4154,55 @@ app.get('/admin/add-product', (req, res) => {
   res.send(addProductHTML);
 });
 
+// Click-through redirect: /go/:productId?src=<source>&c=<chat id>&store=<store offer>
+app.get('/go/:productId', async (req, res) => {
+  const { productId } = req.params;
+  const source = CLICK_SOURCES.includes(req.query.src) ? req.query.src : 'unknown';
+  const chatId = /^-?\d+$/.test(req.query.c || '') ? req.query.c : null;
+  const store = Object.hasOwn(STORES, String(req.query.store)) ? req.query.store : null;
+
+  try {
+    const buyLink = await findBuyLink(productId, store);
+    if (!buyLink || !/^https?:\/\//i.test(buyLink)) {
+      res.status(404).send('Product not found');
+      return;
+    }
+
+    // Redirect first; the shopper should not wait on analytics
+    res.redirect(302, buyLink);
+    trackClick(productId, chatId, source, store);
+  } catch (error) {
+    console.error('Error redirecting to product:', error);
+    res.status(500).send('Error loading product');
+  }
+});
+
 // Serve Product Details Page
 app.get('/product/:id', async (req, res) => {
   try {
-    const products = await readProducts();
+    const products = await listedProducts();
     const product = products.find(p => p.id.toString() === req.params.id);
     if (!product) {
       res.status(404).send('Product not found');
       return;
     }
 
+    const history = await storage.priceHistory.list(product.id);
+    const priceSummary = summarizePriceHistory(history, product.price);
+    // The chart needs a start and an end; products without history show a flat line at today's price
+    const chartPoints = history.length > 0 ? history.map(entry => [entry.recordedAt, entry.price]) : [];
+    chartPoints.push([new Date().toISOString(), Number(product.price)]);
+    // Best offer first; it is only highlighted when it is in stock
+    const offers = productOffers(product);
+    const formatChecked = (value) => new Date(value).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+
     const productPage = `
       <!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${product.name}</title>
+  <title>${escapeHtml(product.name)}</title>
   <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
   <style>
     /* Background Animation */
@@ -2444,20 +4325,93 @@ app.get('/product/:id', async (req, res) => {
       transform: scale(1.05);
       box-shadow: 0 5px 15px rgba(0, 0, 0, 0.2);
     }
+
+    .deal-badge {
+      display: inline-block;
+      background: #dcfce7;
+      color: #166534;
+      padding: 4px 12px;
+      border-radius: 15px;
+      font-weight: bold;
+      margin-bottom: 10px;
+    }
+
+    .offers {
+      margin: 15px 0;
+      background: transparent;
+    }
+
+    .offers tr.cheapest td {
+      background: #dcfce7;
+      font-weight: bold;
+    }
+
+    .offers .checked {
+      font-size: 0.8rem;
+      color: #777;
+    }
+
+    .price-history {
+      margin-top: 20px;
+    }
+
+    .price-history .stats {
+      font-size: 0.9rem;
+      color: #555;
+    }
   </style>
+  <script src="https://cdnjs.cloudflare.com/ajax/libs/apexcharts/3.28.3/apexcharts.min.js"></script>
 </head>
 <body>
   <div class="product-card">
-    <img src="${product.image}" alt="${product.name}" class="product-image">
+    <img src="${escapeHtml(product.image)}" alt="${escapeHtml(product.name)}" class="product-image">
     <div class="product-details">
-      <h1>${product.name}</h1>
-      <p>${product.description}</p>
+      <h1>${escapeHtml(product.name)}</h1>
+      <p>${escapeHtml(product.description)}</p>
+      ${priceSummary.isRecentLow ? `<span class="deal-badge">📉 Lowest price in ${priceSummary.recent.days} days</span>` : ''}
       <p class="price">💰 Price: ₹${product.price.toFixed(2)}</p>
       <p class="mrp">💵 MRP: <s>₹${product.mrp.toFixed(2)}</s></p>
-      <p class="rating">⭐ Rating: ${product.rating} ⭐</p>
-      <a href="${product.buyLink}" class="btn-order">Order Now</a>
+      <p class="rating">⭐ Rating: ${escapeHtml(product.rating)} ⭐</p>
+      ${offers.length > 0 ? `
+      <table class="table table-sm align-middle offers">
+        <thead><tr><th>Store</th><th>Price</th><th>MRP</th><th></th></tr></thead>
+        <tbody>
+          ${offers.map((offer, index) => `
+          <tr class="${index === 0 && offer.inStock !== false ? 'cheapest' : ''}">
+            <td>
+              ${storeName(offer.store)}
+              ${index === 0 && offer.inStock !== false ? '<span class="badge bg-success">Cheapest</span>' : ''}
+              ${offer.lastChecked ? `<div class="checked">Checked ${escapeHtml(formatChecked(offer.lastChecked))}</div>` : ''}
+            </td>
+            <td>₹${Number(offer.price).toFixed(2)}</td>
+            <td><s>₹${Number(offer.mrp).toFixed(2)}</s></td>
+            <td>${offer.inStock === false
+              ? '<span class="text-muted">Out of stock</span>'
+              : `<a href="${escapeHtml(trackedLink(product.id, 'product_page', req.query.c, offer.store))}" class="btn-order">Buy</a>`}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>` : `<a href="${escapeHtml(trackedLink(product.id, 'product_page', req.query.c))}" class="btn-order">Order Now</a>`}
+      <div class="price-history">
+        <h2 class="h5">Price history</h2>
+        <div id="priceChart"></div>
+        <p class="stats">
+          Lowest ₹${priceSummary.lowest.toFixed(2)} · Highest ₹${priceSummary.highest.toFixed(2)}
+          · Average ₹${priceSummary.average.toFixed(2)}
+        </p>
+      </div>
     </div>
   </div>
+  <script>
+    new ApexCharts(document.querySelector('#priceChart'), {
+      chart: { type: 'line', height: 220, toolbar: { show: false } },
+      series: [{ name: 'Price', data: ${JSON.stringify(chartPoints).replace(/</g, '\\u003c')} }],
+      stroke: { curve: 'stepline', width: 2 },
+      colors: ['#e73c7e'],
+      xaxis: { type: 'datetime' },
+      yaxis: { labels: { formatter: value => '₹' + Math.round(value) } },
+      tooltip: { x: { format: 'dd MMM yyyy' } }
+    }).render();
+  </script>
 </body>
 </html>
     `;
@@ -2469,6 +4423,143 @@ app.get('/product/:id', async (req, res) => {
   }
 });
 
+// Shared wishlist: /wishlist/<token> from the Share wishlist button, showing what is still listed.
+// Anyone with the link can open it, so its buy links carry no chat id.
+app.get('/wishlist/:token', async (req, res) => {
+  try {
+    const chatId = await storage.wishlists.chatIdForToken(req.params.token);
+    if (!chatId) {
+      res.status(404).send('Wishlist not found');
+      return;
+    }
+    const entries = (await wishlistEntries(chatId)).filter(entry => entry.product);
+
+    const wishlistPage = `
+      <!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Wishlist</title>
+  <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
+  <style>
+    @keyframes gradientBackground {
+      0% { background-position: 0% 50%; }
+      50% { background-position: 100% 50%; }
+      100% { background-position: 0% 50%; }
+    }
+
+    body {
+      font-family: Arial, sans-serif;
+      background: linear-gradient(-45deg, #ee7752, #e73c7e, #23a6d5, #23d5ab);
+      background-size: 400% 400%;
+      animation: gradientBackground 15s ease infinite;
+      margin: 0;
+      padding: 20px;
+      min-height: 100vh;
+    }
+
+    .wishlist {
+      max-width: 800px;
+      margin: 0 auto;
+    }
+
+    .wishlist h1 {
+      color: white;
+      text-align: center;
+      margin-bottom: 20px;
+    }
+
+    .wishlist-item {
+      background: rgba(255, 255, 255, 0.9);
+      border-radius: 15px;
+      box-shadow: 0 10px 30px rgba(0, 0, 0, 0.1);
+      padding: 15px;
+      margin-bottom: 15px;
+      display: flex;
+      align-items: center;
+      gap: 15px;
+    }
+
+    .wishlist-item img {
+      width: 100px;
+      height: 100px;
+      object-fit: contain;
+      border-radius: 10px;
+    }
+
+    .wishlist-item h2 {
+      font-size: 1.1rem;
+      margin-bottom: 5px;
+    }
+
+    .wishlist-item h2 a {
+      color: #333;
+      text-decoration: none;
+    }
+
+    .wishlist-item .price {
+      font-size: 1.2rem;
+      color: #e73c7e;
+      font-weight: bold;
+    }
+
+    .wishlist-item .saved {
+      font-size: 0.9rem;
+      color: #777;
+    }
+
+    .btn-order {
+      background: linear-gradient(45deg, #e73c7e, #23a6d5);
+      color: white;
+      border: none;
+      padding: 6px 16px;
+      border-radius: 25px;
+      text-decoration: none;
+      display: inline-block;
+      margin-top: 5px;
+    }
+
+    .empty {
+      background: rgba(255, 255, 255, 0.9);
+      border-radius: 15px;
+      padding: 20px;
+      text-align: center;
+    }
+  </style>
+</head>
+<body>
+  <div class="wishlist">
+    <h1>❤️ Wishlist</h1>
+    ${entries.length > 0 ? entries.map(({ product, savedPrice }) => {
+      const difference = Number(product.price) - Number(savedPrice);
+      return `
+    <div class="wishlist-item">
+      <img src="${escapeHtml(product.image)}" alt="${escapeHtml(product.name)}">
+      <div>
+        <h2><a href="/product/${encodeURIComponent(product.id)}">${escapeHtml(product.name)}</a></h2>
+        <div class="price">₹${Number(product.price).toFixed(2)}</div>
+        <div class="saved">
+          Saved at ₹${Number(savedPrice).toFixed(2)}
+          ${difference < 0 ? `<span class="badge bg-success">₹${(-difference).toFixed(2)} less</span>` : ''}
+          ${difference > 0 ? `<span class="badge bg-secondary">₹${difference.toFixed(2)} more</span>` : ''}
+        </div>
+        <a href="${escapeHtml(trackedLink(product.id, 'wishlist'))}" class="btn-order">Order Now</a>
+      </div>
+    </div>`;
+    }).join('') : '<div class="empty">Nothing saved here right now.</div>'}
+  </div>
+</body>
+</html>
+    `;
+
+    res.send(wishlistPage);
+  } catch (error) {
+    console.error('Error loading wishlist:', error);
+    res.status(500).send('Error loading wishlist');
+  }
+});
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
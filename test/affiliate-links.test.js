@@ -0,0 +1,77 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createAffiliateLinks } from '../lib/affiliate-links.js';
+
+// A local HTTP server stands in for the store shorteners: 127.0.0.1 is passed as an Amazon short-link host,
+// so expand() follows its redirects and stops at the first amazon.in URL without going out to the network.
+const PRODUCT_PAGE = 'https://www.amazon.in/Some-Product/dp/B0ABCDEF12/ref=sr_1_1?tag=someone-21&utm_source=share&th=1';
+const routes = {
+  '/product': { status: 301, location: PRODUCT_PAGE },
+  '/chain': { status: 302, location: '/product' },
+  '/elsewhere': { status: 302, location: 'https://example.com/page' },
+  '/loop': { status: 302, location: '/loop' },
+  '/page': { status: 200 }
+};
+
+let server;
+let base;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const route = routes[req.url] || { status: 404 };
+    if (route.location) res.setHeader('Location', route.location);
+    res.statusCode = route.status;
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const affiliateLinks = (tags = { amazon: 'ours-21' }) =>
+  createAffiliateLinks({ tags, shortLinkHosts: { '127.0.0.1': 'amazon' }, timeoutMs: 2000 });
+
+test('expand follows a chain of short-link redirects to the store page', async () => {
+  assert.equal(await affiliateLinks().expand(`${base}/chain`), PRODUCT_PAGE);
+});
+
+test('expand leaves links that are not short links alone', async () => {
+  assert.equal(await affiliateLinks().expand(PRODUCT_PAGE), PRODUCT_PAGE);
+});
+
+test('expand gives up on redirect loops', async () => {
+  await assert.rejects(affiliateLinks().expand(`${base}/loop`), /too many redirects/);
+});
+
+test('prepare expands, cleans and tags a short link', async () => {
+  assert.deepEqual(await affiliateLinks().prepare(`${base}/product`), { link: 'https://www.amazon.in/dp/B0ABCDEF12?tag=ours-21' });
+});
+
+test('prepare refuses short links that do not redirect', async () => {
+  const { error } = await affiliateLinks().prepare(`${base}/page`);
+  assert.match(error, /answered 200 instead of redirecting/);
+});
+
+test('prepare refuses short links that lead away from the store', async () => {
+  const { error } = await affiliateLinks().prepare(`${base}/elsewhere`);
+  assert.match(error, /does not lead to a page on Amazon/);
+});
+
+test('prepare keeps the tag already on a link when the store has no tag of ours', async () => {
+  assert.deepEqual(await affiliateLinks({}).prepare(PRODUCT_PAGE), {
+    link: 'https://www.amazon.in/Some-Product/dp/B0ABCDEF12/ref=sr_1_1?tag=someone-21&th=1'
+  });
+});
+
+test('prepareProduct skips links the stored product already had', async () => {
+  const previous = { buyLink: `${base}/loop`, offers: [] };
+  const { product, errors } = await affiliateLinks().prepareProduct({
+    buyLink: `${base}/loop`,
+    offers: [{ store: 'amazon', link: `${base}/chain` }]
+  }, previous);
+  assert.deepEqual(errors, []);
+  assert.equal(product.buyLink, `${base}/loop`);
+  assert.equal(product.offers[0].link, 'https://www.amazon.in/dp/B0ABCDEF12?tag=ours-21');
+});
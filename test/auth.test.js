@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAdminAuth, SESSION_COOKIE } from '../lib/auth.js';
+
+const auth = createAdminAuth({ pin: '1234', secret: 'test-secret' });
+
+// Just enough of Express's req/res for requireAdmin and login
+function fakeRequest(cookie, { accept = 'application/json' } = {}) {
+  return { method: 'GET', originalUrl: '/admin', ip: '127.0.0.1', headers: { cookie, accept }, body: {} };
+}
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    cookies: [],
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    redirect(location) { this.statusCode = 302; this.location = location; return this; },
+    append(name, value) { this.cookies.push(value); }
+  };
+}
+
+test('a malformed cookie value is answered with a 401, not an error', () => {
+  const res = fakeResponse();
+  let passed = false;
+  auth.requireAdmin(fakeRequest(`a=%E0%A4%A; ${SESSION_COOKIE}=%E0%A4%A`), res, () => { passed = true; });
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+});
+
+test('pages with a malformed cookie still redirect to the login form', () => {
+  const res = fakeResponse();
+  auth.requireAdmin(fakeRequest('a=%E0%A4%A', { accept: 'text/html' }), res, () => {});
+  assert.equal(res.statusCode, 302);
+  assert.match(res.location, /^\/admin\/login\?next=/);
+});
+
+test('a session cookie next to a malformed one still signs the admin in', () => {
+  const loginResponse = fakeResponse();
+  const req = fakeRequest('');
+  req.body = { pin: '1234' };
+  assert.equal(auth.login(req, loginResponse).success, true);
+  const sessionCookie = loginResponse.cookies[0].split(';')[0];
+
+  let passed = false;
+  auth.requireAdmin(fakeRequest(`other=%E0%A4%A; ${sessionCookie}`), fakeResponse(), () => { passed = true; });
+  assert.equal(passed, true);
+});
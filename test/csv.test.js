@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, parseCsvRecords } from '../lib/csv.js';
+
+test('parseCsv skips blank lines and keeps quoted line breaks in the field', () => {
+  assert.deepEqual(parseCsv('a,b\r\n\r\n1,"x\ny"\n'), [['a', 'b'], ['1', 'x\ny']]);
+});
+
+test('parseCsvRecords reports the line each row starts on', () => {
+  const text = 'id,name\n\np1,One\n"p2","Two\nlines"\n\n\np3,Three\r\np4,Four';
+  assert.deepEqual(parseCsvRecords(text).map(({ line, record }) => [line, record.id]), [
+    [3, 'p1'],
+    [4, 'p2'],
+    [8, 'p3'],
+    [9, 'p4']
+  ]);
+});
@@ -0,0 +1,81 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createJsonFile } from '../lib/storage/json-file.js';
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-file-'));
+});
+
+afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+const quiet = async (fn) => {
+  const { warn, error } = console;
+  console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { warn, error });
+  }
+};
+
+test('overlapping updates run one after another and none is lost', async () => {
+  const file = createJsonFile(path.join(dir, 'items.json'), { defaultValue: [] });
+  await Promise.all(Array.from({ length: 50 }, (_, i) => file.update(async items => {
+    // Give the other updates every chance to interleave
+    await new Promise(resolve => setTimeout(resolve, Math.random() * 3));
+    return [...items, i];
+  })));
+  const items = await file.read();
+  assert.equal(items.length, 50);
+  assert.deepEqual([...items].sort((a, b) => a - b), Array.from({ length: 50 }, (_, i) => i));
+});
+
+test('a failed write leaves the file as it was and no temp file behind', async () => {
+  const file = createJsonFile(path.join(dir, 'items.json'), { defaultValue: [], backupCount: 0 });
+  await file.update(() => ['kept']);
+
+  // BigInt cannot be serialized, so the write fails after the temp file is opened
+  await assert.rejects(file.update(items => [...items, 1n]), TypeError);
+  assert.deepEqual(await fs.readdir(dir), ['items.json']);
+  assert.deepEqual(await file.read(), ['kept']);
+
+  // The queue keeps going after a failure
+  await file.update(items => [...items, 'next']);
+  assert.deepEqual(await file.read(), ['kept', 'next']);
+});
+
+test('backups are capped at backupCount and used when the file is corrupt', async () => {
+  const backupDir = path.join(dir, 'backups');
+  const file = createJsonFile(path.join(dir, 'count.json'), {
+    defaultValue: 0,
+    backupDir,
+    backupCount: 2,
+    backupIntervalMs: 0
+  });
+  for (let i = 1; i <= 5; i++) await file.update(() => i);
+
+  // Each write first backs up the version it replaces: 4 is the newest backup, 3 the one before
+  assert.deepEqual((await fs.readdir(backupDir)).sort(), ['count.json.1', 'count.json.2']);
+  assert.equal(JSON.parse(await fs.readFile(path.join(backupDir, 'count.json.1'), 'utf8')), 4);
+  assert.equal(JSON.parse(await fs.readFile(path.join(backupDir, 'count.json.2'), 'utf8')), 3);
+
+  await fs.writeFile(path.join(dir, 'count.json'), '{"truncated');
+  assert.equal(await quiet(() => file.read()), 4);
+
+  // With the newest backup damaged too, the older one is used
+  await fs.writeFile(path.join(backupDir, 'count.json.1'), '');
+  assert.equal(await quiet(() => file.read()), 3);
+});
+
+test('backups are taken at most once per interval', async () => {
+  const backupDir = path.join(dir, 'backups');
+  const file = createJsonFile(path.join(dir, 'count.json'), { defaultValue: 0, backupDir, backupIntervalMs: 60 * 60 * 1000 });
+  for (let i = 1; i <= 3; i++) await file.update(() => i);
+  assert.deepEqual(await fs.readdir(backupDir), ['count.json.1']);
+  assert.equal(JSON.parse(await fs.readFile(path.join(backupDir, 'count.json.1'), 'utf8')), 1);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findProducts, createSearchIndex, stem, tokenize, editDistance } from '../lib/search.js';
+
+const catalog = [
+  { id: 1, name: 'Wireless Earbuds', keywords: ['buds', 'earbuds'], description: 'Truly wireless buds', price: 999 },
+  { id: 2, name: 'Bass Buds', keywords: ['buds'], description: 'In-ear buds with mic', price: 699 },
+  { id: 3, name: 'Ear Cleaner', keywords: ['ear cleaner'], description: 'Safer than cotton buds', price: 85 },
+  { id: 4, name: 'Smartphone 5G', keywords: ['phone', 'mobile'], description: '6.5 inch display', price: 7999 },
+  { id: 5, name: 'Fast Charger', keywords: ['charger'], description: 'Charges any phone in an hour', price: 327 }
+];
+const names = (query) => findProducts(catalog, query).products.map(product => product.name);
+
+test('a price sort leaves out products that only mention the search in their description', () => {
+  assert.deepEqual(names('cheapest buds'), ['Bass Buds', 'Wireless Earbuds']);
+  assert.deepEqual(names('budget phone'), ['Smartphone 5G']);
+});
+
+test('a price sort falls back to every match when none is a clear one', () => {
+  assert.deepEqual(names('cheapest cotton'), ['Ear Cleaner']);
+});
+
+test('without a sort, description matches still rank below the clear ones', () => {
+  assert.deepEqual(names('buds'), ['Bass Buds', 'Wireless Earbuds', 'Ear Cleaner']);
+});
+
+test('stem folds plurals and -ing forms onto the same term', () => {
+  assert.equal(stem('kettles'), 'kettle');
+  assert.equal(stem('boxes'), 'box');
+  assert.equal(stem('batteries'), 'battery');
+  assert.equal(stem('running'), 'run');
+  assert.equal(stem('128'), '128');
+});
+
+test('tokenize drops stop words and stems what is left', () => {
+  assert.deepEqual(tokenize('Best Electric Kettles for me!'), ['electric', 'kettle']);
+});
+
+test('editDistance counts a transposition as one edit and gives up past the limit', () => {
+  assert.equal(editDistance('ketle', 'kettle'), 1);
+  assert.equal(editDistance('kettel', 'kettle'), 1);
+  assert.equal(editDistance('abc', 'xyzabc', 2), 3);
+});
+
+const kitchen = [
+  { id: 1, name: 'Electric Kettle', keywords: ['kettle'], description: 'Boils water fast' },
+  { id: 2, name: 'Steel Kettle', keywords: ['kettle', 'stove'], description: 'For the gas stove' },
+  { id: 3, name: 'Electric Iron', keywords: ['iron'], description: 'Dry iron' },
+  { id: 4, name: 'Tea Cups', keywords: ['cups'], description: 'Goes well with a kettle of tea, and with many more words besides' }
+];
+const ids = (query, products = kitchen) => createSearchIndex(products).search(query).map(result => result.product.id);
+
+test('plural and misspelled queries find the same products', () => {
+  assert.deepEqual(ids('kettles'), [1, 2, 4]);
+  assert.deepEqual(ids('ketle'), [1, 2, 4]);
+});
+
+test('products matching every word of a query rank first', () => {
+  assert.deepEqual(ids('kettle electric'), [1, 3, 2]);
+});
+
+test('products that score the same keep their catalog order', () => {
+  const twins = [
+    { id: 'b', name: 'Water Bottle', keywords: [], description: '' },
+    { id: 'a', name: 'Water Bottle', keywords: [], description: '' },
+    { id: 'c', name: 'Water Bottle', keywords: [], description: '' }
+  ];
+  assert.deepEqual(ids('bottle', twins), ['b', 'a', 'c']);
+});
+
+test('weak matches far below the best hit are dropped as noise', () => {
+  // The kettles only match one of the two words, and score under 15% of the tea cups
+  assert.deepEqual(ids('cups kettle'), [4]);
+});
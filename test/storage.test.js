@@ -0,0 +1,209 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import pg from 'pg';
+import { createStorage } from '../lib/storage/index.js';
+
+// The same calls against every storage backend: the JSON files always, and PostgreSQL when DATABASE_URL is set.
+// PostgreSQL runs in a schema of its own that is dropped afterwards, so the database's own tables are not touched.
+
+const run = promisify(execFile);
+const importScript = path.join(path.dirname(new URL(import.meta.url).pathname), '..', 'scripts', 'import-json.js');
+
+function jsonBackend() {
+  let dataDir;
+  return {
+    name: 'json',
+    async open() {
+      dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-contract-'));
+      return createStorage({ driver: 'json', dataDir });
+    },
+    async close() {
+      await fs.rm(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+function postgresBackend(databaseUrl) {
+  const schema = `storage_contract_${process.pid}`;
+  const admin = new pg.Client({ connectionString: databaseUrl });
+  // Every connection of the storage (and of the importer) works in the test schema
+  const url = new URL(databaseUrl);
+  url.searchParams.set('options', `-c search_path=${schema}`);
+  let storage;
+  return {
+    name: 'postgres',
+    url: url.toString(),
+    async open() {
+      await admin.connect();
+      await admin.query(`DROP SCHEMA IF EXISTS ${schema} CASCADE`);
+      await admin.query(`CREATE SCHEMA ${schema}`);
+      storage = await createStorage({ driver: 'postgres', databaseUrl: url.toString() });
+      return storage;
+    },
+    async close() {
+      await storage.close();
+      await admin.query(`DROP SCHEMA IF EXISTS ${schema} CASCADE`);
+      await admin.end();
+    }
+  };
+}
+
+const backends = [jsonBackend(), ...(process.env.DATABASE_URL ? [postgresBackend(process.env.DATABASE_URL)] : [])];
+
+const pick = (object, keys) => Object.fromEntries(keys.map(key => [key, object[key]]));
+const iso = (value) => new Date(value).toISOString();
+
+for (const backend of backends) {
+  describe(`${backend.name} storage`, () => {
+    let storage;
+
+    before(async () => {
+      storage = await backend.open();
+    });
+
+    after(() => backend.close());
+
+    test('products: create, get, update, replace, count clicks and remove', async () => {
+      const created = await storage.products.create({
+        id: 101, name: 'Kettle', price: 499, mrp: 999, keywords: ['kettle'], views: 3, clicks: 1, color: 'red'
+      });
+      assert.deepEqual(pick(created, ['id', 'name', 'price', 'color']), { id: 101, name: 'Kettle', price: 499, color: 'red' });
+      assert.equal((await storage.products.get('101')).name, 'Kettle');
+      assert.equal(await storage.products.get(999), null);
+
+      const updated = await storage.products.update(101, { price: 449, size: '1.5L' });
+      assert.deepEqual(pick(updated, ['id', 'name', 'price', 'color', 'size']), {
+        id: 101, name: 'Kettle', price: 449, color: 'red', size: '1.5L'
+      });
+
+      await storage.products.incrementClicks(101);
+      const replaced = await storage.products.replace(101, { name: 'Steel Kettle', price: 599, mrp: 999, keywords: [] });
+      assert.equal(replaced.name, 'Steel Kettle');
+      assert.equal(replaced.color, undefined);
+      assert.equal(replaced.size, undefined);
+      assert.deepEqual(pick(replaced, ['id', 'views', 'clicks']), { id: 101, views: 3, clicks: 2 });
+      assert.equal(await storage.products.replace(999, { name: 'Nothing' }), null);
+
+      await storage.products.create({ id: 102, name: 'Iron', price: 899, mrp: 1299 });
+      assert.deepEqual((await storage.products.list()).map(product => product.id), [101, 102]);
+      assert.equal(await storage.products.remove(102), true);
+      assert.equal(await storage.products.remove(102), false);
+    });
+
+    test('deals: replaceAll resolves with and stores the new list', async () => {
+      const deals = [{ id: 1, name: 'Kettle', price: 449 }, { id: 2, name: 'Iron', price: 799 }];
+      assert.deepEqual(await storage.deals.replaceAll(deals), deals);
+      assert.deepEqual(await storage.deals.list(), deals);
+      assert.deepEqual(await storage.deals.replaceAll([]), []);
+      assert.deepEqual(await storage.deals.list(), []);
+    });
+
+    test('analytics: events fill the hour and day buckets, counting each chat once', async () => {
+      const at = (minutes) => new Date(Date.UTC(2026, 0, 5, 10, minutes));
+      await storage.analytics.recordEvent({ type: 'query', chatId: 1, query: 'kettle', status: 'Success', data: { resultCount: 2 }, timestamp: at(0) });
+      await storage.analytics.recordEvent({ type: 'query', chatId: 1, query: 'ketle', status: 'No results', data: { resultCount: 0 }, timestamp: at(10) });
+      await storage.analytics.recordEvent({ type: 'query', chatId: 2, query: 'iron', status: 'Success', data: { resultCount: 1 }, timestamp: at(20) });
+      await storage.analytics.recordEvent({ type: 'product_view', chatId: 2, productId: 101, timestamp: at(30) });
+      await storage.analytics.recordEvent({ type: 'query', chatId: 3, query: 'fan', status: 'Success', data: { resultCount: 4 }, timestamp: at(70) });
+
+      const series = async (granularity) => Object.fromEntries(
+        (await storage.analytics.timeseries({ granularity, from: at(0), to: at(24 * 60) }))
+          .map(({ bucket, metric, value }) => [`${iso(bucket)} ${metric}`, value])
+      );
+      assert.deepEqual(await series('hour'), {
+        '2026-01-05T10:00:00.000Z queries': 3,
+        '2026-01-05T10:00:00.000Z zeroResultSearches': 1,
+        '2026-01-05T10:00:00.000Z productViews': 1,
+        '2026-01-05T10:00:00.000Z uniqueUsers': 2,
+        '2026-01-05T11:00:00.000Z queries': 1,
+        '2026-01-05T11:00:00.000Z uniqueUsers': 1
+      });
+      assert.deepEqual(await series('day'), {
+        '2026-01-05T00:00:00.000Z queries': 4,
+        '2026-01-05T00:00:00.000Z zeroResultSearches': 1,
+        '2026-01-05T00:00:00.000Z productViews': 1,
+        '2026-01-05T00:00:00.000Z uniqueUsers': 3
+      });
+
+      const summary = await storage.analytics.summary();
+      assert.equal(summary.traffic, 4);
+      assert.deepEqual(summary.queries.map(entry => [String(entry.chatId), entry.query, entry.status]), [
+        ['1', 'kettle', 'Success'], ['1', 'ketle', 'No results'], ['2', 'iron', 'Success'], ['3', 'fan', 'Success']
+      ]);
+      assert.deepEqual(summary.productViews, { 101: 1 });
+
+      // Pruning drops the events and hourly buckets before the cutoff but keeps the daily ones
+      assert.equal(await storage.analytics.pruneEvents(at(60)), 4);
+      assert.equal((await storage.analytics.listEvents()).length, 1);
+      assert.deepEqual(Object.keys(await series('hour')), ['2026-01-05T11:00:00.000Z queries', '2026-01-05T11:00:00.000Z uniqueUsers']);
+      assert.equal((await storage.analytics.summary()).traffic, 4);
+    });
+
+    test('subscribers: upsert, touch, flags and the active lists', async () => {
+      const first = await storage.subscribers.upsert({ chatId: '11', firstName: 'Asha', username: 'asha' });
+      assert.equal(first.created, true);
+      assert.equal(first.subscriber.dailyDeals, false);
+      const again = await storage.subscribers.upsert({ chatId: '11', firstName: 'Asha K' });
+      assert.equal(again.created, false);
+      assert.deepEqual(pick(again.subscriber, ['firstName', 'username']), { firstName: 'Asha K', username: 'asha' });
+
+      assert.equal(await storage.subscribers.touch({ chatId: '12', firstName: 'Nobody' }), null);
+      assert.equal(await storage.subscribers.get('12'), null);
+      assert.equal((await storage.subscribers.touch({ chatId: '11', lastName: 'K' })).lastName, 'K');
+
+      await storage.subscribers.upsert({ chatId: '13', firstName: 'Ravi' });
+      await storage.subscribers.update('11', { dailyDeals: true });
+      await storage.subscribers.update('13', { blocked: true });
+      assert.equal(await storage.subscribers.update('14', { blocked: true }), null);
+
+      const chatIds = async (options) => (await storage.subscribers.list(options)).map(s => s.chatId).sort();
+      assert.deepEqual(await chatIds(), ['11', '13']);
+      assert.deepEqual(await chatIds({ activeOnly: true }), ['11']);
+      assert.deepEqual(await chatIds({ dailyDealsOnly: true }), ['11']);
+
+      // /start brings a blocked chat back
+      const back = await storage.subscribers.upsert({ chatId: '13' }, { resubscribe: true });
+      assert.equal(back.subscriber.blocked, false);
+      assert.deepEqual(await chatIds({ activeOnly: true }), ['11', '13']);
+    });
+
+    test('the importer copies JSON storage into PostgreSQL', { skip: !backend.url && 'only PostgreSQL is imported into' }, async () => {
+      const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-import-'));
+      try {
+        const source = await createStorage({ driver: 'json', dataDir });
+        await source.products.create({ id: 7, name: 'Fan', price: 1499, mrp: 1999, keywords: ['fan'], category: 'home' });
+        await source.deals.replaceAll([{ id: 7, name: 'Fan', price: 1299 }]);
+        await source.analytics.recordEvent({ type: 'query', chatId: 21, query: 'fan', status: 'Success', data: { resultCount: 1 }, timestamp: new Date(Date.UTC(2026, 1, 1, 9)) });
+        await source.subscribers.upsert({ chatId: '21', firstName: 'Meera' });
+        await source.subscribers.update('21', { dailyDeals: true });
+        await source.priceHistory.record(7, { price: 1499, mrp: 1999, recordedAt: new Date(Date.UTC(2026, 0, 1)) });
+        await source.wishlists.add({ chatId: '21', productId: '7', savedPrice: 1499 });
+        const token = await source.wishlists.shareToken('21');
+
+        await run(process.execPath, [importScript, '--force'], {
+          env: { ...process.env, DATA_DIR: dataDir, DATABASE_URL: backend.url, STORAGE_DRIVER: 'postgres' },
+          timeout: 60000
+        });
+
+        assert.deepEqual((await storage.products.list()).map(p => pick(p, ['id', 'name', 'price', 'category'])), [
+          { id: 7, name: 'Fan', price: 1499, category: 'home' }
+        ]);
+        assert.deepEqual(await storage.deals.list(), [{ id: 7, name: 'Fan', price: 1299 }]);
+        const day = await storage.analytics.timeseries({
+          granularity: 'day', from: new Date(Date.UTC(2026, 1, 1)), to: new Date(Date.UTC(2026, 1, 2))
+        });
+        assert.deepEqual(day.map(({ metric, value }) => [metric, value]).sort(), [['queries', 1], ['uniqueUsers', 1]]);
+        assert.deepEqual(pick(await storage.subscribers.get('21'), ['firstName', 'dailyDeals']), { firstName: 'Meera', dailyDeals: true });
+        assert.deepEqual((await storage.priceHistory.list(7)).map(entry => entry.price), [1499]);
+        assert.equal(await storage.wishlists.chatIdForToken(token), '21');
+      } finally {
+        await fs.rm(dataDir, { recursive: true, force: true });
+      }
+    });
+  });
+}